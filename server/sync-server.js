@@ -0,0 +1,183 @@
+// Minimal gate sync server for local testing and small events.
+// Keeps the earliest admission per ticket in memory, with group ticket counts
+// from every gate merged, the latest check-in or check-out per ticket
+// (records with `kind: 'presence'`), voided tickets (`kind: 'void'`) and
+// undone admissions (`kind: 'undo'`). An undo removes the admission it names
+// and keeps it from coming back. Serves both protocols used by
+// src/lib/syncTransports.js. Each event is a separate channel; gates only see
+// records of their own channel.
+//
+//   POST /admissions                     { channel, records: [...] } -> { records: [...] } (stored record per ticket and kind)
+//   GET  /admissions?channel=C&since=N   -> { records: [...], cursor } (records changed after cursor N)
+//
+//   WebSocket on any path, with ?channel=C: the server sends { type: 'admissions', records }
+//   with everything the channel holds on connect and whenever another gate sends records.
+//   A client sends { type: 'admissions', id, records } and gets back
+//   { type: 'ack', id, records } (stored record per ticket and kind) once they are stored.
+//
+// Usage: npm run sync-server   (PORT defaults to 3001)
+
+import http from 'node:http'
+import { WebSocket, WebSocketServer } from 'ws'
+import { mergeSyncRecord, recordKind } from '../src/lib/admissionMerge.js'
+
+const PORT = Number(process.env.PORT) || 3001
+
+// What a record of each kind needs besides its ticket ID
+const VALIDATORS = {
+  admission: record => typeof record.scannedAt === 'number',
+  presence: record => ['inside', 'outside'].includes(record.state) && typeof record.changedAt === 'number',
+  void: record => typeof record.voidedAt === 'number',
+  undo: record => typeof record.scannedAt === 'number',
+}
+
+const isValidRecord = (record) => {
+  if (!record || !record.ticketId) return false
+  const validate = VALIDATORS[recordKind(record)]
+  return Boolean(validate && validate(record))
+}
+
+// Every undo is kept, each one stopping its own admission from coming back
+const recordKey = (record) => {
+  const kind = recordKind(record)
+  return kind === 'undo' ? `undo:${record.ticketId}:${record.scannedAt}` : `${kind}:${record.ticketId}`
+}
+
+export const createSyncServer = () => {
+  const channels = new Map() // channel -> Map(recordKey -> { record, seq })
+  let seq = 0
+
+  const channelRecords = (channel) => {
+    if (!channels.has(channel)) channels.set(channel, new Map())
+    return channels.get(channel)
+  }
+
+  // Store a record unless an earlier admission (or a later presence change,
+  // or an earlier void) of the same ticket is known. Group counts from every
+  // gate are kept. An undone admission is answered with its undo.
+  const accept = (records, record) => {
+    const kind = recordKind(record)
+    if (kind === 'admission') {
+      const undo = records.get(recordKey({ ...record, kind: 'undo' }))
+      if (undo) return undo.record
+    }
+    if (kind === 'undo') {
+      const admissionKey = recordKey({ ticketId: record.ticketId })
+      const admission = records.get(admissionKey)
+      if (admission && admission.record.scannedAt === record.scannedAt) records.delete(admissionKey)
+    }
+
+    const key = recordKey(record)
+    const existing = records.get(key)
+    const merged = mergeSyncRecord(existing && existing.record, record)
+    if (!existing || merged !== existing.record) {
+      seq += 1
+      records.set(key, { record: merged, seq })
+    }
+    return records.get(key).record
+  }
+
+  // Store records from one gate and pass the result on to the channel's WebSocket
+  // gates. `sender` is the socket they came from, if any; it gets an ack instead.
+  const acceptAll = (channel, records, sender = null) => {
+    const held = channelRecords(channel)
+    const stored = records
+      .filter(isValidRecord)
+      .map(record => accept(held, record))
+    if (stored.length > 0) {
+      sockets.clients.forEach((client) => {
+        if (client !== sender && client.channel === channel) {
+          sendMessage(client, { type: 'admissions', records: stored })
+        }
+      })
+    }
+    return stored
+  }
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type',
+      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    })
+    res.end(JSON.stringify(body))
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost')
+
+    if (req.method === 'OPTIONS') {
+      sendJson(res, 204, {})
+      return
+    }
+
+    if (url.pathname !== '/admissions') {
+      sendJson(res, 404, { error: 'Not found' })
+      return
+    }
+
+    if (req.method === 'GET') {
+      // A cursor from before a server restart is ahead of this server; start over
+      const requested = Number(url.searchParams.get('since')) || 0
+      const since = requested > seq ? 0 : requested
+      const records = [...channelRecords(url.searchParams.get('channel') || '').values()]
+        .filter(entry => entry.seq > since)
+        .map(entry => entry.record)
+      sendJson(res, 200, { records, cursor: seq })
+      return
+    }
+
+    if (req.method === 'POST') {
+      let body = ''
+      req.on('data', (chunk) => {
+        body += chunk
+      })
+      req.on('end', () => {
+        try {
+          const { channel, records } = JSON.parse(body)
+          sendJson(res, 200, { records: acceptAll(channel || '', records) })
+        } catch (err) {
+          sendJson(res, 400, { error: 'Invalid JSON body' })
+        }
+      })
+      return
+    }
+
+    sendJson(res, 405, { error: 'Method not allowed' })
+  })
+
+  const sockets = new WebSocketServer({ server })
+  const sendMessage = (socket, message) => {
+    if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message))
+  }
+
+  sockets.on('connection', (socket, req) => {
+    socket.channel = new URL(req.url, 'http://localhost').searchParams.get('channel') || ''
+    const records = [...channelRecords(socket.channel).values()].map(entry => entry.record)
+    sendMessage(socket, { type: 'admissions', records })
+
+    socket.on('message', (data) => {
+      let message
+      try {
+        message = JSON.parse(data)
+      } catch (err) {
+        console.log("Ignoring malformed sync message:", err)
+        return
+      }
+      if (message.type !== 'admissions' || !Array.isArray(message.records)) return
+
+      const stored = acceptAll(socket.channel, message.records, socket)
+      sendMessage(socket, { type: 'ack', id: message.id, records: stored })
+    })
+  })
+  server.on('close', () => sockets.close())
+
+  return server
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createSyncServer().listen(PORT, () => {
+    console.log(`Gate sync server listening on http://localhost:${PORT} and ws://localhost:${PORT}`)
+  })
+}
@@ -0,0 +1,120 @@
+// Mock ticketing backend for testing the webhook and online validation locally.
+//
+//   POST /validate   online validation (see src/lib/onlineValidation.js): admits each
+//                    ticket once, answers 'duplicate' after that. Group tickets are
+//                    admitted while the scanner's admittedCount is below groupSize.
+//   POST <any path>  webhook events - printed and answered with 200. Repeated deliveries
+//                    (same Idempotency-Key) are acknowledged but not counted again.
+//                    Events without a status are refused with 422.
+//
+//   TOKEN=secret      - require `Authorization: Bearer secret` (401 otherwise)
+//   FAIL_RATE=0.5     - answer 503 to this share of posts, to exercise retries
+//   DELAY=3000        - wait this long (ms) before answering, to exercise validation timeouts
+//
+// Usage: npm run webhook-mock   (PORT defaults to 3002)
+// Then build the scanner with VITE_WEBHOOK_URL=http://<this machine>:3002/check-ins
+// and/or VITE_VALIDATION_URL=http://<this machine>:3002/validate
+
+import http from 'node:http'
+
+const PORT = Number(process.env.PORT) || 3002
+
+export const createWebhookMock = ({ token = '', failRate = 0, delay = 0 } = {}) => {
+  const received = new Map() // Idempotency-Key -> event
+  const admitted = new Set() // Ticket IDs let in through /validate
+
+  const send = (req, res, status, body) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      // Custom webhook headers are configurable, so allow whatever the browser asks for
+      'Access-Control-Allow-Headers': req.headers['access-control-request-headers'] || 'Content-Type',
+      'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    })
+    res.end(JSON.stringify(body))
+  }
+
+  const server = http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      send(req, res, 204, {})
+      return
+    }
+
+    if (req.method !== 'POST') {
+      send(req, res, 405, { error: 'Method not allowed' })
+      return
+    }
+
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      console.log(`401 ${req.url} - missing or wrong bearer token`)
+      send(req, res, 401, { error: 'Unauthorized' })
+      return
+    }
+
+    if (Math.random() < failRate) {
+      console.log(`503 ${req.url} - simulated failure`)
+      send(req, res, 503, { error: 'Simulated failure' })
+      return
+    }
+
+    let body = ''
+    req.on('data', (chunk) => {
+      body += chunk
+    })
+    req.on('end', () => setTimeout(() => {
+      if (req.url.startsWith('/validate')) {
+        validate(req, res, body)
+        return
+      }
+      try {
+        const event = JSON.parse(body)
+        if (!event.status) {
+          console.log(`422 ${req.url} - no status`)
+          send(req, res, 422, { error: 'Missing status' })
+          return
+        }
+        const key = req.headers['idempotency-key'] || event.id
+        const isRepeat = received.has(key)
+        received.set(key, event)
+        console.log(`200 ${req.url} ${event.status} ${event.ticketId} at ${event.gateId || 'unnamed gate'}${isRepeat ? ' (repeat)' : ''}`)
+        send(req, res, 200, { ok: true, received: received.size })
+      } catch (err) {
+        send(req, res, 400, { error: 'Invalid JSON body' })
+      }
+    }, delay))
+  })
+
+  const validate = (req, res, body) => {
+    try {
+      const { ticketId, groupSize = 1, admittedCount = 0 } = JSON.parse(body)
+      if (!ticketId) {
+        send(req, res, 200, { decision: 'reject', reason: 'No ticket ID in the code.' })
+      } else if (groupSize > 1) {
+        send(req, res, 200, admittedCount < groupSize
+          ? { decision: 'admit' }
+          : { decision: 'duplicate', reason: 'Whole party already admitted (server).' })
+      } else if (admitted.has(ticketId)) {
+        send(req, res, 200, { decision: 'duplicate', reason: 'Already admitted (server).' })
+      } else {
+        admitted.add(ticketId)
+        send(req, res, 200, { decision: 'admit' })
+      }
+      console.log(`validate ${ticketId}`)
+    } catch (err) {
+      send(req, res, 400, { error: 'Invalid JSON body' })
+    }
+  }
+
+  server.received = received
+  return server
+}
+
+if (import.meta.url === `file://${process.argv[1]}`) {
+  createWebhookMock({
+    token: process.env.TOKEN || '',
+    failRate: Number(process.env.FAIL_RATE) || 0,
+    delay: Number(process.env.DELAY) || 0
+  }).listen(PORT, () => {
+    console.log(`Webhook mock listening on http://localhost:${PORT}`)
+  })
+}
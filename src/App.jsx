@@ -1,31 +1,166 @@
-import { useState, useEffect, useRef, useCallback } from 'react'
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react'
 import { Html5Qrcode } from 'html5-qrcode'
+import { openSessionStore } from './lib/scanStore'
+import { indexManifest, readManifestFile, searchManifest } from './lib/manifest'
+import { looksLikeSignedTicket, verifyTicketToken } from './lib/ticketSignature'
+import { parseClaims, parsePayload } from './lib/payloadParsers'
+import { formatLabel, getDecodedFormat, getDecoderConfig } from './lib/barcodeFormats'
+import { createScannerEngine } from './lib/scannerEngine'
+import { createCameraWatchdog } from './lib/cameraWatchdog'
+import { decideAdmission, isCheckedOut, isDebounced, precheckTicket } from './lib/admission'
+import { createGateSync } from './lib/gateSync'
+import { createTransportForUrl } from './lib/syncTransports'
+import { loadSyncCursor, saveSyncCursor, sessionSyncChannel } from './lib/eventSessions'
+import { createWebhookDelivery } from './lib/webhookDelivery'
+import { validateOnline } from './lib/onlineValidation'
+import { FLASH_SIGNS, describeForScreenReader, describeForSpeech, getFeedbackKind, speak } from './lib/feedback'
+import { mergeAdmission, mergePresence, mergeVoid, recordKind } from './lib/admissionMerge'
+import { ENTERING_STATUSES, GATE_MODES, LEAVING_STATUSES } from './lib/gateModes'
+import { getTicketType } from './lib/zones'
+import { addGroupEntries, countEntered, countRemaining, getGroupSize, removeGroupEntries } from './lib/groupTickets'
+import { computeScanStats } from './lib/scanStats'
+import { getDeviceId } from './lib/deviceId'
+import { randomId } from './lib/randomId'
+import { auditFileName, downloadFile, toAuditCsv, toAuditJson, toIncidentCsv } from './lib/auditLog'
+import { loadSettings, needsScannerRestart, saveSettings } from './lib/settings'
+import { LANGUAGES, createMessageError, describeError, translateMessage } from './lib/i18n'
+import { KIOSK_IDLE_AFTER, createWakeLock, loadKioskMode, saveKioskMode } from './lib/kiosk'
+import SettingsPanel from './components/SettingsPanel'
+import CameraControls from './components/CameraControls'
+import ManualEntry from './components/ManualEntry'
+import ImageScan from './components/ImageScan'
+import StatsDashboard from './components/StatsDashboard'
+import UpdatePrompt from './components/UpdatePrompt'
+import SupervisorPanel from './components/SupervisorPanel'
+import GroupAdmit from './components/GroupAdmit'
+import KioskResult from './components/KioskResult'
+import KioskAttract from './components/KioskAttract'
+import KioskExit from './components/KioskExit'
+import Message from './components/Message'
+import {
+  EVENT_ID,
+  GATE_ID,
+  KIOSK_PIN,
+  SUPERVISOR_PIN,
+  SYNC_URL,
+  TICKET_PUBLIC_KEY,
+  VALIDATION_TOKEN,
+  VALIDATION_URL,
+  WEBHOOK_HEADERS,
+  WEBHOOK_TOKEN,
+  WEBHOOK_URL
+} from './config'
 import './App.css'
 
-function App() {
+// Torch and zoom state when no camera is running or the camera lacks them
+const NO_CAMERA_FEATURES = { torch: null, zoom: null }
+
+// Camera watchdog status before the first incident
+const HEALTHY_CAMERA = { recovering: false, recoveries: 0, failed: false }
+
+// Dev server addresses for the HTTPS help, shown as code inside translated text
+const LOCALHOST_CODES = {
+  localhost: <code>localhost:3000</code>,
+  loopback: <code>127.0.0.1:3000</code>,
+}
+
+// playSound type and vibration setting for each feedback kind (see feedback.js)
+const FEEDBACK_SIGNALS = {
+  success: ['success', 'successVibration'],
+  duplicate: ['duplicate', 'duplicateVibration'],
+  zone: ['zone', 'zoneVibration'],
+  invalid: ['error', 'errorVibration'],
+}
+
+// Result card icon for each scan status; the title is the 'result.<status>' message
+const RESULT_HEADERS = {
+  success: { icon: '✓', iconClass: 'success-icon' },
+  reentry: { icon: '↻', iconClass: 'success-icon' },
+  exit: { icon: '→', iconClass: 'exit-icon' },
+  'not-inside': { icon: '⚠', iconClass: 'error-icon' },
+  duplicate: { icon: '⚠', iconClass: 'error-icon' },
+  invalid: { icon: '✕', iconClass: 'invalid-icon' },
+  'wrong-zone': { icon: '⛔', iconClass: 'zone-icon' },
+  forged: { icon: '✕', iconClass: 'invalid-icon' },
+  expired: { icon: '⌛', iconClass: 'expired-icon' },
+  verifying: { icon: '…', iconClass: 'verifying-icon' },
+  voided: { icon: '⊘', iconClass: 'invalid-icon' },
+  forced: { icon: '✓', iconClass: 'success-icon' },
+  'group-pending': { icon: '👥', iconClass: 'group-icon' },
+  'group-entry': { icon: '👥', iconClass: 'success-icon' },
+}
+
+// `session` is the event session being scanned ({ id, name }); `onSwitchEvent` opens the event picker.
+// `t` translates UI text (see i18n.js); `onLanguageChange` switches the UI language.
+function App({ session, onSwitchEvent, t, onLanguageChange }) {
   const [isScanning, setIsScanning] = useState(false)
   const [scannedData, setScannedData] = useState(null)
-  const [scanStatus, setScanStatus] = useState(null) // 'success', 'duplicate', null
+  const [scanStatus, setScanStatus] = useState(null) // A RESULT_HEADERS key, or null
   const [scanHistory, setScanHistory] = useState([])
   const [error, setError] = useState(null)
   const [isInitializing, setIsInitializing] = useState(false)
   const [permissionStatus, setPermissionStatus] = useState('prompt') // 'prompt', 'granted', 'denied'
   const [showPermissionPrompt, setShowPermissionPrompt] = useState(true)
   const [isSecureContext, setIsSecureContext] = useState(true)
+  const [manifestSize, setManifestSize] = useState(0)
+  const [manifestError, setManifestError] = useState(null)
+  const [syncState, setSyncState] = useState({ status: 'offline', pending: 0 })
+  const [webhookState, setWebhookState] = useState({ pending: 0, failed: 0, deliveries: {} })
+  const [exportError, setExportError] = useState(null)
+  // This event's storage. Kept for the whole mount, so saves still finishing
+  // after a switch to another event go to this event's database.
+  const [store] = useState(() => openSessionStore(session.id))
+  useEffect(() => store.retain(), [store])
+  const [settings, setSettings] = useState(() => loadSettings(session.id))
+  const [showSettings, setShowSettings] = useState(false)
+  const [cameras, setCameras] = useState([]) // Available cameras for the picker
+  const [cameraFeatures, setCameraFeatures] = useState(NO_CAMERA_FEATURES) // Torch / zoom support of the running camera
+  const [cameraHealth, setCameraHealth] = useState(HEALTHY_CAMERA) // Watchdog status: { recovering, recoveries, failed }
+  const [imageScan, setImageScan] = useState(null) // Progress of the last image batch: { total, results, isRunning }
+  const [insideCount, setInsideCount] = useState(0) // Admitted tickets currently in the venue
+  const [showStats, setShowStats] = useState(false)
+  const [flash, setFlash] = useState(null) // { kind, id } while the full-screen flash shows
+  const [announcement, setAnnouncement] = useState('') // Latest result for the aria-live region
+  const [supervisorTicket, setSupervisorTicket] = useState(null) // Prefilled ticket ID while the supervisor panel is open, '' for none
+  const [statsVersion, setStatsVersion] = useState(0) // Bumped when the scan log changes or the chart needs to roll
+  const [isKiosk, setIsKiosk] = useState(() => Boolean(KIOSK_PIN) && loadKioskMode()) // Attendee-facing self-service mode
+  const [showKioskExit, setShowKioskExit] = useState(false)
+  const [showAttract, setShowAttract] = useState(false) // Idle kiosk welcome screen
+  const [kioskActivity, setKioskActivity] = useState(0) // Bumped on every touch, restarts the idle timer
+  const [isScreenAwake, setIsScreenAwake] = useState(true) // Whether kiosk mode holds a screen wake lock
   const scannerRef = useRef(null)
-  const html5QrCodeRef = useRef(null)
+  const engineRef = useRef(null) // Camera scanner engine, see scannerEngine.js
+  const decodeHandlerRef = useRef(null) // Latest handleScanSuccess, called for every camera decode
+  const watchdogRef = useRef(null) // Camera watchdog, see cameraWatchdog.js
+  const fileScannerRef = useRef(null) // Separate Html5Qrcode instance for decoding image files
+  const presenceRef = useRef(new Map()) // ticketId -> latest { ticketId, state: 'inside' | 'outside', changedAt, deviceId }; admitted tickets without one are inside
+  const voidsRef = useRef(new Map()) // ticketId -> { ticketId, voidedAt, reason, deviceId } for tickets voided by a supervisor
+  const undoneRef = useRef(new Map()) // ticketId -> scannedAt of the admission a supervisor undid
+  const scanLogRef = useRef([]) // Every scan attempt on this device, oldest first - source for the statistics
   const lastScanRef = useRef({ code: null, timestamp: 0 })
-  const scannedCodesRef = useRef(new Set()) // Track all scanned QR codes
+  const scannedCodesRef = useRef(new Map()) // ticketId -> earliest admission { ticketId, scannedAt, deviceId, gateId }, from any gate
+  const manifestRef = useRef(new Map()) // ticketId -> manifest entry, empty when no guest list is loaded
   const wasScanningRef = useRef(false) // Track if scanner was running before page went to background
-  const DEBOUNCE_TIME = 2000 // 2 seconds debounce
+  const isStoreReadyRef = useRef(false) // Scans are ignored until stored history has been restored
+  const storeRestoreRef = useRef(null) // Promise that resolves once stored scans are restored
+  const gateSyncRef = useRef(null) // Gate sync instance, null when sync is disabled
+  const webhookRef = useRef(null) // Webhook delivery queue, null when no endpoint is configured
+  const activeCameraRef = useRef(null) // Label of the camera the scanner is running on, for the audit log
+  const settingsRef = useRef(settings) // Latest settings for scanner callbacks that outlive a render
+  const resultTimerRef = useRef(null) // Hides the result card after resultDuration
+  const pendingGroupRef = useRef(null) // Group ticket scan waiting for the operator to choose how many are entering
+  const isKioskRef = useRef(isKiosk) // Read when the camera starts - kiosks use the front camera
+  const tRef = useRef(t) // Latest translator for callbacks that outlive a render
+  tRef.current = t
 
   // Calculate responsive QR box size
   const getQrBoxSize = () => {
+    const { qrboxPercent, qrboxMin, qrboxMax } = settingsRef.current
     const width = window.innerWidth
     const height = window.innerHeight
     const minDimension = Math.min(width, height)
-    // Use 80% of screen width, but max 300px and min 200px
-    const size = Math.min(Math.max(minDimension * 0.8, 200), 300)
+    // Use a share of the smaller screen dimension, clamped to the configured min/max
+    const size = Math.min(Math.max(minDimension * (qrboxPercent / 100), qrboxMin), qrboxMax)
     return { width: size, height: size }
   }
 
@@ -49,6 +184,9 @@ function App() {
 
   // Play sound feedback
   const playSound = (type) => {
+    const { soundEnabled, successTone, duplicateTone, errorTone } = settingsRef.current
+    if (!soundEnabled) return
+
     try {
       initAudioContext()
       if (!audioContextRef.current) return
@@ -62,19 +200,42 @@ function App() {
 
       if (type === 'success') {
         // Success sound: two beeps (higher pitch)
-        oscillator.frequency.setValueAtTime(800, audioContext.currentTime)
-        oscillator.frequency.setValueAtTime(1000, audioContext.currentTime + 0.1)
+        oscillator.frequency.setValueAtTime(successTone, audioContext.currentTime)
+        oscillator.frequency.setValueAtTime(successTone * 1.25, audioContext.currentTime + 0.1)
         gainNode.gain.setValueAtTime(0.3, audioContext.currentTime)
         gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.2)
         oscillator.start(audioContext.currentTime)
         oscillator.stop(audioContext.currentTime + 0.2)
+      } else if (type === 'duplicate') {
+        // Duplicate: two equal beeps with a gap - same rhythm as a knock, unlike the rising success
+        const start = audioContext.currentTime
+        oscillator.frequency.setValueAtTime(duplicateTone, start)
+        gainNode.gain.setValueAtTime(0.3, start)
+        gainNode.gain.setValueAtTime(0.001, start + 0.12)
+        gainNode.gain.setValueAtTime(0.3, start + 0.22)
+        gainNode.gain.exponentialRampToValueAtTime(0.01, start + 0.34)
+        oscillator.start(start)
+        oscillator.stop(start + 0.34)
       } else if (type === 'error') {
-        // Error sound: lower beep
-        oscillator.frequency.setValueAtTime(400, audioContext.currentTime)
-        gainNode.gain.setValueAtTime(0.3, audioContext.currentTime)
-        gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.3)
+        // Invalid: one long, low buzz
+        oscillator.type = 'square'
+        oscillator.frequency.setValueAtTime(errorTone, audioContext.currentTime)
+        gainNode.gain.setValueAtTime(0.2, audioContext.currentTime)
+        gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5)
         oscillator.start(audioContext.currentTime)
-        oscillator.stop(audioContext.currentTime + 0.3)
+        oscillator.stop(audioContext.currentTime + 0.5)
+      } else if (type === 'zone') {
+        // Wrong zone: falling two-tone, repeated - distinct from the single error beep
+        const start = audioContext.currentTime
+        for (const offset of [0, 0.3]) {
+          oscillator.frequency.setValueAtTime(errorTone * 1.5, start + offset)
+          oscillator.frequency.setValueAtTime(errorTone, start + offset + 0.12)
+        }
+        gainNode.gain.setValueAtTime(0.3, start)
+        gainNode.gain.setValueAtTime(0.3, start + 0.5)
+        gainNode.gain.exponentialRampToValueAtTime(0.01, start + 0.6)
+        oscillator.start(start)
+        oscillator.stop(start + 0.6)
       }
     } catch (err) {
       console.log("Sound not available:", err)
@@ -83,6 +244,8 @@ function App() {
 
   // Vibrate device (mobile)
   const vibrate = (pattern) => {
+    if (!settingsRef.current.vibrationEnabled) return
+
     try {
       if (navigator.vibrate) {
         navigator.vibrate(pattern)
@@ -92,16 +255,24 @@ function App() {
     }
   }
 
-  // Trigger success feedback
-  const triggerSuccessFeedback = () => {
-    playSound('success')
-    vibrate([100, 50, 100]) // Short vibration pattern
-  }
+  // Tell the operator the result every way that is enabled: tone, vibration,
+  // full-screen flash, screen reader announcement and speech
+  const giveFeedback = (status, details) => {
+    const kind = getFeedbackKind(status)
+    const [sound, vibrationKey] = FEEDBACK_SIGNALS[kind]
+    const { flashEnabled, speechEnabled } = settingsRef.current
 
-  // Trigger error/duplicate feedback
-  const triggerErrorFeedback = () => {
-    playSound('error')
-    vibrate([200, 100, 200]) // Longer vibration pattern for error
+    playSound(sound)
+    vibrate(settingsRef.current[vibrationKey])
+    if (flashEnabled) {
+      const id = Date.now()
+      setFlash({ kind, id })
+      setTimeout(() => setFlash(prev => (prev && prev.id === id ? null : prev)), 600)
+    }
+    setAnnouncement(describeForScreenReader(status, details, tRef.current))
+    if (speechEnabled) {
+      speak(describeForSpeech(status, details, tRef.current), tRef.current.language)
+    }
   }
 
   // Check if we're in a secure context (HTTPS or localhost)
@@ -133,7 +304,7 @@ function App() {
 
       // Check if camera is supported
       if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        throw new Error("Camera not supported. Please use a device with a camera.")
+        throw new Error(tRef.current('error.notSupported'))
       }
 
       console.log("Requesting camera permission...")
@@ -169,176 +340,229 @@ function App() {
         setError(`HTTPS_REQUIRED:${hostname}`)
       } else if (err.name === 'NotAllowedError' || err.name === 'PermissionDeniedError') {
         setPermissionStatus('denied')
-        setError("Camera permission denied. Please allow camera access in your browser settings and try again.")
+        setError(tRef.current('error.permissionDenied'))
       } else if (err.name === 'NotFoundError' || err.name === 'DevicesNotFoundError') {
-        setError("No camera found. Please use a device with a camera.")
+        setError(tRef.current('error.noCamera'))
       } else {
-        setError(err.message || "Failed to access camera. Please check permissions.")
+        setError(err.message || tRef.current('error.cameraAccess'))
       }
     }
   }
 
-  const startScanner = async () => {
-    try {
-      // Ensure the reader element exists
-      const readerElement = document.getElementById("reader")
-      if (!readerElement) {
-        throw new Error("Scanner container not found. Please refresh the page.")
-      }
-
-      // Clear any existing content in reader to avoid conflicts
-      readerElement.innerHTML = ''
-      console.log("Reader element cleared and ready")
+  // Restore persisted scans and the guest list so previously admitted tickets stay admitted after a reload
+  const restoreStoredScans = () => {
+    if (!storeRestoreRef.current) {
+      const manifestRestore = store.loadManifest()
+        .then((tickets) => {
+          manifestRef.current = indexManifest(tickets)
+          setManifestSize(manifestRef.current.size)
+        })
+        .catch(err => console.error("Failed to restore manifest:", err))
 
-      const html5QrCode = new Html5Qrcode("reader")
-      html5QrCodeRef.current = html5QrCode
+      const admissionsRestore = Promise.all([store.loadAdmissions(), store.loadPresence(), store.loadVoids(), store.loadUndoneAdmissions()])
+        .then(([admissions, presence, voids, undone]) => {
+          admissions.forEach(admission => scannedCodesRef.current.set(admission.ticketId, admission))
+          presence.forEach(entry => presenceRef.current.set(entry.ticketId, entry))
+          voids.forEach(voided => voidsRef.current.set(voided.ticketId, voided))
+          undone.forEach(entry => undoneRef.current.set(entry.ticketId, entry.scannedAt))
+          setInsideCount(countInside())
+          console.log(`Restored ${admissions.length} used tickets`)
+        })
+        .catch((err) => {
+          // Keep scanning with in-memory state only
+          console.error("Failed to restore used tickets:", err)
+        })
 
-      const qrBoxSize = getQrBoxSize()
-      console.log("QR box size calculated:", qrBoxSize)
+      const historyRestore = store.loadScans()
+        .then((records) => {
+          scanLogRef.current = records
+          setStatsVersion(v => v + 1)
+          const accepted = records.filter(record => (
+            ENTERING_STATUSES.includes(record.status) || LEAVING_STATUSES.includes(record.status)
+          ))
+          setScanHistory(
+            accepted
+              .slice(-10)
+              .reverse()
+              .map(record => ({
+                text: record.ticketId,
+                timestamp: record.scannedAt,
+                isDuplicate: false,
+                isManual: record.source === 'manual',
+                isExit: record.status === 'exit',
+                isOverride: record.status === 'forced',
+                format: record.format || null
+              }))
+          )
+        })
+        .catch(err => console.error("Failed to restore scan history:", err))
 
-      // Try with simplified config first (better for mobile)
-      const config = {
-        fps: 10, // Start with lower FPS for mobile compatibility
-        qrbox: qrBoxSize,
-        aspectRatio: 1.0,
-        disableFlip: false,
-        // Remove videoConstraints for better mobile compatibility
-      }
+      storeRestoreRef.current = Promise.all([manifestRestore, admissionsRestore, historyRestore])
+        .finally(() => {
+          isStoreReadyRef.current = true
+        })
+    }
+    return storeRestoreRef.current
+  }
 
-      // Try back camera first - html5-qrcode accepts string or object
-      console.log("Starting QR scanner with config:", config)
-      
-      // Small delay to ensure DOM is ready
-      await new Promise(resolve => setTimeout(resolve, 100))
-      
-      try {
-        // Try with object format first (back camera)
-        await html5QrCode.start(
-          { facingMode: "environment" },
-          config,
-          (decodedText, decodedResult) => {
-            console.log("QR Code detected:", decodedText)
-            handleScanSuccess(decodedText, decodedResult)
-          },
-          (errorMessage) => {
-            // Ignore scanning errors, just continue
-            if (!errorMessage.includes("NotFoundException")) {
-              console.log("Scan error (ignored):", errorMessage)
-            }
-          }
-        )
-        console.log("QR scanner started successfully with back camera")
-      } catch (backCameraError) {
-        console.log("Back camera failed, trying any camera:", backCameraError)
-        // Fallback: try with string format or any camera
-        try {
-          await html5QrCode.start(
-            "environment", // String format
-            config,
-            (decodedText, decodedResult) => {
-              console.log("QR Code detected:", decodedText)
-              handleScanSuccess(decodedText, decodedResult)
-            },
-            (errorMessage) => {
-              if (!errorMessage.includes("NotFoundException")) {
-                console.log("Scan error (ignored):", errorMessage)
-              }
-            }
-          )
-          console.log("QR scanner started with string format")
-        } catch (stringError) {
-          // Last resort: try user-facing camera or any available
-          console.log("Environment camera failed, trying user camera:", stringError)
-          await html5QrCode.start(
-            { facingMode: "user" },
-            config,
-            (decodedText, decodedResult) => {
-              console.log("QR Code detected:", decodedText)
-              handleScanSuccess(decodedText, decodedResult)
-            },
-            (errorMessage) => {
-              if (!errorMessage.includes("NotFoundException")) {
-                console.log("Scan error (ignored):", errorMessage)
-              }
-            }
-          )
-          console.log("QR scanner started with user camera")
-        }
-      }
-      
+  // Mirror the scanner engine's state in the UI
+  const handleScannerState = (state) => {
+    if (state === 'starting') {
+      setIsInitializing(true)
+    } else if (state === 'running') {
       setIsScanning(true)
       setIsInitializing(false)
       wasScanningRef.current = true // Mark that scanner was running
-      
-      // Verify video element exists after a short delay
-      setTimeout(() => {
-        const video = document.querySelector("#reader video")
-        if (video) {
-          console.log("Video element found:", video)
-          console.log("Video dimensions:", video.videoWidth, "x", video.videoHeight)
-          // Check if video is actually playing
-          if (video.readyState >= 2) {
-            console.log("Video is playing")
-          } else {
-            console.warn("Video element exists but not playing yet")
-          }
-        } else {
-          console.warn("Video element not found in #reader")
-          // Try to find it in different locations
-          const allVideos = document.querySelectorAll("video")
-          console.log("Found video elements:", allVideos.length)
-          if (allVideos.length > 0) {
-            console.log("Video found elsewhere, checking...")
-          }
-        }
-      }, 1500)
-    } catch (err) {
-      console.error("Scanner error:", err)
-      setError(err.message || "Failed to start camera. Please check permissions.")
+      activeCameraRef.current = describeActiveCamera()
+      readCameraFeatures()
+      loadCameraList()
+    } else if (state === 'idle') {
       setIsScanning(false)
       setIsInitializing(false)
-      
-      // If html5QrCode was created, clean it up
-      if (html5QrCodeRef.current) {
-        try {
-          const scanner = html5QrCodeRef.current
-          if (scanner && scanner.isScanning && scanner.isScanning()) {
-            await scanner.stop()
-          }
-          await scanner.clear()
-        } catch (cleanupErr) {
-          console.error("Cleanup error:", cleanupErr)
+      setCameraFeatures(NO_CAMERA_FEATURES)
+    }
+  }
+
+  // Created once; callbacks only touch refs and state setters, which stay valid across renders
+  if (!engineRef.current) {
+    engineRef.current = createScannerEngine({
+      elementId: "reader",
+      getOptions: () => ({
+        ...settingsRef.current,
+        qrbox: getQrBoxSize(),
+        // Kiosks face the attendee, so the front camera replaces the operator's choice
+        ...(isKioskRef.current ? { cameraId: '', facingMode: 'user' } : {})
+      }),
+      beforeStart: async () => {
+        // Never accept tickets before stored scans are known
+        await restoreStoredScans()
+
+        // Ensure the reader element exists
+        const readerElement = document.getElementById("reader")
+        if (!readerElement) {
+          throw createMessageError('error.scannerContainer')
         }
-        html5QrCodeRef.current = null
+        // Clear any existing content in reader to avoid conflicts
+        readerElement.innerHTML = ''
+      },
+      onDecode: (decodedText, decodedResult) => {
+        console.log("QR Code detected:", decodedText)
+        decodeHandlerRef.current(decodedText, decodedResult)
+      },
+      onStateChange: handleScannerState,
+      onError: (err) => {
+        // While the watchdog is still retrying, its banner tells the operator what's going on
+        if (watchdogRef.current && watchdogRef.current.getStatus().recovering) return
+        setError(describeError(err, tRef.current, 'error.cameraStart'))
       }
-    }
+    })
   }
 
+  const startScanner = () => engineRef.current.start()
+
   const stopScanning = async () => {
+    wasScanningRef.current = false // Mark that scanner is stopped
+    await engineRef.current.stop()
+  }
+
+  // List the device's cameras for the picker (labels are only available once permission is granted)
+  const loadCameraList = async () => {
     try {
-      if (html5QrCodeRef.current) {
-        await html5QrCodeRef.current.stop()
-        await html5QrCodeRef.current.clear()
-        html5QrCodeRef.current = null
-      }
-      setIsScanning(false)
-      wasScanningRef.current = false // Mark that scanner is stopped
+      const devices = await Html5Qrcode.getCameras()
+      setCameras(devices)
     } catch (err) {
-      console.error("Error stopping scanner:", err)
-      wasScanningRef.current = false
+      console.log("Could not list cameras:", err)
+    }
+  }
+
+  // Read torch / zoom support from the running video track
+  const readCameraFeatures = () => {
+    try {
+      const capabilities = engineRef.current.getScanner().getRunningTrackCameraCapabilities()
+      const torch = capabilities.torchFeature()
+      const zoom = capabilities.zoomFeature()
+      setCameraFeatures({
+        torch: torch.isSupported() ? { on: Boolean(torch.value()) } : null,
+        zoom: zoom.isSupported()
+          ? { min: zoom.min(), max: zoom.max(), step: zoom.step(), value: zoom.value() || zoom.min() }
+          : null
+      })
+    } catch (err) {
+      console.log("Camera capabilities not available:", err)
+      setCameraFeatures(NO_CAMERA_FEATURES)
+    }
+  }
+
+  const toggleTorch = async () => {
+    const scanner = engineRef.current.getScanner()
+    if (!scanner || !cameraFeatures.torch) return
+    const on = !cameraFeatures.torch.on
+    try {
+      await scanner.getRunningTrackCameraCapabilities().torchFeature().apply(on)
+      setCameraFeatures(prev => ({ ...prev, torch: { on } }))
+    } catch (err) {
+      console.error("Could not switch torch:", err)
+    }
+  }
+
+  const changeZoom = async (value) => {
+    const scanner = engineRef.current.getScanner()
+    if (!scanner || !cameraFeatures.zoom) return
+    setCameraFeatures(prev => ({ ...prev, zoom: { ...prev.zoom, value } }))
+    try {
+      await scanner.getRunningTrackCameraCapabilities().zoomFeature().apply(value)
+    } catch (err) {
+      console.error("Could not apply zoom:", err)
     }
   }
 
+  // Remember the chosen camera and restart on it
+  const selectCamera = (cameraId) => {
+    handleSaveSettings({ ...settingsRef.current, cameraId })
+  }
+
+  // Name of the running camera (track label, or facing mode when labels are hidden)
+  const describeActiveCamera = () => {
+    const video = document.querySelector("#reader video")
+    const track = video && video.srcObject && video.srcObject.getVideoTracks()[0]
+    if (!track) return null
+    const settings = track.getSettings ? track.getSettings() : {}
+    return track.label || settings.facingMode || settings.deviceId || null
+  }
+
   // Check if camera is actually working
   const checkCameraWorking = () => {
     const video = document.querySelector("#reader video")
     if (video) {
-      // Check if video is playing
+      // Check if video is playing on a live track
+      const track = video.srcObject && video.srcObject.getVideoTracks()[0]
+      if (track && track.readyState === 'ended') return false
       return video.readyState >= 2 && video.videoWidth > 0 && video.videoHeight > 0
     }
     return false
   }
 
+  // Persist a camera incident found by the watchdog. The same incident is saved
+  // again with its outcome once the camera is back or the watchdog gives up.
+  const logCameraIncident = (incident) => {
+    store.saveIncident({
+      ...incident,
+      camera: activeCameraRef.current,
+      deviceId: getDeviceId(),
+      gateId: GATE_ID || null
+    }).catch(err => console.error("Failed to save camera incident:", err))
+  }
+
+  const handleCameraHealth = (status) => {
+    setCameraHealth(status)
+    if (status.failed) {
+      wasScanningRef.current = false
+      setError(tRef.current('error.cameraFailed'))
+    } else if (!status.recovering && status.recoveries > 0) {
+      setError(null)
+    }
+  }
+
   // Restart scanner if it was running before
   // Restart scanner if it was running before (wrapped in useCallback to access latest state)
   const restartScannerIfNeeded = useCallback(async () => {
@@ -351,91 +575,618 @@ function App() {
       
       if (!isScanning || !isWorking) {
         console.log("Page became visible - restarting camera scanner...")
-        setIsInitializing(true)
         setError(null)
-        
-        try {
-          // Stop any existing scanner first
-          if (html5QrCodeRef.current) {
-            try {
-              await html5QrCodeRef.current.stop()
-              await html5QrCodeRef.current.clear()
-            } catch (e) {
-              console.log("Error cleaning up old scanner:", e)
-            }
-            html5QrCodeRef.current = null
-          }
-          
-          // Small delay before restarting
-          await new Promise(resolve => setTimeout(resolve, 500))
-          
-          // Restart the scanner
-          await startScanner()
-        } catch (err) {
-          console.error("Error restarting scanner:", err)
-          setError("Camera lost connection. Please refresh the page.")
-          setIsInitializing(false)
+
+        // Stop any existing scanner first, with a small delay before restarting
+        const restarted = await engineRef.current.restart({ delay: 500 })
+        if (!restarted) {
+          setError(tRef.current('error.cameraLost'))
           wasScanningRef.current = false
         }
       }
     }
   }, [isScanning, permissionStatus])
 
-  const handleScanSuccess = (decodedText, decodedResult) => {
+  // Count admitted tickets that have not checked out
+  const countInside = () => {
+    let count = 0
+    scannedCodesRef.current.forEach((admission, ticketId) => {
+      if (!isCheckedOut(presenceRef.current, ticketId)) count += countEntered(admission)
+    })
+    return count
+  }
+
+  // Record a ticket moving in or out of the venue and share it with the other gates
+  const updatePresence = (ticketId, state, changedAt) => {
+    const change = { ticketId, state, changedAt, deviceId: getDeviceId() }
+    presenceRef.current.set(ticketId, change)
+    setInsideCount(countInside())
+    store.savePresence(change)
+      .catch(err => console.error("Failed to save presence:", err))
+    if (gateSyncRef.current) {
+      gateSyncRef.current.queuePresence(change)
+        .catch(err => console.error("Failed to queue presence for sync:", err))
+    }
+  }
+
+  const changeGateMode = (gateMode) => {
+    handleSaveSettings({ ...settingsRef.current, gateMode })
+  }
+
+  // Write a scan attempt with full audit fields to the persistent log
+  // `admittedCount` - people let in by this scan, more than one for group tickets
+  const logScanAttempt = ({
+    code,
+    ticketId,
+    status,
+    scannedAt,
+    decodedResult,
+    source,
+    validation = 'local',
+    reason = null,
+    admittedCount = ENTERING_STATUSES.includes(status) ? 1 : 0
+  }) => {
+    const record = {
+      code,
+      ticketId,
+      status,
+      scannedAt,
+      deviceId: getDeviceId(),
+      gateId: GATE_ID || null,
+      source,
+      camera: source === 'camera' ? activeCameraRef.current : null,
+      format: getDecodedFormat(decodedResult),
+      validation,
+      reason,
+      admittedCount
+    }
+    scanLogRef.current.push(record)
+    if (status !== 'debounced') {
+      setStatsVersion(v => v + 1)
+    }
+    store.saveScan(record).catch(err => console.error("Failed to save scan:", err))
+  }
+
+  // Queue an event for the backend webhook. Returns its ID, or null when no webhook is configured.
+  const reportToWebhook = (event) => {
+    if (!webhookRef.current) return null
+    const id = randomId()
+    webhookRef.current.queueEvent({
+      id,
+      eventId: EVENT_ID || null,
+      deviceId: getDeviceId(),
+      gateId: GATE_ID || null,
+      gateMode: settingsRef.current.gateMode,
+      ...event
+    }).catch(err => console.error("Failed to queue webhook event:", err))
+    return id
+  }
+
+  // Statistics are only computed while the dashboard is open
+  const scanStats = useMemo(
+    () => (showStats ? computeScanStats(scanLogRef.current, Date.now()) : null),
+    [showStats, statsVersion]
+  )
+
+  // Scans decided on the device because online validation timed out
+  const reconcileCount = useMemo(
+    () => scanLogRef.current.filter(record => record.validation === 'fallback').length,
+    [statsVersion]
+  )
+
+  // Export the camera incidents the watchdog recorded on this device
+  const exportIncidents = async () => {
+    try {
+      setExportError(null)
+      const incidents = await store.loadIncidents()
+      downloadFile(auditFileName('csv', new Date(), session.name, 'camera-incidents'), toIncidentCsv(incidents), 'text/csv')
+    } catch (err) {
+      console.error("Camera incident export failed:", err)
+      setExportError(t('error.exportIncidents'))
+    }
+  }
+
+  // Export the full audit log of this device
+  const exportAuditLog = async (type) => {
+    try {
+      setExportError(null)
+      const records = await store.loadScans()
+      if (type === 'csv') {
+        downloadFile(auditFileName('csv', new Date(), session.name), toAuditCsv(records), 'text/csv')
+      } else {
+        downloadFile(auditFileName('json', new Date(), session.name), toAuditJson(records), 'application/json')
+      }
+      console.log(`Exported ${records.length} scan log entries as ${type}`)
+    } catch (err) {
+      console.error("Audit log export failed:", err)
+      setExportError(t('error.exportLog'))
+    }
+  }
+
+  // Show a result card. It hides itself after resultDuration (for continuous
+  // scanning) unless it is waiting for the operator.
+  const showResult = (status, data, { autoHide = true } = {}) => {
+    clearTimeout(resultTimerRef.current)
+    setShowAttract(false)
+    setScanStatus(status)
+    setScannedData(data)
+    if (autoHide) {
+      resultTimerRef.current = setTimeout(() => {
+        setScannedData(null)
+        setScanStatus(null)
+      }, settingsRef.current.resultDuration)
+    }
+  }
+
+  const hideResult = () => {
+    clearTimeout(resultTimerRef.current)
+    setScannedData(null)
+    setScanStatus(null)
+  }
+
+  // Store an admission and share it with the other gates
+  const recordAdmission = (admission) => {
+    scannedCodesRef.current.set(admission.ticketId, admission)
+    store.saveAdmissions([admission])
+      .catch(err => console.error("Failed to save admission:", err))
+    if (gateSyncRef.current) {
+      gateSyncRef.current.queueAdmission(admission)
+        .catch(err => console.error("Failed to queue admission for sync:", err))
+    }
+  }
+
+  // Decide on a scanned or typed code. `source` is 'camera', 'manual' (typed in by staff)
+  // or 'image' (decoded from an uploaded file). Resolves to the scan status.
+  const handleScanSuccess = async (decodedText, decodedResult, source = 'camera') => {
+    if (!isStoreReadyRef.current) {
+      console.log("Stored scans not restored yet, ignoring scan")
+      return null
+    }
+
     const now = Date.now()
-    const lastScan = lastScanRef.current
 
-    // Debounce: Skip if same code scanned within debounce time
-    if (lastScan.code === decodedText && (now - lastScan.timestamp) < DEBOUNCE_TIME) {
-      return
+    // Debounce: Skip if same code scanned within debounce time (still logged for the audit trail)
+    if (isDebounced({ code: decodedText, source, now }, lastScanRef.current, settingsRef.current.debounceTime)) {
+      logScanAttempt({ code: decodedText, ticketId: decodedText, status: 'debounced', scannedAt: now, decodedResult, source })
+      return 'debounced'
+    }
+
+    // The camera keeps seeing the group ticket while the operator chooses how many are entering
+    if (source === 'camera' && pendingGroupRef.current && pendingGroupRef.current.code === decodedText) {
+      return 'group-pending'
     }
 
     // Update last scan
     lastScanRef.current = { code: decodedText, timestamp: now }
+    pendingGroupRef.current = null
 
-    // Check if QR code was already scanned
-    const isDuplicate = scannedCodesRef.current.has(decodedText)
+    // Structured payloads (JSON, ticket links, vCards, delimited text) carry the
+    // ticket ID alongside holder details; duplicates are matched on the ID alone
+    let payload = parsePayload(decodedText)
+    let ticketId = payload.ticketId
+    let claims = null
+    let verification = null
 
-    if (isDuplicate) {
-      // Already scanned - show duplicate message
-      setScanStatus('duplicate')
-      setScannedData({
-        text: decodedText,
-        timestamp: new Date().toLocaleTimeString(),
-        raw: decodedResult,
-        isDuplicate: true
+    // When a public key is configured only tickets signed by us are accepted.
+    // Staff typing a plain ticket ID is trusted; a pasted token is still verified.
+    if (TICKET_PUBLIC_KEY && (source !== 'manual' || looksLikeSignedTicket(decodedText))) {
+      verification = await verifyTicketToken(decodedText, {
+        publicKey: TICKET_PUBLIC_KEY,
+        eventId: EVENT_ID,
+        now
       })
-      triggerErrorFeedback()
-      
-      // Auto-reset after showing duplicate message
-      setTimeout(() => {
-        setScannedData(null)
-        setScanStatus(null)
-      }, 2000) // Show duplicate message for 2 seconds
-    } else {
-      // New scan - add to scanned codes and process
-      scannedCodesRef.current.add(decodedText)
-      setScanStatus('success')
-      setScannedData({
-        text: decodedText,
-        timestamp: new Date().toLocaleTimeString(),
+      if (verification.status === 'valid') {
+        ticketId = verification.ticketId
+        claims = verification.claims
+        payload = { ...parseClaims(claims), ticketId }
+      }
+    }
+
+    const ticket = manifestRef.current.get(ticketId) || null
+    const ticketType = getTicketType({ claims, payload, ticket })
+    let online = null
+    let validation = 'local'
+
+    // Online validation: the backend decides whether a ticket gets in. Exit scans
+    // don't admit anyone, so they stay on the device. Forged and voided tickets
+    // are turned away without asking.
+    const { gateMode, onlineValidation, validationTimeout } = settingsRef.current
+    const groupSize = getGroupSize({ claims, payload, ticket })
+    const isRejected = precheckTicket({ verification, voided: voidsRef.current.get(ticketId) }) !== null
+    if (!isRejected && VALIDATION_URL && onlineValidation && gateMode !== 'exit') {
+      showResult('verifying', {
+        text: ticketId,
+        code: decodedText,
+        timestamp: now,
         raw: decodedResult,
-        isDuplicate: false
-      })
-      triggerSuccessFeedback()
+        format: getDecodedFormat(decodedResult),
+        isDuplicate: false,
+        isManual: source === 'manual',
+        status: 'verifying',
+        reason: null,
+        ticket,
+        ticketType,
+        payload,
+        firstAdmission: null
+      }, { autoHide: false })
+
+      try {
+        online = await validateOnline({
+          url: VALIDATION_URL,
+          token: VALIDATION_TOKEN,
+          timeout: validationTimeout,
+          request: {
+            code: decodedText,
+            ticketId,
+            eventId: EVENT_ID || null,
+            deviceId: getDeviceId(),
+            gateId: GATE_ID || null,
+            gateMode,
+            scannedAt: new Date(now).toISOString(),
+            groupSize,
+            admittedCount: countEntered(scannedCodesRef.current.get(ticketId))
+          }
+        })
+        validation = 'online'
+      } catch (err) {
+        // Too slow or unreachable - decide locally and flag the scan for reconciliation
+        console.log("Online validation unavailable, checking on the device:", err)
+        validation = 'fallback'
+      }
+    }
+
+    // Guest list, gate mode, presence, group and zone rules - see admission.js
+    const { status, reason } = decideAdmission(
+      { ticketId, ticketType, groupSize, verification, online },
+      {
+        manifest: manifestRef.current,
+        admissions: scannedCodesRef.current,
+        presence: presenceRef.current,
+        voids: voidsRef.current
+      },
+      settingsRef.current
+    )
+    const scan = {
+      code: decodedText,
+      ticketId,
+      status,
+      reason,
+      scannedAt: now,
+      decodedResult,
+      source,
+      validation,
+      ticket,
+      ticketType,
+      payload,
+      groupSize
+    }
+
+    // Group tickets wait for the operator to say how many of the party are coming in - see admitGroup
+    if (groupSize > 1 && (status === 'success' || status === 'group-entry')) {
+      const remaining = countRemaining(scannedCodesRef.current.get(ticketId), groupSize)
+      pendingGroupRef.current = scan
+      showResult('group-pending', {
+        text: ticketId,
+        code: decodedText,
+        timestamp: now,
+        format: getDecodedFormat(decodedResult),
+        isManual: source === 'manual',
+        status: 'group-pending',
+        reason: null,
+        ticket,
+        ticketType,
+        payload,
+        validation,
+        group: { groupSize, remaining, count: 0 }
+      }, { autoHide: false })
+      setAnnouncement(tRef.current('announce.groupPending', { remaining, groupSize }))
+      return 'group-pending'
+    }
+
+    return completeScan(scan)
+  }
+
+  // Record a decided scan: audit log, backend, used tickets, presence, history,
+  // feedback and the result card. `count` is how many of a group ticket's party came in.
+  const completeScan = (scan, count = 1) => {
+    const { code, ticketId, status, reason, scannedAt, decodedResult, source, validation, ticket, ticketType, payload, groupSize } = scan
+    const isDuplicate = status === 'duplicate'
+    const isGroupEntry = groupSize > 1 && (status === 'success' || status === 'group-entry')
+    const deviceId = getDeviceId()
+    const gateId = GATE_ID || null
+    const admittedCount = ENTERING_STATUSES.includes(status) ? count : 0
+    // The scan log and webhook get the reason in English, so exports read the same on every device
+    const reasonText = translateMessage(reason) || null
+
+    logScanAttempt({ code, ticketId, status, scannedAt, decodedResult, source, validation, reason: reasonText, admittedCount })
+
+    // New scan - add to used tickets and share with the other gates.
+    // Group tickets add this party to the count let in so far.
+    let group = null
+    if (isGroupEntry) {
+      const admission = addGroupEntries(scannedCodesRef.current.get(ticketId), { ticketId, groupSize, count, scannedAt, deviceId, gateId })
+      recordAdmission(admission)
+      group = { groupSize, count, remaining: countRemaining(admission, groupSize) }
+    } else if (status === 'success') {
+      recordAdmission({ ticketId, scannedAt, deviceId, gateId })
+    }
+
+    // Report the result to the ticketing backend
+    const webhookId = reportToWebhook({
+      ticketId,
+      code,
+      status,
+      reason: reasonText,
+      admitted: ENTERING_STATUSES.includes(status),
+      admittedCount,
+      groupSize: groupSize > 1 ? groupSize : null,
+      remaining: group ? group.remaining : null,
+      scannedAt: new Date(scannedAt).toISOString(),
+      validation,
+      source,
+      format: getDecodedFormat(decodedResult),
+      ticketType: ticketType || null
+    })
+
+    if (ENTERING_STATUSES.includes(status) || LEAVING_STATUSES.includes(status)) {
+      updatePresence(ticketId, ENTERING_STATUSES.includes(status) ? 'inside' : 'outside', scannedAt)
 
       // Add to history
       setScanHistory(prev => [
-        { text: decodedText, timestamp: new Date().toLocaleTimeString(), isDuplicate: false },
+        {
+          text: ticketId,
+          timestamp: Date.now(),
+          isDuplicate: false,
+          isManual: source === 'manual',
+          isExit: status === 'exit',
+          format: getDecodedFormat(decodedResult),
+          group,
+          webhookId
+        },
         ...prev.slice(0, 9) // Keep last 10 scans
       ])
+    }
+    giveFeedback(status, {
+      ticketId,
+      ticketType,
+      holderName: (ticket && ticket.holderName) || payload.name,
+      reason
+    })
 
-      // Auto-reset after showing result (for continuous scanning)
-      setTimeout(() => {
-        setScannedData(null)
-        setScanStatus(null)
-      }, 2000) // Show success message for 2 seconds
+    showResult(status, {
+      text: ticketId,
+      code,
+      timestamp: Date.now(),
+      raw: decodedResult,
+      format: getDecodedFormat(decodedResult),
+      isDuplicate,
+      isManual: source === 'manual',
+      status,
+      reason,
+      ticket,
+      ticketType,
+      payload,
+      validation,
+      group,
+      firstAdmission: isDuplicate ? scannedCodesRef.current.get(ticketId) : null
+    })
+
+    return status
+  }
+
+  // The operator chose how many of the group ticket's party are coming in now
+  const admitGroup = (count) => {
+    const scan = pendingGroupRef.current
+    pendingGroupRef.current = null
+    if (!scan) return
+    // Another gate may have let some of the party in meanwhile
+    const remaining = countRemaining(scannedCodesRef.current.get(scan.ticketId), scan.groupSize)
+    if (remaining === 0) {
+      completeScan({ ...scan, status: 'duplicate', reason: { key: 'reason.groupComplete', params: { count: scan.groupSize } } })
+      return
+    }
+    completeScan(scan, Math.max(Math.min(count, remaining), 1))
+  }
+
+  const cancelGroup = () => {
+    pendingGroupRef.current = null
+    hideResult()
+  }
+
+  decodeHandlerRef.current = handleScanSuccess
+
+  // Write a supervisor override to the audit trail and report it to the backend
+  const recordOverride = ({ ticketId, status, reason, changedAt }) => {
+    logScanAttempt({ code: ticketId, ticketId, status, scannedAt: changedAt, decodedResult: null, source: 'supervisor', reason: reason || null })
+    reportToWebhook({
+      ticketId,
+      code: ticketId,
+      status,
+      reason: reason || null,
+      admitted: status === 'forced',
+      scannedAt: new Date(changedAt).toISOString(),
+      source: 'supervisor'
+    })
+  }
+
+  // Let a ticket in despite the checks (e.g. a duplicate with a legitimate reason)
+  const forceAdmit = (ticketId, reason) => {
+    const now = Date.now()
+    if (!scannedCodesRef.current.has(ticketId)) {
+      recordAdmission({ ticketId, scannedAt: now, deviceId: getDeviceId(), gateId: GATE_ID || null })
     }
+    updatePresence(ticketId, 'inside', now)
+    recordOverride({ ticketId, status: 'forced', reason, changedAt: now })
+    giveFeedback('forced', { ticketId, reason })
+
+    setScanHistory(prev => [
+      { text: ticketId, timestamp: now, isDuplicate: false, isOverride: true },
+      ...prev.slice(0, 9)
+    ])
+    showResult('forced', {
+      text: ticketId,
+      code: ticketId,
+      timestamp: now,
+      status: 'forced',
+      reason,
+      ticket: manifestRef.current.get(ticketId) || null,
+      ticketType: '',
+      payload: parsePayload(ticketId)
+    })
+    setSupervisorTicket(null)
+  }
+
+  // Forget a first admission a supervisor took back here or at another gate.
+  // `undone` - { ticketId, scannedAt, deviceId }
+  const forgetAdmission = (undone) => {
+    const { ticketId } = undone
+    scannedCodesRef.current.delete(ticketId)
+    presenceRef.current.delete(ticketId)
+    undoneRef.current.set(ticketId, undone.scannedAt)
+    setInsideCount(countInside())
+    Promise.all([
+      store.removeAdmission(ticketId),
+      store.removePresence(ticketId),
+      store.saveUndoneAdmission(undone)
+    ]).catch(err => console.error("Failed to undo admission:", err))
+  }
+
+  // Take back an admission made on this device. A first admission frees the
+  // ticket again; a re-entry or forced admission just marks it outside. For a
+  // group ticket only the people this scan let in are taken off the count, so
+  // entries made at other gates stay.
+  const undoAdmission = (admission, reason) => {
+    const now = Date.now()
+    const { ticketId } = admission
+    const current = scannedCodesRef.current.get(ticketId)
+    const isGroupEntry = ['success', 'group-entry'].includes(admission.status) && current && current.entries
+    if (isGroupEntry) {
+      const count = admission.admittedCount === undefined ? 1 : admission.admittedCount
+      recordAdmission(removeGroupEntries(current, { count, deviceId: getDeviceId() }))
+      setInsideCount(countInside())
+    } else if (admission.status === 'success' && current && current.scannedAt === admission.scannedAt) {
+      const undone = { ticketId, scannedAt: admission.scannedAt, deviceId: getDeviceId() }
+      forgetAdmission(undone)
+      if (gateSyncRef.current) {
+        gateSyncRef.current.queueUndo(undone)
+          .catch(err => console.error("Failed to queue undo for sync:", err))
+      }
+    } else {
+      updatePresence(ticketId, 'outside', now)
+    }
+    recordOverride({ ticketId, status: 'undo-admission', reason, changedAt: now })
+    setScanHistory(prev => prev.filter(scan => scan.text !== ticketId))
+  }
+
+  // Reject every future scan of a ticket
+  const voidTicket = (ticketId, reason) => {
+    const now = Date.now()
+    const voided = { ticketId, voidedAt: now, reason: reason || null, deviceId: getDeviceId() }
+    voidsRef.current.set(ticketId, voided)
+    store.saveVoid(voided).catch(err => console.error("Failed to save voided ticket:", err))
+    if (gateSyncRef.current) {
+      gateSyncRef.current.queueVoid(voided)
+        .catch(err => console.error("Failed to queue voided ticket for sync:", err))
+    }
+    recordOverride({ ticketId, status: 'void-ticket', reason, changedAt: now })
+    setSupervisorTicket(null)
+  }
+
+  // This device's latest admissions that haven't been undone, newest first
+  const getRecentAdmissions = () => {
+    const deviceId = getDeviceId()
+    const undone = new Map() // ticketId -> undo records not yet matched to an admission
+    const recent = []
+    for (let index = scanLogRef.current.length - 1; index >= 0 && recent.length < 10; index--) {
+      const record = scanLogRef.current[index]
+      if (record.status === 'undo-admission') {
+        undone.set(record.ticketId, (undone.get(record.ticketId) || 0) + 1)
+      } else if (ENTERING_STATUSES.includes(record.status) && record.deviceId === deviceId) {
+        if (undone.get(record.ticketId)) {
+          undone.set(record.ticketId, undone.get(record.ticketId) - 1)
+        } else {
+          recent.push(record)
+        }
+      }
+    }
+    return recent
+  }
+
+  // Ticket code typed or picked in manual entry - same checks as a camera scan
+  const handleManualEntry = (code) => {
+    initAudioContext()
+    handleScanSuccess(code, null, 'manual')
+  }
+
+  const searchTickets = (query) => searchManifest(manifestRef.current, query)
+
+  // Decode tickets from screenshots / photos, one file at a time, through the same checks as camera scans
+  const scanImageFiles = async (files) => {
+    const images = files.filter(file => file.type.startsWith('image/'))
+    if (images.length === 0) {
+      setImageScan({ total: 0, results: [], isRunning: false })
+      return
+    }
+
+    initAudioContext()
+    setImageScan({ total: images.length, results: [], isRunning: true })
+
+    // File scanning needs its own Html5Qrcode instance - the camera one can't scan files while running
+    if (!fileScannerRef.current) {
+      fileScannerRef.current = new Html5Qrcode("file-reader", getDecoderConfig(settingsRef.current.barcodeFormats))
+    }
+
+    for (const file of images) {
+      let status
+      try {
+        const decodedResult = await fileScannerRef.current.scanFileV2(file, false)
+        // Ignored while stored scans are still being restored - try the file again later
+        status = await handleScanSuccess(decodedResult.decodedText, decodedResult, 'image') || 'not-ready'
+        // Nobody is at the desk to say how many of a group are entering - leave
+        // the ticket for the camera instead of letting the next file drop it
+        if (status === 'group-pending') {
+          cancelGroup()
+          status = 'group-skipped'
+        }
+      } catch (err) {
+        console.log(`No code found in ${file.name}:`, err)
+        status = 'unreadable'
+      }
+      const result = { name: file.webkitRelativePath || file.name, status }
+      setImageScan(prev => ({ ...prev, results: [...prev.results, result] }))
+    }
+
+    setImageScan(prev => ({ ...prev, isRunning: false }))
+  }
+
+  // Import a guest list / ticket manifest chosen through the file picker
+  const handleManifestFile = async (event) => {
+    const file = event.target.files && event.target.files[0]
+    event.target.value = '' // Allow re-selecting the same file
+    if (!file) return
+
+    try {
+      setManifestError(null)
+      const tickets = await readManifestFile(file)
+      await store.saveManifest(tickets)
+      manifestRef.current = indexManifest(tickets)
+      setManifestSize(manifestRef.current.size)
+      console.log(`Loaded manifest ${file.name} with ${tickets.length} tickets`)
+    } catch (err) {
+      console.error("Manifest import error:", err)
+      setManifestError(describeError(err, t, 'error.guestListFile'))
+    }
+  }
+
+  const clearManifest = async () => {
+    try {
+      await store.saveManifest([])
+    } catch (err) {
+      console.error("Failed to clear stored manifest:", err)
+    }
+    manifestRef.current = new Map()
+    setManifestSize(0)
+    setManifestError(null)
   }
 
   // Auto-start scanner if permission is already granted
@@ -484,6 +1235,8 @@ function App() {
 
   // Check secure context and permission status on mount
   useEffect(() => {
+    restoreStoredScans()
+
     // Check secure context first
     const secure = checkSecureContext()
     
@@ -581,6 +1334,218 @@ function App() {
     }
   }, [isScanning, permissionStatus, restartScannerIfNeeded])
 
+  // Stop the running scanner and start it again with the current settings
+  const restartScanner = async () => {
+    setError(null)
+    const restarted = await engineRef.current.restart()
+    if (!restarted) {
+      setError(tRef.current('error.cameraRestart'))
+    }
+  }
+
+  // Switch between the operator layout and the attendee-facing kiosk, restarting
+  // a running camera so it swaps between the back and front cameras
+  const setKioskMode = (isOn) => {
+    isKioskRef.current = isOn
+    setIsKiosk(isOn)
+    saveKioskMode(isOn)
+    setShowKioskExit(false)
+    setShowAttract(false)
+    setShowSettings(false)
+    setShowStats(false)
+    setSupervisorTicket(null)
+    if (engineRef.current.getState() === 'running') {
+      restartScanner()
+    }
+  }
+
+  // Save settings and apply them to the running scanner
+  const handleSaveSettings = (nextSettings) => {
+    const previous = settingsRef.current
+    settingsRef.current = nextSettings
+    setSettings(nextSettings)
+    saveSettings(nextSettings, session.id)
+    setShowSettings(false)
+
+    // The file scanner picks up a new format selection on its next use
+    if (String(previous.barcodeFormats) !== String(nextSettings.barcodeFormats)) {
+      fileScannerRef.current = null
+    }
+
+    if (needsScannerRestart(previous, nextSettings) && engineRef.current.getState() === 'running') {
+      console.log("Scanner settings changed - restarting scanner")
+      restartScanner()
+    }
+  }
+
+  // Merge used tickets reported by other gates - the earliest admission wins
+  const handleRemoteAdmissions = (records) => {
+    const changed = []
+    records.forEach((record) => {
+      // Our own admission echoed back after a supervisor undid it
+      if (undoneRef.current.get(record.ticketId) === record.scannedAt) return
+      const existing = scannedCodesRef.current.get(record.ticketId)
+      const merged = mergeAdmission(existing, record)
+      if (merged !== existing) {
+        scannedCodesRef.current.set(record.ticketId, merged)
+        changed.push(merged)
+      }
+    })
+    if (changed.length > 0) {
+      setInsideCount(countInside())
+      console.log(`Sync: ${changed.length} used tickets updated from other gates`)
+      store.saveAdmissions(changed).catch(err => console.error("Failed to save synced admissions:", err))
+    }
+  }
+
+  // Merge check-ins and check-outs from other gates - the latest change wins
+  const handleRemotePresence = (records) => {
+    const changed = []
+    records.forEach(({ kind, ...record }) => {
+      const existing = presenceRef.current.get(record.ticketId)
+      if (mergePresence(existing, record) !== existing) {
+        presenceRef.current.set(record.ticketId, record)
+        changed.push(record)
+      }
+    })
+    if (changed.length > 0) {
+      setInsideCount(countInside())
+      console.log(`Sync: ${changed.length} check-ins or check-outs updated from other gates`)
+      Promise.all(changed.map(change => store.savePresence(change)))
+        .catch(err => console.error("Failed to save synced presence:", err))
+    }
+  }
+
+  // Apply voids and undone admissions from supervisors at other gates
+  const handleRemoteOverrides = (records) => {
+    records.forEach(({ kind, ...record }) => {
+      if (kind === 'void') {
+        const existing = voidsRef.current.get(record.ticketId)
+        if (mergeVoid(existing, record) !== existing) {
+          voidsRef.current.set(record.ticketId, record)
+          console.log(`Sync: ticket ${record.ticketId} voided at another gate`)
+          store.saveVoid(record).catch(err => console.error("Failed to save synced voided ticket:", err))
+        }
+        return
+      }
+      if (undoneRef.current.get(record.ticketId) === record.scannedAt) return
+      const current = scannedCodesRef.current.get(record.ticketId)
+      if (current && current.scannedAt === record.scannedAt) {
+        console.log(`Sync: admission of ${record.ticketId} undone at another gate`)
+        forgetAdmission(record)
+      } else {
+        // The admission hasn't arrived yet - make sure it isn't applied when it does
+        undoneRef.current.set(record.ticketId, record.scannedAt)
+        store.saveUndoneAdmission(record).catch(err => console.error("Failed to save synced undo:", err))
+      }
+    })
+  }
+
+  // Overrides first, so an undone admission in the same batch isn't applied
+  const handleRemoteRecords = (records) => {
+    handleRemoteOverrides(records.filter(record => ['void', 'undo'].includes(recordKind(record))))
+    handleRemoteAdmissions(records.filter(record => recordKind(record) === 'admission'))
+    handleRemotePresence(records.filter(record => recordKind(record) === 'presence'))
+  }
+
+  // Start gate sync once stored state is restored
+  useEffect(() => {
+    if (!SYNC_URL) return
+
+    const gateSync = createGateSync({
+      transport: createTransportForUrl(SYNC_URL, {
+        channel: sessionSyncChannel(session),
+        cursor: loadSyncCursor(session.id),
+        onCursor: cursor => saveSyncCursor(session.id, cursor)
+      }),
+      store,
+      onRemoteRecords: handleRemoteRecords,
+      onStatusChange: setSyncState
+    })
+    let isCancelled = false
+
+    restoreStoredScans().then(() => {
+      if (isCancelled) return
+      gateSyncRef.current = gateSync
+      gateSync.start()
+    })
+
+    return () => {
+      isCancelled = true
+      gateSyncRef.current = null
+      gateSync.stop()
+    }
+  }, [])
+
+  // Deliver scan results to the configured webhook, including ones queued in earlier sessions
+  useEffect(() => {
+    if (!WEBHOOK_URL) return
+
+    const delivery = createWebhookDelivery({
+      url: WEBHOOK_URL,
+      store,
+      token: WEBHOOK_TOKEN,
+      headers: WEBHOOK_HEADERS,
+      onStatusChange: setWebhookState
+    })
+    webhookRef.current = delivery
+    delivery.start().catch(err => console.error("Failed to start webhook delivery:", err))
+
+    return () => {
+      webhookRef.current = null
+      delivery.stop()
+    }
+  }, [])
+
+  // Restart the camera when it freezes, disconnects or stops decoding without an error
+  useEffect(() => {
+    const watchdog = createCameraWatchdog({
+      engine: engineRef.current,
+      getVideo: () => document.querySelector("#reader video"),
+      shouldRecover: () => wasScanningRef.current,
+      isPaused: () => document.visibilityState === 'hidden',
+      onIncident: logCameraIncident,
+      onStatusChange: handleCameraHealth
+    })
+    watchdogRef.current = watchdog
+    watchdog.start()
+
+    return () => {
+      watchdogRef.current = null
+      watchdog.stop()
+    }
+  }, [])
+
+  // Keep the kiosk screen on; the Wake Lock API isn't available everywhere
+  useEffect(() => {
+    if (!isKiosk) return
+    const wakeLock = createWakeLock({ onChange: setIsScreenAwake })
+    wakeLock.start()
+    return () => {
+      wakeLock.stop()
+      setIsScreenAwake(true)
+    }
+  }, [isKiosk])
+
+  // Show the attract screen once the kiosk has been left alone for a while.
+  // A group ticket nobody finished choosing for is dropped at the same time.
+  useEffect(() => {
+    if (!isKiosk || showAttract) return
+    const timer = setTimeout(() => {
+      pendingGroupRef.current = null
+      hideResult()
+      setShowAttract(true)
+    }, KIOSK_IDLE_AFTER)
+    return () => clearTimeout(timer)
+  }, [isKiosk, showAttract, scannedData, kioskActivity])
+
+  // Keep the per-minute chart rolling while scanning with the dashboard open
+  useEffect(() => {
+    if (!showStats || !isScanning) return
+    const timer = setInterval(() => setStatsVersion(v => v + 1), 10000)
+    return () => clearInterval(timer)
+  }, [showStats, isScanning])
+
   // Cleanup on unmount
   useEffect(() => {
     return () => {
@@ -589,93 +1554,199 @@ function App() {
   }, [])
 
   return (
-    <div className="app">
-      <div className="header">
-        <h1>Event QR Scanner</h1>
-        <div className="status-indicator">
-          <span className={`status-dot ${isScanning ? 'active' : ''}`}></span>
-          <span>{isScanning ? 'Scanning...' : 'Stopped'}</span>
-        </div>
+    <div
+      className={`app ${settings.highContrast ? 'app-high-contrast' : ''} ${isKiosk ? 'app-kiosk' : ''}`}
+      onPointerDown={isKiosk ? () => setKioskActivity(n => n + 1) : undefined}
+    >
+      <div className="visually-hidden" role="status" aria-live="assertive" aria-atomic="true">
+        {announcement}
       </div>
+      {flash && (
+        <div key={flash.id} className={`feedback-flash feedback-flash-${flash.kind}`} aria-hidden="true">
+          <span className="feedback-flash-symbol">{FLASH_SIGNS[flash.kind].symbol}</span>
+          <span className="feedback-flash-label">{t(`flash.${flash.kind}`)}</span>
+        </div>
+      )}
+      {isKiosk ? (
+        <div className="kiosk-header">
+          <h1>{session.name}</h1>
+          {!isScreenAwake && <span className="kiosk-awake-warning">{t('kiosk.screenMayTurnOff')}</span>}
+          <button
+            type="button"
+            className="kiosk-exit-btn"
+            onClick={() => setShowKioskExit(true)}
+            aria-label={t('kiosk.exitButton')}
+          >
+            🔒
+          </button>
+        </div>
+      ) : (
+        <div className="header">
+          <div className="header-title">
+            <h1>{t('header.title')}</h1>
+            <button
+              type="button"
+              className="event-switch"
+              onClick={onSwitchEvent}
+              disabled={isScanning}
+              title={isScanning ? t('header.stopToSwitch') : t('header.switchEvent')}
+            >
+              {session.name} ▾
+            </button>
+          </div>
+          <div className="status-indicator">
+            <button
+              onClick={() => setShowStats(prev => !prev)}
+              className={`settings-btn ${showStats ? 'settings-btn-active' : ''}`}
+              aria-label={t('header.statistics')}
+              aria-pressed={showStats}
+            >
+              📊
+            </button>
+            <button onClick={() => setShowSettings(true)} className="settings-btn" aria-label={t('header.settings')}>
+              ⚙
+            </button>
+            {SUPERVISOR_PIN && (
+              <button onClick={() => setSupervisorTicket('')} className="settings-btn" aria-label={t('header.supervisor')}>
+                🔑
+              </button>
+            )}
+            {KIOSK_PIN && (
+              <button onClick={() => setKioskMode(true)} className="settings-btn" aria-label={t('header.kiosk')}>
+                🖥
+              </button>
+            )}
+            <select
+              className="language-select"
+              value={t.language}
+              onChange={(event) => onLanguageChange(event.target.value)}
+              aria-label={t('header.language')}
+            >
+              {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                <option key={code} value={code} lang={code}>{label}</option>
+              ))}
+            </select>
+            <span className={`status-dot ${isScanning ? 'active' : ''}`}></span>
+            <span>{isScanning ? t('header.scanning') : t('header.stopped')}</span>
+            <span className="inside-count" title={t('header.insideTitle')}>{t('header.inside', { count: insideCount })}</span>
+            {cameraHealth.recoveries > 0 && (
+              <span className="recovery-count" title={t('header.cameraRestartsTitle')}>
+                {t('header.cameraRestarts', { count: cameraHealth.recoveries })}
+              </span>
+            )}
+            {SYNC_URL && (
+              <span className={`sync-badge sync-${syncState.status}`}>
+                {syncState.status === 'online' ? t('header.synced') : t('header.offline')}
+                {syncState.pending > 0 && ` · ${t('header.pending', { count: syncState.pending })}`}
+              </span>
+            )}
+            {WEBHOOK_URL && (
+              <button
+                type="button"
+                className={`sync-badge webhook-badge ${webhookState.failed > 0 ? 'sync-offline' : 'sync-online'}`}
+                onClick={() => webhookRef.current && webhookRef.current.retryNow()}
+                disabled={webhookState.failed === 0}
+                title={webhookState.failed > 0 ? t('header.backendRetry') : t('header.backendStatus')}
+              >
+                {t('header.backend')}
+                {webhookState.pending > 0 && ` · ${t('header.pending', { count: webhookState.pending })}`}
+                {webhookState.failed > 0 && ` · ${t('header.failed', { count: webhookState.failed })}`}
+                {webhookState.pending === 0 && webhookState.failed === 0 && ' ✓'}
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {scanStats && <StatsDashboard stats={scanStats} onClose={() => setShowStats(false)} t={t} />}
 
       <div className="scanner-container">
+        {isKiosk && (
+          <p className="kiosk-instructions">{t('kiosk.instructions')}</p>
+        )}
         <div id="reader" className="qr-reader"></div>
+        <div id="file-reader" hidden></div>
         {showPermissionPrompt && !isScanning && permissionStatus !== 'granted' && (
           <div className="permission-prompt">
             <div className="permission-icon">📷</div>
-            <h2>Camera Access Required</h2>
+            <h2>{t('permission.title')}</h2>
             {!isSecureContext && (
               <div className="https-warning">
-                <p className="warning-text">⚠️ HTTPS Required</p>
-                <p>Android Chrome requires HTTPS for camera access (except localhost).</p>
+                <p className="warning-text">⚠️ {t('permission.httpsRequired')}</p>
+                <p>{t('permission.httpsExplanation')}</p>
                 <p className="permission-hint">
-                  <strong>Solutions:</strong><br/>
-                  1. Use <code>localhost:3000</code> or <code>127.0.0.1:3000</code><br/>
-                  2. Enable HTTPS in Vite config<br/>
-                  3. Use a tunneling service (ngrok, localtunnel)
+                  <strong>{t('permission.solutions')}</strong><br/>
+                  1. <Message t={t} id="permission.useLocalhost" values={LOCALHOST_CODES} /><br/>
+                  2. {t('permission.enableViteHttps')}<br/>
+                  3. {t('permission.useTunnel')}
                 </p>
               </div>
             )}
             {isSecureContext && (
               <>
-                <p>This app needs camera permission to scan QR codes.</p>
-                <p className="permission-hint">Click the button below to allow camera access</p>
+                <p>{t('permission.explanation')}</p>
+                <p className="permission-hint">{t('permission.hint')}</p>
               </>
             )}
             <button onClick={requestCameraPermission} className="btn btn-primary permission-request-btn">
-              Allow Camera Access
+              {t('permission.allow')}
             </button>
           </div>
         )}
-        {isInitializing && (
+        {cameraHealth.recovering && (
+          <div className="camera-recovering" role="status">
+            <div className="spinner"></div>
+            <p>{t('camera.recovering')}</p>
+            <p className="loading-hint">{t('camera.recoveringHint')}</p>
+          </div>
+        )}
+        {isInitializing && !cameraHealth.recovering && (
           <div className="loading-message">
             <div className="spinner"></div>
-            <p>Starting camera...</p>
-            <p className="loading-hint">Please wait while we initialize the camera</p>
+            <p>{t('camera.starting')}</p>
+            <p className="loading-hint">{t('camera.startingHint')}</p>
           </div>
         )}
         {error && (
           <div className="error-message">
-            <p><strong>Error:</strong> {error.includes('HTTPS_REQUIRED') ? 'HTTPS Required for Camera' : error}</p>
+            <p><strong>{t('error.label')}</strong> {error.includes('HTTPS_REQUIRED') ? t('error.httpsTitle') : error}</p>
             {error.includes('HTTPS_REQUIRED') ? (
               <div className="https-instructions">
                 <p className="error-hint">
-                  <strong>Android Chrome blocks camera on HTTP (except localhost)</strong>
+                  <strong>{t('error.httpsBlocked')}</strong>
                 </p>
                 <div className="solution-list">
                   <div className="solution-item">
-                    <strong>Option 1: Use localhost</strong>
-                    <p>Access via <code>localhost:3000</code> or <code>127.0.0.1:3000</code></p>
+                    <strong>{t('error.httpsOption1')}</strong>
+                    <p><Message t={t} id="error.httpsOption1Detail" values={LOCALHOST_CODES} /></p>
                   </div>
                   <div className="solution-item">
-                    <strong>Option 2: Enable HTTPS in Vite</strong>
-                    <p>Update <code>vite.config.js</code> to use HTTPS</p>
+                    <strong>{t('error.httpsOption2')}</strong>
+                    <p><Message t={t} id="error.httpsOption2Detail" values={{ file: <code>vite.config.js</code> }} /></p>
                   </div>
                   <div className="solution-item">
-                    <strong>Option 3: Use ngrok/localtunnel</strong>
-                    <p>Create HTTPS tunnel: <code>npx localtunnel --port 3000</code></p>
+                    <strong>{t('error.httpsOption3')}</strong>
+                    <p><Message t={t} id="error.httpsOption3Detail" values={{ command: <code>npx localtunnel --port 3000</code> }} /></p>
                   </div>
                   <div className="solution-item">
-                    <strong>Option 4: Manual Chrome Setting</strong>
-                    <p>Chrome Settings → Site Settings → Camera → Allow for this site</p>
-                    <p className="note-text">(May still be blocked on HTTP)</p>
+                    <strong>{t('error.httpsOption4')}</strong>
+                    <p>{t('error.httpsOption4Detail')}</p>
+                    <p className="note-text">{t('error.httpsOption4Note')}</p>
                   </div>
                 </div>
               </div>
             ) : (
               <p className="error-hint">
-                {error.includes("permission") || error.includes("denied")
-                  ? "Please allow camera access in your browser settings" 
-                  : "Make sure you granted camera permissions"}
+                {permissionStatus === 'denied' ? t('error.allowInSettings') : t('error.grantPermission')}
               </p>
             )}
             <div className="error-actions">
               <button onClick={requestCameraPermission} className="retry-btn">
-                Try Again
+                {t('error.tryAgain')}
               </button>
               {permissionStatus === 'denied' && !error.includes('HTTPS_REQUIRED') && (
                 <p className="error-hint" style={{ marginTop: '0.5rem', fontSize: '0.8rem' }}>
-                  If permission was denied, go to Chrome Settings → Site Settings → Camera → Allow
+                  {t('error.deniedHint')}
                 </p>
               )}
             </div>
@@ -683,65 +1754,268 @@ function App() {
         )}
         {!isScanning && !error && !isInitializing && permissionStatus === 'granted' && (
           <div className="info-message">
-            <p>Camera ready. Scanner will start automatically.</p>
+            <p>{t('camera.ready')}</p>
           </div>
         )}
+        {isScanning && !isKiosk && (
+          <CameraControls
+            cameras={cameras}
+            selectedCameraId={settings.cameraId}
+            onSelectCamera={selectCamera}
+            torch={cameraFeatures.torch}
+            onToggleTorch={toggleTorch}
+            zoom={cameraFeatures.zoom}
+            onZoomChange={changeZoom}
+            t={t}
+          />
+        )}
       </div>
 
-      {scannedData && (
-        <div className={`scan-result ${scannedData.isDuplicate ? 'scan-result-duplicate' : 'scan-result-success'}`}>
+      {scannedData && isKiosk && (
+        <KioskResult result={scannedData} onAdmitGroup={admitGroup} onCancelGroup={cancelGroup} t={t} />
+      )}
+
+      {scannedData && !isKiosk && (
+        <div
+          className={`scan-result scan-result-${scannedData.status} ${
+            ['verifying', 'group-pending'].includes(scannedData.status) ? '' : `scan-result-kind-${getFeedbackKind(scannedData.status)}`
+          }`}
+        >
           <div className="result-header">
-            {scannedData.isDuplicate ? (
-              <>
-                <span className="error-icon">⚠</span>
-                <h2>Already Scanned</h2>
-              </>
-            ) : (
-              <>
-                <span className="success-icon">✓</span>
-                <h2>Ticket Scanned</h2>
-              </>
-            )}
+            <span className={RESULT_HEADERS[scannedData.status].iconClass} aria-hidden="true">
+              {RESULT_HEADERS[scannedData.status].icon}
+            </span>
+            <h2>{t(`result.${scannedData.status}`)}</h2>
+            {scannedData.isManual && <span className="manual-badge">{t('result.manual')}</span>}
           </div>
           <div className="result-content">
             <div className="result-item">
-              <label>QR Code:</label>
+              <label>{scannedData.text === scannedData.code ? t('result.code', { format: formatLabel(scannedData.format) || t('result.qrCode') }) : t('result.ticketId')}</label>
               <p className="qr-text">{scannedData.text}</p>
             </div>
+            {scannedData.format && scannedData.text !== scannedData.code && (
+              <div className="result-item">
+                <label>{t('result.barcode')}</label>
+                <p>{formatLabel(scannedData.format)}</p>
+              </div>
+            )}
+            {(scannedData.ticket || scannedData.payload.name) && (
+              <div className="result-item">
+                <label>{t('result.holder')}</label>
+                <p>{(scannedData.ticket && scannedData.ticket.holderName) || scannedData.payload.name || t('common.unnamed')}</p>
+              </div>
+            )}
+            {scannedData.ticketType && (
+              <div className="result-item">
+                <label>{t('result.ticketType')}</label>
+                <p>{scannedData.ticketType}</p>
+              </div>
+            )}
+            {scannedData.payload.seat && (
+              <div className="result-item">
+                <label>{t('result.seat')}</label>
+                <p>{scannedData.payload.seat}</p>
+              </div>
+            )}
+            {((scannedData.ticket && scannedData.ticket.event) || scannedData.payload.event) && (
+              <div className="result-item">
+                <label>{t('result.event')}</label>
+                <p>{(scannedData.ticket && scannedData.ticket.event) || scannedData.payload.event}</p>
+              </div>
+            )}
+            {scannedData.group && scannedData.status !== 'group-pending' && (
+              <div className="result-item">
+                <label>{t('result.group')}</label>
+                <p>{t('result.groupProgress', scannedData.group)}</p>
+              </div>
+            )}
+            {scannedData.status === 'group-pending' && (
+              <GroupAdmit
+                key={`${scannedData.text}-${scannedData.timestamp}`}
+                groupSize={scannedData.group.groupSize}
+                remaining={scannedData.group.remaining}
+                onAdmit={admitGroup}
+                onCancel={cancelGroup}
+                t={t}
+              />
+            )}
+            {scannedData.validation === 'fallback' && (
+              <p className="validation-note">{t('result.fallbackNote')}</p>
+            )}
+            {scannedData.reason && (
+              <div className="invalid-warning">
+                <p>{translateMessage(scannedData.reason, t)}</p>
+              </div>
+            )}
             {scannedData.isDuplicate && (
               <div className="duplicate-warning">
-                <p>This ticket was already scanned before.</p>
+                <p>{t('result.alreadyScanned')}</p>
+                {scannedData.firstAdmission && (
+                  <p className="first-admission">
+                    {t('result.firstAdmitted', {
+                      time: t.formatTime(scannedData.firstAdmission.scannedAt),
+                      gate: scannedData.firstAdmission.gateId || t('result.unnamedGate'),
+                      device: scannedData.firstAdmission.deviceId || t('result.unknownDevice')
+                    })}
+                    {scannedData.firstAdmission.deviceId === getDeviceId() && ` ${t('result.thisDevice')}`}
+                  </p>
+                )}
+                {SUPERVISOR_PIN && (
+                  <button type="button" className="btn-small override-btn" onClick={() => setSupervisorTicket(scannedData.text)}>
+                    {t('result.override')}
+                  </button>
+                )}
               </div>
             )}
             <div className="result-item">
-              <label>Time:</label>
-              <p>{scannedData.timestamp}</p>
+              <label>{t('result.time')}</label>
+              <p>{t.formatTime(scannedData.timestamp)}</p>
             </div>
           </div>
         </div>
       )}
 
+      {!isKiosk && (
+        <div className="gate-mode" role="radiogroup" aria-label={t('gateMode.label')}>
+          {Object.entries(GATE_MODES).map(([mode, labelKey]) => (
+            <button
+              key={mode}
+              role="radio"
+              aria-checked={settings.gateMode === mode}
+              className={`gate-mode-btn ${settings.gateMode === mode ? 'gate-mode-active' : ''}`}
+              onClick={() => changeGateMode(mode)}
+            >
+              {t(labelKey)}
+            </button>
+          ))}
+        </div>
+      )}
+
       <div className="controls">
         {!isScanning ? (
           <button onClick={requestCameraPermission} className="btn btn-primary">
-            {permissionStatus === 'granted' ? 'Start Scanning' : 'Allow Camera & Start'}
+            {permissionStatus === 'granted' ? t('controls.start') : t('controls.allowAndStart')}
           </button>
-        ) : (
+        ) : !isKiosk && (
           <button onClick={stopScanning} className="btn btn-secondary">
-            Stop Scanning
+            {t('controls.stop')}
           </button>
         )}
       </div>
 
-      {scanHistory.length > 0 && (
+      {!isKiosk && (
+        <>
+          <ManualEntry onSubmit={handleManualEntry} onSearch={manifestSize > 0 ? searchTickets : null} t={t} />
+
+          <ImageScan onFiles={scanImageFiles} progress={imageScan} t={t} />
+
+          <div className="tool-panel">
+            <div className="tool-panel-summary">
+              <strong>{t('guestList.title')}</strong>{' '}
+              {manifestSize > 0 ? t('guestList.loaded', { count: manifestSize }) : t('guestList.none')}
+            </div>
+            <div className="tool-panel-actions">
+              <label className="btn-small">
+                {manifestSize > 0 ? t('guestList.replace') : t('guestList.load')}
+                <input
+                  type="file"
+                  accept=".csv,.json,text/csv,application/json"
+                  onChange={handleManifestFile}
+                  hidden
+                />
+              </label>
+              {manifestSize > 0 && (
+                <button onClick={clearManifest} className="btn-small btn-small-danger">
+                  {t('guestList.clear')}
+                </button>
+              )}
+            </div>
+            {manifestError && <p className="tool-panel-error">{manifestError}</p>}
+          </div>
+
+          <div className="tool-panel">
+            <div className="tool-panel-summary">
+              <strong>{t('scanLog.title')}</strong> {t('scanLog.description')}
+              {VALIDATION_URL && reconcileCount > 0 && (
+                <span> · {t('scanLog.toReconcile', { count: reconcileCount })}</span>
+              )}
+            </div>
+            <div className="tool-panel-actions">
+              <button onClick={() => exportAuditLog('csv')} className="btn-small">
+                {t('scanLog.exportCsv')}
+              </button>
+              <button onClick={() => exportAuditLog('json')} className="btn-small">
+                {t('scanLog.exportJson')}
+              </button>
+              <button onClick={exportIncidents} className="btn-small">
+                {t('scanLog.incidents')}
+              </button>
+            </div>
+            {exportError && <p className="tool-panel-error">{exportError}</p>}
+          </div>
+        </>
+      )}
+
+      <UpdatePrompt isScanning={isScanning} t={t} />
+
+      {supervisorTicket !== null && (
+        <SupervisorPanel
+          initialTicketId={supervisorTicket}
+          recentAdmissions={getRecentAdmissions()}
+          onForceAdmit={forceAdmit}
+          onUndo={undoAdmission}
+          onVoid={voidTicket}
+          onClose={() => setSupervisorTicket(null)}
+          t={t}
+        />
+      )}
+
+      {showKioskExit && (
+        <KioskExit onExit={() => setKioskMode(false)} onClose={() => setShowKioskExit(false)} t={t} />
+      )}
+
+      {isKiosk && showAttract && (
+        <KioskAttract eventName={session.name} onDismiss={() => setShowAttract(false)} t={t} />
+      )}
+
+      {showSettings && (
+        <SettingsPanel
+          settings={settings}
+          onSave={handleSaveSettings}
+          onClose={() => setShowSettings(false)}
+          t={t}
+        />
+      )}
+
+      {!isKiosk && scanHistory.length > 0 && (
         <div className="scan-history">
-          <h3>Recent Scans ({scanHistory.length})</h3>
+          <h3>{t('history.title', { count: scanHistory.length })}</h3>
           <div className="history-list">
             {scanHistory.map((scan, index) => (
               <div key={index} className={`history-item ${scan.isDuplicate ? 'history-duplicate' : ''}`}>
-                <span className="history-time">{scan.timestamp}</span>
+                <span className="history-time">{t.formatTime(scan.timestamp)}</span>
                 <span className="history-code">{scan.text.substring(0, 30)}...</span>
-                {scan.isDuplicate && <span className="history-badge">Duplicate</span>}
+                {scan.isDuplicate && <span className="history-badge">{t('history.duplicate')}</span>}
+                {scan.isManual && <span className="history-badge history-badge-manual">{t('history.manual')}</span>}
+                {scan.isExit && <span className="history-badge history-badge-exit">{t('history.exit')}</span>}
+                {scan.isOverride && <span className="history-badge history-badge-override">{t('history.override')}</span>}
+                {scan.group && (
+                  <span className="history-badge history-badge-group">
+                    {t('history.group', scan.group)}
+                  </span>
+                )}
+                {webhookState.deliveries[scan.webhookId] === 'pending' && (
+                  <span className="history-badge history-badge-webhook">{t('history.sending')}</span>
+                )}
+                {webhookState.deliveries[scan.webhookId] === 'failed' && (
+                  <span className="history-badge history-badge-webhook-failed">{t('history.notDelivered')}</span>
+                )}
+                {webhookState.deliveries[scan.webhookId] === 'rejected' && (
+                  <span className="history-badge history-badge-webhook-failed">{t('history.backendRefused')}</span>
+                )}
+                {scan.format && scan.format !== 'QR_CODE' && (
+                  <span className="history-badge history-badge-format">{formatLabel(scan.format)}</span>
+                )}
               </div>
             ))}
           </div>
@@ -0,0 +1,121 @@
+import { useEffect, useState } from 'react'
+import App from './App'
+import EventPicker from './components/EventPicker'
+import {
+  createSession,
+  getActiveSessionId,
+  loadSessions,
+  removeSession,
+  setActiveSessionId,
+  setSessionArchived
+} from './lib/eventSessions'
+import { deleteSessionDatabase, loadSessionScans } from './lib/scanStore'
+import { auditFileName, downloadFile, toAuditCsv, toAuditJson } from './lib/auditLog'
+import { loadKioskMode } from './lib/kiosk'
+import { getTranslator, loadLanguage, saveLanguage } from './lib/i18n'
+import { KIOSK_PIN } from './config'
+
+// A kiosk that reloads goes straight back to its event - attendees never see the picker
+const getKioskSession = (sessions) => {
+  if (!KIOSK_PIN || !loadKioskMode()) return null
+  const session = sessions.find(candidate => candidate.id === getActiveSessionId() && !candidate.archivedAt)
+  return session || null
+}
+
+// Chooses the event session the scanner works in. The scanner is keyed by
+// session, so switching events starts it fresh on the other session's data.
+// The UI language lives here too, so the picker and the scanner always agree.
+function EventSessions() {
+  const [language, setLanguage] = useState(loadLanguage)
+  const [sessions, setSessions] = useState(loadSessions)
+  const [activeSession, setActiveSession] = useState(() => getKioskSession(sessions))
+  const [showPicker, setShowPicker] = useState(() => activeSession === null)
+  const [error, setError] = useState(null)
+  const lastId = getActiveSessionId()
+  const t = getTranslator(language)
+
+  useEffect(() => {
+    document.documentElement.lang = t.language
+  }, [t])
+
+  const changeLanguage = (next) => {
+    saveLanguage(next)
+    setLanguage(next)
+  }
+
+  const openSession = (session) => {
+    setActiveSessionId(session.id)
+    setActiveSession(session)
+    setShowPicker(false)
+    setError(null)
+  }
+
+  const handleCreate = (name) => {
+    const created = createSession(name, { copySettingsFrom: activeSession ? activeSession.id : lastId })
+    setSessions(created.sessions)
+    openSession(created.session)
+  }
+
+  const handleArchive = (sessionId, archived) => {
+    setSessions(setSessionArchived(sessionId, archived))
+  }
+
+  const handleDelete = async (session) => {
+    if (!window.confirm(t('events.confirmDelete', { name: session.name }))) {
+      return
+    }
+    try {
+      await deleteSessionDatabase(session.id)
+      setSessions(removeSession(session.id))
+    } catch (err) {
+      console.error("Failed to delete event session:", err)
+      setError(t('events.deleteFailed'))
+    }
+  }
+
+  const handleExport = async (session, type) => {
+    try {
+      setError(null)
+      const records = await loadSessionScans(session.id)
+      if (type === 'csv') {
+        downloadFile(auditFileName('csv', new Date(), session.name), toAuditCsv(records), 'text/csv')
+      } else {
+        downloadFile(auditFileName('json', new Date(), session.name), toAuditJson(records), 'application/json')
+      }
+    } catch (err) {
+      console.error("Event export failed:", err)
+      setError(t('events.exportFailed'))
+    }
+  }
+
+  return (
+    <>
+      {activeSession && (
+        <App
+          key={activeSession.id}
+          session={activeSession}
+          onSwitchEvent={() => setShowPicker(true)}
+          t={t}
+          onLanguageChange={changeLanguage}
+        />
+      )}
+      {showPicker && (
+        <EventPicker
+          sessions={sessions}
+          activeId={activeSession ? activeSession.id : null}
+          lastId={lastId}
+          onOpen={openSession}
+          onCreate={handleCreate}
+          onArchive={handleArchive}
+          onDelete={handleDelete}
+          onExport={handleExport}
+          onClose={activeSession ? () => setShowPicker(false) : null}
+          error={error}
+          t={t}
+        />
+      )}
+    </>
+  )
+}
+
+export default EventSessions
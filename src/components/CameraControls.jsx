@@ -0,0 +1,48 @@
+// Camera picker plus torch and zoom controls for the running camera.
+// Torch and zoom are only shown when the video track supports them.
+function CameraControls({ cameras, selectedCameraId, onSelectCamera, torch, onToggleTorch, zoom, onZoomChange, t }) {
+  return (
+    <div className="camera-controls">
+      {cameras.length > 1 && (
+        <select
+          className="camera-select"
+          value={selectedCameraId}
+          onChange={(event) => onSelectCamera(event.target.value)}
+          aria-label={t('camera.select')}
+        >
+          <option value="">{t('camera.auto')}</option>
+          {cameras.map((camera, index) => (
+            <option key={camera.id} value={camera.id}>
+              {camera.label || t('camera.numbered', { number: index + 1 })}
+            </option>
+          ))}
+        </select>
+      )}
+      {torch && (
+        <button
+          onClick={onToggleTorch}
+          className={`camera-btn ${torch.on ? 'camera-btn-active' : ''}`}
+          aria-pressed={torch.on}
+        >
+          🔦 {torch.on ? t('camera.torchOn') : t('camera.torchOff')}
+        </button>
+      )}
+      {zoom && (
+        <label className="camera-zoom">
+          <span>{t('camera.zoom')}</span>
+          <input
+            type="range"
+            min={zoom.min}
+            max={zoom.max}
+            step={zoom.step || 0.1}
+            value={zoom.value}
+            onChange={(event) => onZoomChange(Number(event.target.value))}
+          />
+          <span>{Number(zoom.value).toFixed(1)}×</span>
+        </label>
+      )}
+    </div>
+  )
+}
+
+export default CameraControls
@@ -0,0 +1,114 @@
+import { useState } from 'react'
+
+// Pick, start, archive and export event sessions. Shown on startup and from the header.
+// `onClose` is null at startup, when a session has to be chosen first.
+function EventPicker({ sessions, activeId, lastId, onOpen, onCreate, onArchive, onDelete, onExport, onClose, error, t }) {
+  const [name, setName] = useState('')
+  const current = sessions.filter(session => !session.archivedAt)
+  const archived = sessions.filter(session => session.archivedAt)
+
+  const handleCreate = (event) => {
+    event.preventDefault()
+    onCreate(name)
+    setName('')
+  }
+
+  const exportButtons = (session) => (
+    <>
+      <button type="button" className="btn-small" onClick={() => onExport(session, 'csv')}>CSV</button>
+      <button type="button" className="btn-small" onClick={() => onExport(session, 'json')}>JSON</button>
+    </>
+  )
+
+  return (
+    <div className="settings-overlay" role="dialog" aria-modal="true" aria-labelledby="events-title">
+      <div className="settings-panel">
+        <div className="settings-header">
+          <h2 id="events-title">{t('events.title')}</h2>
+          {onClose && (
+            <button type="button" onClick={onClose} className="settings-close" aria-label={t('events.close')}>
+              ✕
+            </button>
+          )}
+        </div>
+
+        <form className="settings-section event-create" onSubmit={handleCreate}>
+          <h3>{t('events.new')}</h3>
+          <div className="event-create-row">
+            <input
+              type="text"
+              value={name}
+              onChange={(event) => setName(event.target.value)}
+              placeholder={t('events.namePlaceholder')}
+              aria-label={t('events.nameLabel')}
+            />
+            <button type="submit" className="btn-small btn-small-primary" disabled={!name.trim()}>
+              {t('events.start')}
+            </button>
+          </div>
+          <p className="settings-hint">{t('events.newHint')}</p>
+        </form>
+
+        <div className="settings-section">
+          <h3>{t('events.onDevice')}</h3>
+          {current.length === 0 && <p className="settings-hint">{t('events.none')}</p>}
+          <ul className="event-list">
+            {current.map(session => (
+              <li key={session.id} className={session.id === (activeId || lastId) ? 'event-list-current' : ''}>
+                <div className="event-list-name">
+                  <strong>{session.name}</strong>
+                  <small>
+                    {t.formatDate(session.createdAt)}
+                    {session.id === activeId && ` · ${t('events.isOpen')}`}
+                  </small>
+                </div>
+                <div className="event-list-actions">
+                  {session.id !== activeId && (
+                    <button type="button" className="btn-small btn-small-primary" onClick={() => onOpen(session)}>
+                      {session.id === lastId && !activeId ? t('events.continue') : t('events.open')}
+                    </button>
+                  )}
+                  {exportButtons(session)}
+                  {session.id !== activeId && (
+                    <button type="button" className="btn-small" onClick={() => onArchive(session.id, true)}>
+                      {t('events.archive')}
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        {archived.length > 0 && (
+          <div className="settings-section">
+            <h3>{t('events.archived')}</h3>
+            <ul className="event-list">
+              {archived.map(session => (
+                <li key={session.id}>
+                  <div className="event-list-name">
+                    <strong>{session.name}</strong>
+                    <small>{t.formatDate(session.createdAt)}</small>
+                  </div>
+                  <div className="event-list-actions">
+                    {exportButtons(session)}
+                    <button type="button" className="btn-small" onClick={() => onArchive(session.id, false)}>
+                      {t('events.restore')}
+                    </button>
+                    <button type="button" className="btn-small btn-small-danger" onClick={() => onDelete(session)}>
+                      {t('events.delete')}
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {error && <p className="tool-panel-error">{error}</p>}
+      </div>
+    </div>
+  )
+}
+
+export default EventPicker
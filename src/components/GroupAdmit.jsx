@@ -0,0 +1,47 @@
+import { useState } from 'react'
+
+// Choose how many of a group ticket's party are coming in now. Starts at
+// everyone still outstanding, the common case at the door.
+function GroupAdmit({ groupSize, remaining, onAdmit, onCancel, t }) {
+  const [count, setCount] = useState(remaining)
+
+  return (
+    <div className="group-admit">
+      <p className="group-admit-remaining">
+        <strong>{t('group.remainingCount', { remaining, groupSize })}</strong> {t('group.remaining')}
+      </p>
+      <p className="group-admit-question" id="group-admit-label">{t('group.question')}</p>
+      <div className="group-admit-stepper" role="group" aria-labelledby="group-admit-label">
+        <button
+          type="button"
+          className="btn-small"
+          onClick={() => setCount(prev => Math.max(prev - 1, 1))}
+          disabled={count <= 1}
+          aria-label={t('group.fewer')}
+        >
+          −
+        </button>
+        <span className="group-admit-count" aria-live="polite">{count}</span>
+        <button
+          type="button"
+          className="btn-small"
+          onClick={() => setCount(prev => Math.min(prev + 1, remaining))}
+          disabled={count >= remaining}
+          aria-label={t('group.more')}
+        >
+          +
+        </button>
+      </div>
+      <div className="group-admit-actions">
+        <button type="button" className="btn-small btn-small-primary" onClick={() => onAdmit(count)}>
+          {t('group.admit', { count })}
+        </button>
+        <button type="button" className="btn-small" onClick={onCancel}>
+          {t('common.cancel')}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default GroupAdmit
@@ -0,0 +1,67 @@
+// Scan tickets from image files - attendee screenshots sent by email or chat.
+// Accepts several images at once, or a whole folder.
+// `progress` is { total, results: [{ name, status }], isRunning } for the last batch, or null.
+
+// Per-file outcomes with a short 'imageScan.*' label
+const LABELLED_STATUSES = [
+  'success', 'reentry', 'group-skipped', 'exit', 'not-inside', 'duplicate',
+  'invalid', 'wrong-zone', 'forged', 'expired', 'voided', 'unreadable', 'not-ready',
+]
+
+function ImageScan({ onFiles, progress, t }) {
+  const handleChange = (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = '' // Allow re-selecting the same files
+    if (files.length > 0) {
+      onFiles(files)
+    }
+  }
+
+  const admitted = progress ? progress.results.filter(result => result.status === 'success').length : 0
+
+  return (
+    <div className="tool-panel image-scan">
+      <div className="tool-panel-summary">
+        <strong>{t('imageScan.title')}</strong>{' '}
+        {progress
+          ? t('imageScan.progress', { processed: progress.results.length, total: progress.total, admitted })
+          : t('imageScan.description')}
+      </div>
+      <div className="tool-panel-actions">
+        <label className={`btn-small ${progress && progress.isRunning ? 'btn-small-disabled' : ''}`}>
+          {t('imageScan.images')}
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            onChange={handleChange}
+            disabled={progress && progress.isRunning}
+            hidden
+          />
+        </label>
+        <label className={`btn-small ${progress && progress.isRunning ? 'btn-small-disabled' : ''}`}>
+          {t('imageScan.folder')}
+          <input
+            type="file"
+            webkitdirectory=""
+            onChange={handleChange}
+            disabled={progress && progress.isRunning}
+            hidden
+          />
+        </label>
+      </div>
+      {progress && progress.results.length > 0 && (
+        <ul className="image-scan-results">
+          {progress.results.map((result, index) => (
+            <li key={index} className={`image-result image-result-${result.status}`}>
+              <span className="image-result-name">{result.name}</span>
+              <span className="image-result-status">{LABELLED_STATUSES.includes(result.status) ? t(`imageScan.${result.status}`) : result.status}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ImageScan
@@ -0,0 +1,14 @@
+// Full-screen welcome shown on an idle kiosk. The camera keeps running behind
+// it, so presenting a ticket works straight away; a touch also dismisses it.
+function KioskAttract({ eventName, onDismiss, t }) {
+  return (
+    <button type="button" className="kiosk-attract" onClick={onDismiss}>
+      <span className="kiosk-attract-event">{eventName}</span>
+      <span className="kiosk-attract-icon" aria-hidden="true">🎟️</span>
+      <span className="kiosk-attract-title">{t('kiosk.attractTitle')}</span>
+      <span className="kiosk-attract-hint">{t('kiosk.attractHint')}</span>
+    </button>
+  )
+}
+
+export default KioskAttract
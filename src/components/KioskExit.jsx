@@ -0,0 +1,49 @@
+import { useState } from 'react'
+import { KIOSK_PIN } from '../config'
+
+// Staff-only way out of kiosk mode. Attendees only ever see the PIN field.
+function KioskExit({ onExit, onClose, t }) {
+  const [pin, setPin] = useState('')
+  const [pinError, setPinError] = useState(null)
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    if (pin === KIOSK_PIN) {
+      onExit()
+    } else {
+      setPinError(t('common.wrongPin'))
+    }
+    setPin('')
+  }
+
+  return (
+    <div className="settings-overlay" role="dialog" aria-modal="true" aria-labelledby="kiosk-exit-title">
+      <div className="settings-panel">
+        <div className="settings-header">
+          <h2 id="kiosk-exit-title">{t('kiosk.staffOnly')}</h2>
+          <button type="button" onClick={onClose} className="settings-close" aria-label={t('kiosk.backToKiosk')}>
+            ✕
+          </button>
+        </div>
+        <form className="supervisor-pin" onSubmit={handleSubmit}>
+          <input
+            type="password"
+            inputMode="numeric"
+            value={pin}
+            onChange={(event) => setPin(event.target.value)}
+            placeholder={t('kiosk.pin')}
+            aria-label={t('kiosk.pinLabel')}
+            autoComplete="off"
+            autoFocus
+          />
+          <button type="submit" className="btn-small btn-small-primary" disabled={!pin}>
+            {t('kiosk.exit')}
+          </button>
+          {pinError && <p className="tool-panel-error">{pinError}</p>}
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default KioskExit
@@ -0,0 +1,63 @@
+import GroupAdmit from './GroupAdmit'
+import { FLASH_SIGNS, getFeedbackKind } from '../lib/feedback'
+import { translateMessage } from '../lib/i18n'
+
+// Attendee-facing message keys for each feedback kind: [title, what to do next]
+const KIOSK_MESSAGES = {
+  success: ['kiosk.welcome', 'kiosk.goAhead'],
+  duplicate: ['kiosk.alreadyUsed', 'kiosk.seeStaff'],
+  zone: ['kiosk.wrongEntrance', 'kiosk.seeStaff'],
+  invalid: ['kiosk.notAccepted', 'kiosk.seeStaff'],
+}
+
+// Large result screen for kiosk mode, readable from a step back. Rejection
+// details stay in the log for staff; only the zone reason tells the attendee
+// where to go instead.
+function KioskResult({ result, onAdmitGroup, onCancelGroup, t }) {
+  if (result.status === 'verifying') {
+    return (
+      <div className="kiosk-result kiosk-result-verifying" role="status">
+        <div className="spinner"></div>
+        <p className="kiosk-result-title">{t('kiosk.checking')}</p>
+      </div>
+    )
+  }
+
+  const holderName = (result.ticket && result.ticket.holderName) || result.payload.name
+
+  if (result.status === 'group-pending') {
+    return (
+      <div className="kiosk-result kiosk-result-group">
+        <p className="kiosk-result-title">{holderName ? t('kiosk.welcomeName', { name: holderName }) : t('kiosk.welcome')}</p>
+        <GroupAdmit
+          key={`${result.text}-${result.timestamp}`}
+          groupSize={result.group.groupSize}
+          remaining={result.group.remaining}
+          onAdmit={onAdmitGroup}
+          onCancel={onCancelGroup}
+          t={t}
+        />
+      </div>
+    )
+  }
+
+  const kind = getFeedbackKind(result.status)
+  const [title, hint] = result.status === 'exit' ? ['kiosk.goodbye', 'kiosk.seeYouSoon'] : KIOSK_MESSAGES[kind]
+
+  return (
+    <div className={`kiosk-result kiosk-result-${kind}`} role="status">
+      <span className="kiosk-result-symbol" aria-hidden="true">{FLASH_SIGNS[kind].symbol}</span>
+      <p className="kiosk-result-title">{t(title)}</p>
+      {kind === 'success' && holderName && <p className="kiosk-result-name">{holderName}</p>}
+      {result.group && (
+        <p className="kiosk-result-hint">
+          {t('kiosk.groupProgress', result.group)}
+        </p>
+      )}
+      {kind === 'zone' && result.reason && <p className="kiosk-result-hint">{translateMessage(result.reason, t)}</p>}
+      <p className="kiosk-result-hint">{t(hint)}</p>
+    </div>
+  )
+}
+
+export default KioskResult
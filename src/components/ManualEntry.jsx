@@ -0,0 +1,57 @@
+import { useState } from 'react'
+
+// Fallback for codes the camera can't read: staff type or paste the ticket
+// code, or search the guest list by attendee name when one is loaded.
+// `onSearch` is null when there is no guest list to search.
+function ManualEntry({ onSubmit, onSearch, t }) {
+  const [query, setQuery] = useState('')
+  const matches = onSearch ? onSearch(query) : []
+
+  const submit = (code) => {
+    const trimmed = code.trim()
+    if (!trimmed) return
+    onSubmit(trimmed)
+    setQuery('')
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    submit(query)
+  }
+
+  return (
+    <div className="tool-panel manual-entry">
+      <form className="manual-entry-form" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={query}
+          onChange={(event) => setQuery(event.target.value)}
+          placeholder={onSearch ? t('manual.placeholderSearch') : t('manual.placeholder')}
+          aria-label={t('manual.label')}
+          autoComplete="off"
+          autoCapitalize="off"
+          spellCheck="false"
+        />
+        <button type="submit" className="btn-small" disabled={!query.trim()}>
+          {t('manual.checkIn')}
+        </button>
+      </form>
+      {matches.length > 0 && (
+        <ul className="manual-entry-matches">
+          {matches.map(ticket => (
+            <li key={ticket.ticketId}>
+              <button type="button" onClick={() => submit(ticket.ticketId)}>
+                <span className="match-name">{ticket.holderName || t('common.unnamed')}</span>
+                <span className="match-meta">
+                  {ticket.ticketId}{ticket.ticketType && ` · ${ticket.ticketType}`}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ManualEntry
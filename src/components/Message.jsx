@@ -0,0 +1,9 @@
+import { Fragment } from 'react'
+
+// Translated message whose placeholders are elements, e.g. a <code> path
+// inside a sentence whose word order differs between languages.
+function Message({ t, id, values }) {
+  return t.parts(id, values).map((part, index) => <Fragment key={index}>{part}</Fragment>)
+}
+
+export default Message
@@ -0,0 +1,258 @@
+import { useState } from 'react'
+import { DEFAULT_SETTINGS, PRESETS, applyPreset, normalizeSettings } from '../lib/settings'
+import { BARCODE_FORMATS } from '../lib/barcodeFormats'
+import { VALIDATION_URL } from '../config'
+
+// Numeric settings shown in the form: [key, unit, step]. Labels are the
+// 'settings.<key>' messages; a null unit is the scan box's share of the screen.
+const NUMBER_FIELDS = [
+  ['debounceTime', 'ms', 100],
+  ['fps', 'fps', 1],
+  ['qrboxPercent', null, 5],
+  ['qrboxMin', 'px', 10],
+  ['qrboxMax', 'px', 10],
+  ['resultDuration', 'ms', 100],
+  ['successTone', 'Hz', 50],
+  ['duplicateTone', 'Hz', 50],
+  ['errorTone', 'Hz', 50],
+]
+
+// List-valued settings are edited as comma separated text
+const toDraft = (settings) => {
+  const zoneAccess = {}
+  Object.entries(settings.zoneAccess).forEach(([zone, types]) => {
+    zoneAccess[zone] = types.join(', ')
+  })
+  return {
+    ...settings,
+    successVibration: settings.successVibration.join(', '),
+    duplicateVibration: settings.duplicateVibration.join(', '),
+    errorVibration: settings.errorVibration.join(', '),
+    zoneVibration: settings.zoneVibration.join(', '),
+    zoneAccess
+  }
+}
+
+// Settings editor. Changes are kept in a draft until saved.
+function SettingsPanel({ settings, onSave, onClose, t }) {
+  const [draft, setDraft] = useState(() => toDraft(settings))
+
+  const updateField = (key, value) => {
+    setDraft(prev => ({ ...prev, [key]: value }))
+  }
+
+  const updateZoneAccess = (zone, value) => {
+    setDraft(prev => ({ ...prev, zoneAccess: { ...prev.zoneAccess, [zone]: value } }))
+  }
+
+  const toggleBarcodeFormat = (name, enabled) => {
+    setDraft(prev => ({
+      ...prev,
+      barcodeFormats: enabled
+        ? [...prev.barcodeFormats, name]
+        : prev.barcodeFormats.filter(format => format !== name)
+    }))
+  }
+
+  const loadIntoDraft = (next) => {
+    setDraft(toDraft(next))
+  }
+
+  const handleSave = (event) => {
+    event.preventDefault()
+    onSave(normalizeSettings(draft))
+  }
+
+  return (
+    <div className="settings-overlay" role="dialog" aria-modal="true" aria-labelledby="settings-title">
+      <form className="settings-panel" onSubmit={handleSave}>
+        <div className="settings-header">
+          <h2 id="settings-title">{t('settings.title')}</h2>
+          <button type="button" onClick={onClose} className="settings-close" aria-label={t('settings.close')}>
+            ✕
+          </button>
+        </div>
+
+        <div className="settings-section">
+          <h3>{t('settings.presets')}</h3>
+          <div className="settings-presets">
+            {Object.entries(PRESETS).map(([id, preset]) => (
+              <button
+                key={id}
+                type="button"
+                className="btn-small"
+                onClick={() => loadIntoDraft(applyPreset(normalizeSettings(draft), id))}
+              >
+                {t(preset.labelKey)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="settings-section">
+          <h3>{t('settings.scanning')}</h3>
+          {NUMBER_FIELDS.map(([key, unit, step]) => (
+            <label key={key} className="settings-field">
+              <span>{t(`settings.${key}`)} <small>({unit || t('settings.percentOfScreen')})</small></span>
+              <input
+                type="number"
+                step={step}
+                value={draft[key]}
+                onChange={(event) => updateField(key, event.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+
+        {VALIDATION_URL && (
+          <div className="settings-section">
+            <h3>{t('settings.onlineValidation')}</h3>
+            <label className="settings-field settings-toggle">
+              <span>{t('settings.checkWithServer')}</span>
+              <input
+                type="checkbox"
+                checked={draft.onlineValidation}
+                onChange={(event) => updateField('onlineValidation', event.target.checked)}
+              />
+            </label>
+            <label className="settings-field">
+              <span>{t('settings.timeout')} <small>(ms)</small></span>
+              <input
+                type="number"
+                step={100}
+                value={draft.validationTimeout}
+                onChange={(event) => updateField('validationTimeout', event.target.value)}
+              />
+            </label>
+            <p className="settings-hint">{t('settings.timeoutHint')}</p>
+          </div>
+        )}
+
+        <div className="settings-section">
+          <h3>{t('settings.barcodeFormats')}</h3>
+          {Object.entries(BARCODE_FORMATS).map(([name, { label }]) => (
+            <label key={name} className="settings-field settings-toggle">
+              <span>{label}</span>
+              <input
+                type="checkbox"
+                checked={draft.barcodeFormats.includes(name)}
+                onChange={(event) => toggleBarcodeFormat(name, event.target.checked)}
+              />
+            </label>
+          ))}
+          <p className="settings-hint">{t('settings.formatsHint')}</p>
+        </div>
+
+        <div className="settings-section">
+          <h3>{t('settings.zoneAccess')}</h3>
+          <label className="settings-field">
+            <span>{t('settings.thisEntrance')}</span>
+            <select value={draft.gateZone} onChange={(event) => updateField('gateZone', event.target.value)}>
+              <option value="">{t('settings.anyTicket')}</option>
+              {Object.keys(draft.zoneAccess).map(zone => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          </label>
+          {Object.entries(draft.zoneAccess).map(([zone, types]) => (
+            <label key={zone} className="settings-field">
+              <span>{zone} <small>{t('settings.typesAllowed')}</small></span>
+              <input
+                type="text"
+                value={types}
+                onChange={(event) => updateZoneAccess(zone, event.target.value)}
+              />
+            </label>
+          ))}
+        </div>
+
+        <div className="settings-section">
+          <h3>{t('settings.feedback')}</h3>
+          <label className="settings-field settings-toggle">
+            <span>{t('settings.sound')}</span>
+            <input
+              type="checkbox"
+              checked={draft.soundEnabled}
+              onChange={(event) => updateField('soundEnabled', event.target.checked)}
+            />
+          </label>
+          <label className="settings-field settings-toggle">
+            <span>{t('settings.flash')}</span>
+            <input
+              type="checkbox"
+              checked={draft.flashEnabled}
+              onChange={(event) => updateField('flashEnabled', event.target.checked)}
+            />
+          </label>
+          <label className="settings-field settings-toggle">
+            <span>{t('settings.highContrast')}</span>
+            <input
+              type="checkbox"
+              checked={draft.highContrast}
+              onChange={(event) => updateField('highContrast', event.target.checked)}
+            />
+          </label>
+          <label className="settings-field settings-toggle">
+            <span>{t('settings.speech')}</span>
+            <input
+              type="checkbox"
+              checked={draft.speechEnabled}
+              onChange={(event) => updateField('speechEnabled', event.target.checked)}
+            />
+          </label>
+          <label className="settings-field settings-toggle">
+            <span>{t('settings.vibration')}</span>
+            <input
+              type="checkbox"
+              checked={draft.vibrationEnabled}
+              onChange={(event) => updateField('vibrationEnabled', event.target.checked)}
+            />
+          </label>
+          <label className="settings-field">
+            <span>{t('settings.successVibration')} <small>{t('settings.vibrationUnit')}</small></span>
+            <input
+              type="text"
+              value={draft.successVibration}
+              onChange={(event) => updateField('successVibration', event.target.value)}
+            />
+          </label>
+          <label className="settings-field">
+            <span>{t('settings.duplicateVibration')} <small>{t('settings.vibrationUnit')}</small></span>
+            <input
+              type="text"
+              value={draft.duplicateVibration}
+              onChange={(event) => updateField('duplicateVibration', event.target.value)}
+            />
+          </label>
+          <label className="settings-field">
+            <span>{t('settings.errorVibration')} <small>{t('settings.vibrationUnit')}</small></span>
+            <input
+              type="text"
+              value={draft.errorVibration}
+              onChange={(event) => updateField('errorVibration', event.target.value)}
+            />
+          </label>
+          <label className="settings-field">
+            <span>{t('settings.zoneVibration')} <small>{t('settings.vibrationUnit')}</small></span>
+            <input
+              type="text"
+              value={draft.zoneVibration}
+              onChange={(event) => updateField('zoneVibration', event.target.value)}
+            />
+          </label>
+        </div>
+
+        <div className="settings-actions">
+          <button type="button" className="btn-small" onClick={() => loadIntoDraft(DEFAULT_SETTINGS)}>
+            {t('settings.reset')}
+          </button>
+          <button type="submit" className="btn-small btn-small-primary">
+            {t('settings.save')}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default SettingsPanel
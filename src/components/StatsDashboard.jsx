@@ -0,0 +1,84 @@
+// Supervisor view of gate throughput: totals, scans per minute chart,
+// average time between scans and peak rate.
+
+const CHART_HEIGHT = 80
+
+const formatInterval = (ms, t) => {
+  if (ms === null) return '–'
+  const decimal = { minimumFractionDigits: 1, maximumFractionDigits: 1 }
+  return ms < 60000
+    ? t('stats.seconds', { value: t.formatNumber(ms / 1000, decimal) })
+    : t('stats.minutes', { value: t.formatNumber(ms / 60000, decimal) })
+}
+
+function StatsDashboard({ stats, onClose, t }) {
+  const maxCount = Math.max(1, ...stats.perMinute.map(bucket => bucket.count))
+  const barWidth = 100 / stats.perMinute.length
+
+  return (
+    <div className="stats-dashboard">
+      <div className="stats-header">
+        <h3>{t('stats.title')}</h3>
+        <button onClick={onClose} className="settings-close" aria-label={t('stats.close')}>✕</button>
+      </div>
+
+      <div className="stats-grid">
+        <div className="stat">
+          <span className="stat-value">{stats.admitted}</span>
+          <span className="stat-label">{t('stats.admitted')}</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{stats.duplicates}</span>
+          <span className="stat-label">{t('stats.duplicates')}</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{stats.rejected}</span>
+          <span className="stat-label">{t('stats.rejected')}</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{t.formatNumber(stats.currentRate, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}</span>
+          <span className="stat-label">{t('stats.rate')}</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{formatInterval(stats.avgInterval, t)}</span>
+          <span className="stat-label">{t('stats.avgInterval')}</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{stats.peakRate}</span>
+          <span className="stat-label">
+            {t('stats.peak')}{stats.peakMinute !== null && ` (${t.formatShortTime(stats.peakMinute)})`}
+          </span>
+        </div>
+      </div>
+
+      <svg
+        className="stats-chart"
+        viewBox={`0 0 100 ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={t('stats.chart', { count: stats.perMinute.length })}
+      >
+        {stats.perMinute.map((bucket, index) => {
+          const height = (bucket.count / maxCount) * CHART_HEIGHT
+          return (
+            <rect
+              key={bucket.minute}
+              x={index * barWidth + barWidth * 0.1}
+              y={CHART_HEIGHT - height}
+              width={barWidth * 0.8}
+              height={height}
+            >
+              <title>{`${t.formatShortTime(bucket.minute)}: ${bucket.count}`}</title>
+            </rect>
+          )
+        })}
+      </svg>
+      <div className="stats-chart-axis">
+        <span>{t('stats.minutesAgo', { count: stats.perMinute.length })}</span>
+        <span>{t('stats.now')}</span>
+      </div>
+    </div>
+  )
+}
+
+export default StatsDashboard
@@ -0,0 +1,124 @@
+import { useState } from 'react'
+import { SUPERVISOR_PIN } from '../config'
+
+// PIN-protected corrections: force-admit a duplicate, undo a recent admission
+// or void a ticket. The panel locks again whenever it is closed.
+// `recentAdmissions` are this device's latest admissions ({ ticketId, scannedAt, status }),
+// `initialTicketId` prefills the ticket field (e.g. from a duplicate result card).
+function SupervisorPanel({ initialTicketId, recentAdmissions, onForceAdmit, onUndo, onVoid, onClose, t }) {
+  const [pin, setPin] = useState('')
+  const [isUnlocked, setIsUnlocked] = useState(false)
+  const [pinError, setPinError] = useState(null)
+  const [ticketId, setTicketId] = useState(initialTicketId || '')
+  const [reason, setReason] = useState('')
+
+  const handleUnlock = (event) => {
+    event.preventDefault()
+    if (pin === SUPERVISOR_PIN) {
+      setIsUnlocked(true)
+      setPinError(null)
+    } else {
+      setPinError(t('common.wrongPin'))
+    }
+    setPin('')
+  }
+
+  const trimmedTicket = ticketId.trim()
+  const trimmedReason = reason.trim()
+
+  return (
+    <div className="settings-overlay" role="dialog" aria-modal="true" aria-labelledby="supervisor-title">
+      <div className="settings-panel">
+        <div className="settings-header">
+          <h2 id="supervisor-title">{t('supervisor.title')}</h2>
+          <button type="button" onClick={onClose} className="settings-close" aria-label={t('supervisor.close')}>
+            ✕
+          </button>
+        </div>
+
+        {!isUnlocked ? (
+          <form className="supervisor-pin" onSubmit={handleUnlock}>
+            <input
+              type="password"
+              inputMode="numeric"
+              value={pin}
+              onChange={(event) => setPin(event.target.value)}
+              placeholder={t('supervisor.pin')}
+              aria-label={t('supervisor.pin')}
+              autoComplete="off"
+              autoFocus
+            />
+            <button type="submit" className="btn-small btn-small-primary" disabled={!pin}>
+              {t('supervisor.unlock')}
+            </button>
+            {pinError && <p className="tool-panel-error">{pinError}</p>}
+          </form>
+        ) : (
+          <>
+            <div className="settings-section">
+              <h3>{t('supervisor.ticket')}</h3>
+              <label className="settings-field">
+                <span>{t('supervisor.ticketId')}</span>
+                <input
+                  type="text"
+                  value={ticketId}
+                  onChange={(event) => setTicketId(event.target.value)}
+                  autoComplete="off"
+                  autoCapitalize="off"
+                  spellCheck="false"
+                />
+              </label>
+              <label className="settings-field">
+                <span>{t('supervisor.reason')} <small>{t('supervisor.logged')}</small></span>
+                <input
+                  type="text"
+                  value={reason}
+                  onChange={(event) => setReason(event.target.value)}
+                  placeholder={t('supervisor.reasonPlaceholder')}
+                />
+              </label>
+              <div className="supervisor-actions">
+                <button
+                  type="button"
+                  className="btn-small btn-small-primary"
+                  disabled={!trimmedTicket || !trimmedReason}
+                  onClick={() => onForceAdmit(trimmedTicket, trimmedReason)}
+                >
+                  {t('supervisor.forceAdmit')}
+                </button>
+                <button
+                  type="button"
+                  className="btn-small btn-small-danger"
+                  disabled={!trimmedTicket}
+                  onClick={() => onVoid(trimmedTicket, trimmedReason)}
+                >
+                  {t('supervisor.void')}
+                </button>
+              </div>
+            </div>
+
+            <div className="settings-section">
+              <h3>{t('supervisor.recent')}</h3>
+              {recentAdmissions.length === 0 && <p className="settings-hint">{t('supervisor.noAdmissions')}</p>}
+              <ul className="supervisor-admissions">
+                {recentAdmissions.map(admission => (
+                  <li key={`${admission.ticketId}-${admission.scannedAt}`}>
+                    <span>
+                      <strong>{admission.ticketId}</strong>
+                      <small> {t.formatTime(admission.scannedAt)}{admission.status === 'reentry' && ` · ${t('supervisor.reentry')}`}</small>
+                    </span>
+                    <button type="button" className="btn-small" onClick={() => onUndo(admission, trimmedReason)}>
+                      {t('supervisor.undo')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SupervisorPanel
@@ -0,0 +1,61 @@
+import { useEffect, useRef } from 'react'
+import { useRegisterSW } from 'virtual:pwa-register/react'
+
+// Check for a new deployment this often while the app stays open
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000
+
+// Service worker registration plus the "new version available" prompt.
+// The prompt is held back while scanning so a gate is never reloaded mid-session.
+function UpdatePrompt({ isScanning, t }) {
+  const updateTimerRef = useRef(null)
+
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker
+  } = useRegisterSW({
+    onRegisteredSW(swUrl, registration) {
+      if (registration) {
+        // One check timer, even if the registration is reported again
+        clearInterval(updateTimerRef.current)
+        updateTimerRef.current = setInterval(() => registration.update(), UPDATE_CHECK_INTERVAL)
+      }
+    },
+    onRegisterError(err) {
+      console.error("Service worker registration failed:", err)
+    }
+  })
+
+  useEffect(() => () => clearInterval(updateTimerRef.current), [])
+
+  if (needRefresh && !isScanning) {
+    return (
+      <div className="update-prompt" role="alert">
+        <span>{t('update.available')}</span>
+        <div className="update-prompt-actions">
+          <button onClick={() => updateServiceWorker(true)} className="btn-small btn-small-primary">
+            {t('update.update')}
+          </button>
+          <button onClick={() => setNeedRefresh(false)} className="btn-small">
+            {t('update.later')}
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (offlineReady) {
+    return (
+      <div className="update-prompt" role="status">
+        <span>{t('update.offlineReady')}</span>
+        <button onClick={() => setOfflineReady(false)} className="btn-small">
+          {t('common.ok')}
+        </button>
+      </div>
+    )
+  }
+
+  return null
+}
+
+export default UpdatePrompt
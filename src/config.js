@@ -0,0 +1,57 @@
+// Build-time configuration from VITE_* environment variables.
+// Put overrides in .env.local (git-ignored), e.g.:
+//   VITE_TICKET_PUBLIC_KEY={"kty":"OKP","crv":"Ed25519","x":"..."}
+//   VITE_EVENT_ID=summer-fest-2025
+//   VITE_GATE_ID=north-gate
+//   VITE_SYNC_URL=http://192.168.1.10:3001
+//   VITE_WEBHOOK_URL=https://tickets.example.com/api/check-ins
+//   VITE_WEBHOOK_TOKEN=secret
+//   VITE_WEBHOOK_HEADERS={"X-Api-Key":"..."}
+//   VITE_VALIDATION_URL=https://tickets.example.com/api/validate
+//   VITE_SUPERVISOR_PIN=4821
+//   VITE_KIOSK_PIN=9034
+
+// Public key (JWK) used to verify signed tickets. Leave empty to accept unsigned codes.
+export const TICKET_PUBLIC_KEY = import.meta.env.VITE_TICKET_PUBLIC_KEY || ''
+
+// Event ID signed tickets must carry in their `evt` (or `aud`) claim
+export const EVENT_ID = import.meta.env.VITE_EVENT_ID || ''
+
+// Name of the entrance this device is stationed at, shown to other gates
+export const GATE_ID = import.meta.env.VITE_GATE_ID || ''
+
+// Gate sync server. ws:// or wss:// uses WebSocket, http(s):// uses polling. Empty disables sync.
+export const SYNC_URL = import.meta.env.VITE_SYNC_URL || ''
+
+// Endpoint every scan result is POSTed to. Empty disables the integration.
+export const WEBHOOK_URL = import.meta.env.VITE_WEBHOOK_URL || ''
+
+// Bearer token sent with each webhook post
+export const WEBHOOK_TOKEN = import.meta.env.VITE_WEBHOOK_TOKEN || ''
+
+// Extra webhook request headers as a JSON object
+const parseHeaders = (value) => {
+  try {
+    const headers = JSON.parse(value || '{}')
+    if (headers && typeof headers === 'object' && !Array.isArray(headers)) return headers
+  } catch (err) {
+    console.warn("Could not parse VITE_WEBHOOK_HEADERS:", err)
+    return {}
+  }
+  console.warn("Ignoring VITE_WEBHOOK_HEADERS - expected a JSON object")
+  return {}
+}
+
+export const WEBHOOK_HEADERS = parseHeaders(import.meta.env.VITE_WEBHOOK_HEADERS)
+
+// Online validation endpoint (see onlineValidation.js). Empty keeps validation on the device.
+export const VALIDATION_URL = import.meta.env.VITE_VALIDATION_URL || ''
+
+// Bearer token sent with validation requests
+export const VALIDATION_TOKEN = import.meta.env.VITE_VALIDATION_TOKEN || ''
+
+// PIN that unlocks supervisor overrides (undo, force-admit, void). Empty hides supervisor mode.
+export const SUPERVISOR_PIN = import.meta.env.VITE_SUPERVISOR_PIN || ''
+
+// PIN that leaves kiosk mode, the supervisor PIN unless set. Empty for both hides kiosk mode.
+export const KIOSK_PIN = import.meta.env.VITE_KIOSK_PIN || SUPERVISOR_PIN
@@ -0,0 +1,117 @@
+// Admission decisions for a scanned ticket. Everything here is a pure function
+// of its arguments - no React state, storage, camera or clock - so the rules can
+// be unit tested and reused by any front end.
+
+import { classifyTicket } from './manifest'
+import { ENTERING_STATUSES, decideGateMovement } from './gateModes'
+import { checkZoneAccess } from './zones'
+import { countRemaining } from './groupTickets'
+
+// Camera decodes of the code scanned last are ignored for `debounceTime` ms.
+// Typed entries and uploaded images are deliberate, so they are never debounced.
+export const isDebounced = ({ code, source, now }, lastScan, debounceTime) => (
+  source === 'camera' && lastScan.code === code && (now - lastScan.timestamp) < debounceTime
+)
+
+// Rejections that don't depend on who is inside: a failed signature check or a
+// ticket voided by a supervisor. Returns { status, reason }, or null to carry on.
+// Reasons are { key, params } messages (see translateMessage in i18n.js), or the
+// ticketing server's own text.
+// verification - result of verifyTicketToken, null for unsigned tickets
+// voided - the void record, undefined when the ticket isn't voided
+export const precheckTicket = ({ verification = null, voided = null }) => {
+  if (verification && verification.status !== 'valid') {
+    return {
+      status: verification.status === 'wrong-event' ? 'invalid' : verification.status,
+      reason: verification.reason,
+    }
+  }
+  if (voided) {
+    return {
+      status: 'voided',
+      reason: voided.reason
+        ? { key: 'reason.voidedWithNote', params: { note: voided.reason } }
+        : { key: 'reason.voided' },
+    }
+  }
+  return null
+}
+
+// True when the ticket's latest presence change ({ state, changedAt, ... }) is a check-out.
+// Admitted tickets without one are inside.
+export const isCheckedOut = (presence, ticketId) => {
+  const change = presence.get(ticketId)
+  return Boolean(change) && change.state === 'outside'
+}
+
+// Scan status from the ticketing server's answer ({ decision, reason }). A group
+// ticket the server lets in again while some of the party are still outside is
+// the next group entry.
+const decideOnline = (online, { ticketId, groupSize, gateMode, admissions }) => {
+  if (online.decision === 'admit') {
+    const isAdmitted = admissions.has(ticketId)
+    if (isAdmitted && groupSize > 1 && countRemaining(admissions.get(ticketId), groupSize) > 0) {
+      return { status: 'group-entry', reason: null }
+    }
+    return { status: gateMode === 'reentry' && isAdmitted ? 'reentry' : 'success', reason: null }
+  }
+  if (online.decision === 'duplicate') {
+    return { status: 'duplicate', reason: online.reason || null }
+  }
+  return { status: 'invalid', reason: online.reason || { key: 'reason.rejectedByServer' } }
+}
+
+// Scan status from the guest list (when one is loaded), the gate mode and whether the ticket is inside
+const decideLocally = ({ ticketId, groupSize, gateMode, manifest, admissions, presence }) => {
+  const classification = manifest.size > 0
+    ? classifyTicket(ticketId, manifest, admissions)
+    : (admissions.has(ticketId) ? 'used' : 'valid')
+  if (classification === 'unknown') {
+    return { status: 'invalid', reason: { key: 'reason.notOnGuestList' } }
+  }
+  const isAdmitted = classification === 'used'
+
+  // Group tickets keep admitting until the whole party is in
+  if (isAdmitted && groupSize > 1 && gateMode !== 'exit') {
+    const remaining = countRemaining(admissions.get(ticketId), groupSize)
+    if (remaining > 0) return { status: 'group-entry', reason: null }
+    if (gateMode === 'entry') {
+      return { status: 'duplicate', reason: { key: 'reason.groupComplete', params: { count: groupSize } } }
+    }
+  }
+
+  const isInside = isAdmitted && !isCheckedOut(presence, ticketId)
+  const status = decideGateMovement(gateMode, { isAdmitted, isInside })
+  if (status === 'not-inside') {
+    return { status, reason: { key: isAdmitted ? 'reason.checkedOut' : 'reason.neverCheckedIn' } }
+  }
+  return { status, reason: null }
+}
+
+// Decide what happens to a scanned ticket. Returns { status, reason }.
+// scan - { ticketId, ticketType, groupSize, verification, online }; `online` is the
+//        server's answer, or null when the ticket is checked on the device
+// state - { manifest, admissions, presence, voids } maps keyed by ticket ID; presence
+//         holds each ticket's latest check-in or check-out (see isCheckedOut)
+// settings - { gateMode, gateZone, zoneAccess }
+export const decideAdmission = (scan, state, settings) => {
+  const { ticketId, ticketType, groupSize = 1, verification = null, online = null } = scan
+  const { manifest, admissions, presence, voids } = state
+  const { gateMode, gateZone, zoneAccess } = settings
+
+  const rejection = precheckTicket({ verification, voided: voids.get(ticketId) })
+  if (rejection) return rejection
+
+  const decision = online
+    ? decideOnline(online, { ticketId, groupSize, gateMode, admissions })
+    : decideLocally({ ticketId, groupSize, gateMode, manifest, admissions, presence })
+
+  // Entrances assigned to a zone only let in the ticket types allowed there
+  if (ENTERING_STATUSES.includes(decision.status)) {
+    const access = checkZoneAccess(zoneAccess, gateZone, ticketType)
+    if (!access.allowed) {
+      return { status: 'wrong-zone', reason: access.reason }
+    }
+  }
+  return decision
+}
@@ -0,0 +1,154 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { decideAdmission, isDebounced, precheckTicket } from './admission'
+import { indexManifest } from './manifest'
+
+const ENTRY = { gateMode: 'entry', gateZone: '', zoneAccess: {} }
+
+const emptyState = () => ({
+  manifest: new Map(),
+  admissions: new Map(),
+  presence: new Map(),
+  voids: new Map(),
+})
+
+const admit = (state, ticketId) => {
+  state.admissions.set(ticketId, { ticketId, scannedAt: 0, deviceId: 'test', gateId: null })
+}
+
+describe('isDebounced', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2026-06-01T18:00:00Z'))
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('ignores the same camera code within the debounce time', () => {
+    const lastScan = { code: 'ABC', timestamp: Date.now() }
+    vi.advanceTimersByTime(1999)
+    expect(isDebounced({ code: 'ABC', source: 'camera', now: Date.now() }, lastScan, 2000)).toBe(true)
+  })
+
+  it('accepts the same code once the debounce time has passed', () => {
+    const lastScan = { code: 'ABC', timestamp: Date.now() }
+    vi.advanceTimersByTime(2000)
+    expect(isDebounced({ code: 'ABC', source: 'camera', now: Date.now() }, lastScan, 2000)).toBe(false)
+  })
+
+  it('accepts a different code right away', () => {
+    const lastScan = { code: 'ABC', timestamp: Date.now() }
+    expect(isDebounced({ code: 'XYZ', source: 'camera', now: Date.now() }, lastScan, 2000)).toBe(false)
+  })
+
+  it('never debounces typed entries or images', () => {
+    const lastScan = { code: 'ABC', timestamp: Date.now() }
+    expect(isDebounced({ code: 'ABC', source: 'manual', now: Date.now() }, lastScan, 2000)).toBe(false)
+    expect(isDebounced({ code: 'ABC', source: 'image', now: Date.now() }, lastScan, 2000)).toBe(false)
+  })
+})
+
+describe('precheckTicket', () => {
+  it('passes unsigned, non-voided tickets', () => {
+    expect(precheckTicket({})).toBeNull()
+    expect(precheckTicket({ verification: { status: 'valid' } })).toBeNull()
+  })
+
+  it('rejects failed signature checks, reporting a wrong event as invalid', () => {
+    const badSignature = { key: 'reason.badSignature' }
+    const otherEvent = { key: 'reason.otherEvent', params: { event: 'E2' } }
+    expect(precheckTicket({ verification: { status: 'forged', reason: badSignature } }))
+      .toEqual({ status: 'forged', reason: badSignature })
+    expect(precheckTicket({ verification: { status: 'wrong-event', reason: otherEvent } }))
+      .toEqual({ status: 'invalid', reason: otherEvent })
+  })
+
+  it('rejects voided tickets with the supervisor reason', () => {
+    expect(precheckTicket({ voided: { reason: 'Refunded' } }))
+      .toEqual({ status: 'voided', reason: { key: 'reason.voidedWithNote', params: { note: 'Refunded' } } })
+  })
+})
+
+describe('decideAdmission', () => {
+  it('admits a new ticket, then reports it as a duplicate', () => {
+    const state = emptyState()
+    expect(decideAdmission({ ticketId: 'T1' }, state, ENTRY)).toEqual({ status: 'success', reason: null })
+    admit(state, 'T1')
+    expect(decideAdmission({ ticketId: 'T1' }, state, ENTRY).status).toBe('duplicate')
+  })
+
+  it('rejects codes missing from a loaded guest list', () => {
+    const state = { ...emptyState(), manifest: indexManifest([{ ticketId: 'T1', holderName: 'Ada' }]) }
+    expect(decideAdmission({ ticketId: 'T2' }, state, ENTRY)).toEqual({
+      status: 'invalid',
+      reason: { key: 'reason.notOnGuestList' },
+    })
+    expect(decideAdmission({ ticketId: 'T1' }, state, ENTRY).status).toBe('success')
+  })
+
+  it('checks out and re-admits in exit and re-entry modes', () => {
+    const state = emptyState()
+    expect(decideAdmission({ ticketId: 'T1' }, state, { ...ENTRY, gateMode: 'exit' }))
+      .toEqual({ status: 'not-inside', reason: { key: 'reason.neverCheckedIn' } })
+
+    admit(state, 'T1')
+    expect(decideAdmission({ ticketId: 'T1' }, state, { ...ENTRY, gateMode: 'exit' }).status).toBe('exit')
+
+    state.presence.set('T1', { ticketId: 'T1', state: 'outside', changedAt: 150 })
+    expect(decideAdmission({ ticketId: 'T1' }, state, { ...ENTRY, gateMode: 'reentry' }).status).toBe('reentry')
+    expect(decideAdmission({ ticketId: 'T1' }, state, ENTRY).status).toBe('duplicate')
+  })
+
+  it('turns away voided tickets before anything else', () => {
+    const state = emptyState()
+    state.voids.set('T1', { ticketId: 'T1', reason: null })
+    expect(decideAdmission({ ticketId: 'T1', online: { decision: 'admit' } }, state, ENTRY))
+      .toEqual({ status: 'voided', reason: { key: 'reason.voided' } })
+  })
+
+  it('follows the online decision instead of local state', () => {
+    const state = emptyState()
+    admit(state, 'T1')
+    expect(decideAdmission({ ticketId: 'T1', online: { decision: 'admit' } }, state, ENTRY).status).toBe('success')
+    expect(decideAdmission({ ticketId: 'T2', online: { decision: 'duplicate', reason: 'Used at gate B.' } }, state, ENTRY))
+      .toEqual({ status: 'duplicate', reason: 'Used at gate B.' })
+    expect(decideAdmission({ ticketId: 'T2', online: { decision: 'reject' } }, state, ENTRY))
+      .toEqual({ status: 'invalid', reason: { key: 'reason.rejectedByServer' } })
+  })
+
+  it('lets the rest of a group in when the server admits the ticket again', () => {
+    const state = emptyState()
+    const online = { decision: 'admit' }
+    expect(decideAdmission({ ticketId: 'G1', groupSize: 5, online }, state, ENTRY).status).toBe('success')
+
+    state.admissions.set('G1', { ticketId: 'G1', scannedAt: 0, groupSize: 5, entries: { a: 3 } })
+    expect(decideAdmission({ ticketId: 'G1', groupSize: 5, online }, state, ENTRY)).toEqual({ status: 'group-entry', reason: null })
+    expect(decideAdmission({ ticketId: 'G1', groupSize: 5, online: { decision: 'duplicate', reason: 'Party complete.' } }, state, ENTRY))
+      .toEqual({ status: 'duplicate', reason: 'Party complete.' })
+  })
+
+  it('keeps admitting a group ticket until the whole party is in', () => {
+    const state = emptyState()
+    expect(decideAdmission({ ticketId: 'G1', groupSize: 5 }, state, ENTRY).status).toBe('success')
+
+    state.admissions.set('G1', { ticketId: 'G1', scannedAt: 0, groupSize: 5, entries: { a: 3 } })
+    expect(decideAdmission({ ticketId: 'G1', groupSize: 5 }, state, ENTRY)).toEqual({ status: 'group-entry', reason: null })
+
+    state.admissions.set('G1', { ticketId: 'G1', scannedAt: 0, groupSize: 5, entries: { a: 3, b: 2 } })
+    expect(decideAdmission({ ticketId: 'G1', groupSize: 5 }, state, ENTRY)).toEqual({
+      status: 'duplicate',
+      reason: { key: 'reason.groupComplete', params: { count: 5 } },
+    })
+  })
+
+  it('applies zone access to admissions only', () => {
+    const state = emptyState()
+    const vipGate = { ...ENTRY, gateZone: 'VIP', zoneAccess: { VIP: ['VIP'] } }
+    expect(decideAdmission({ ticketId: 'T1', ticketType: 'VIP' }, state, vipGate).status).toBe('success')
+    expect(decideAdmission({ ticketId: 'T1', ticketType: 'General' }, state, vipGate).status).toBe('wrong-zone')
+
+    admit(state, 'T1')
+    expect(decideAdmission({ ticketId: 'T1', ticketType: 'General' }, state, vipGate).status).toBe('duplicate')
+  })
+})
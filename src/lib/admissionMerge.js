@@ -0,0 +1,84 @@
+// Conflict resolution for records synced between gates: admissions, check-ins
+// and check-outs (`kind: 'presence'`), and supervisor overrides - voided
+// tickets (`kind: 'void'`) and undone admissions (`kind: 'undo'`).
+// Dependency-free so the Node sync server can share it.
+
+// Admissions predate the `kind` field, so a record without one is an admission
+export const recordKind = (record) => record.kind || 'admission'
+
+// True when admission `a` happened before `b`. Ties are broken by device ID
+// so every device settles on the same record.
+export const isEarlierAdmission = (a, b) => {
+  if (a.scannedAt !== b.scannedAt) return a.scannedAt < b.scannedAt
+  return String(a.deviceId) < String(b.deviceId)
+}
+
+// Group tickets count people let in per device ({ deviceId: count }), and
+// entries taken back by a supervisor the same way. A device only ever raises
+// its own counts, so the highest count per device is the latest, and merging
+// never loses or double-counts anyone.
+const mergeEntries = (a = {}, b = {}) => {
+  const merged = { ...a }
+  Object.entries(b).forEach(([deviceId, count]) => {
+    merged[deviceId] = Math.max(merged[deviceId] || 0, count)
+  })
+  return merged
+}
+
+const sameEntries = (a = {}, b = {}) => (
+  Object.keys(a).length === Object.keys(b).length &&
+  Object.entries(a).every(([deviceId, count]) => b[deviceId] === count)
+)
+
+// Keep whichever admission came first, with the group counts of both.
+// Returns `existing` itself when the incoming record adds nothing.
+export const mergeAdmission = (existing, incoming) => {
+  if (!existing) return incoming
+  const first = isEarlierAdmission(incoming, existing) ? incoming : existing
+  if (!existing.entries && !incoming.entries) return first
+
+  const entries = mergeEntries(existing.entries, incoming.entries)
+  const undoneEntries = mergeEntries(existing.undoneEntries, incoming.undoneEntries)
+  if (
+    first === existing &&
+    sameEntries(entries, existing.entries) &&
+    sameEntries(undoneEntries, existing.undoneEntries)
+  ) {
+    return existing
+  }
+  const merged = {
+    ...first,
+    groupSize: Math.max(existing.groupSize || 1, incoming.groupSize || 1),
+    entries,
+  }
+  if (Object.keys(undoneEntries).length > 0) merged.undoneEntries = undoneEntries
+  return merged
+}
+
+// True when presence change `a` happened after `b`, ties broken by device ID
+const isLaterChange = (a, b) => {
+  if (a.changedAt !== b.changedAt) return a.changedAt > b.changedAt
+  return String(a.deviceId) > String(b.deviceId)
+}
+
+// A ticket is inside or outside as of the latest check-in or check-out at any
+// gate. Returns `existing` itself when the incoming change is older.
+export const mergePresence = (existing, incoming) => (
+  !existing || isLaterChange(incoming, existing) ? incoming : existing
+)
+
+// A ticket stays voided from its first void on, with that void's reason
+export const mergeVoid = (existing, incoming) => {
+  if (!existing) return incoming
+  if (incoming.voidedAt !== existing.voidedAt) return incoming.voidedAt < existing.voidedAt ? incoming : existing
+  return String(incoming.deviceId) < String(existing.deviceId) ? incoming : existing
+}
+
+// An undo names the admission it took back ({ ticketId, scannedAt }), so
+// repeats of it carry nothing new
+const mergeUndo = (existing, incoming) => existing || incoming
+
+const MERGERS = { admission: mergeAdmission, presence: mergePresence, void: mergeVoid, undo: mergeUndo }
+
+// Merge two synced records of the same kind and ticket
+export const mergeSyncRecord = (existing, incoming) => MERGERS[recordKind(incoming)](existing, incoming)
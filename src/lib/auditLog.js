@@ -0,0 +1,82 @@
+// Audit log export.
+// Turns stored scan records into CSV or JSON files for reconciliation with
+// the box office after the event.
+
+// Columns in export order: [header, value getter]
+const AUDIT_COLUMNS = [
+  ['timestamp', record => new Date(record.scannedAt).toISOString()],
+  ['decoded_text', record => record.code],
+  ['ticket_id', record => record.ticketId],
+  ['result', record => record.status],
+  ['source', record => record.source],
+  ['device_id', record => record.deviceId],
+  ['gate_id', record => record.gateId],
+  ['camera', record => record.camera],
+  ['format', record => record.format],
+  ['validation', record => record.validation],
+  ['reason', record => record.reason],
+  ['admitted_count', record => record.admittedCount],
+]
+
+// Camera watchdog incidents (see cameraWatchdog.js), for checking a device's camera after the event
+const INCIDENT_COLUMNS = [
+  ['detected_at', incident => new Date(incident.detectedAt).toISOString()],
+  ['kind', incident => incident.kind],
+  ['outcome', incident => incident.outcome],
+  ['attempts', incident => incident.attempts],
+  ['resolved_at', incident => (incident.resolvedAt ? new Date(incident.resolvedAt).toISOString() : null)],
+  ['camera', incident => incident.camera],
+  ['device_id', incident => incident.deviceId],
+  ['gate_id', incident => incident.gateId],
+]
+
+// Quote a CSV field when it contains a delimiter, quote or newline. Scanned codes
+// and reasons are untrusted, so text a spreadsheet would run as a formula
+// (=, +, -, @, or a leading tab or carriage return) gets a ' in front.
+const escapeCsv = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value)
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsv = (columns, records) => {
+  const header = columns.map(([name]) => name).join(',')
+  const rows = records.map(record => columns.map(([, get]) => escapeCsv(get(record))).join(','))
+  return [header, ...rows].join('\r\n') + '\r\n'
+}
+
+export const toAuditCsv = (records) => toCsv(AUDIT_COLUMNS, records)
+
+export const toIncidentCsv = (incidents) => toCsv(INCIDENT_COLUMNS, incidents)
+
+export const toAuditJson = (records) => {
+  const entries = records.map((record) => {
+    const entry = {}
+    AUDIT_COLUMNS.forEach(([name, get]) => {
+      entry[name] = get(record) ?? null
+    })
+    return entry
+  })
+  return JSON.stringify(entries, null, 2)
+}
+
+// File name like scan-log-2025-07-12T21-30-00.csv, or scan-log-summer-fest-2025-07-12T21-30-00.csv
+// when an event name is given
+export const auditFileName = (extension, date = new Date(), eventName = '', prefix = 'scan-log') => {
+  const slug = eventName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')
+  return `${prefix}-${slug ? `${slug}-` : ''}${date.toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`
+}
+
+// Offer `content` as a file download
+export const downloadFile = (fileName, content, mimeType) => {
+  const blob = new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest'
+import { toAuditCsv } from './auditLog'
+
+const record = (code, reason = null) => ({
+  scannedAt: Date.UTC(2025, 6, 12, 21, 30),
+  code,
+  ticketId: code,
+  status: 'invalid',
+  source: 'camera',
+  deviceId: 'd1',
+  gateId: null,
+  camera: null,
+  format: 'QR_CODE',
+  validation: 'local',
+  reason,
+  admittedCount: 0,
+})
+
+const rows = csv => csv.trim().split('\r\n').slice(1)
+
+describe('toAuditCsv', () => {
+  it('quotes fields with delimiters, quotes and newlines', () => {
+    const [row] = rows(toAuditCsv([record('A,1', 'Said "no"\nat the door')]))
+    expect(row).toContain('"A,1","A,1"')
+    expect(row).toContain('"Said ""no""\nat the door"')
+  })
+
+  it('stops scanned codes from running as spreadsheet formulas', () => {
+    const csv = toAuditCsv([
+      record('=HYPERLINK("http://example.com")'),
+      record('+1+1'),
+      record('-2'),
+      record('@SUM(A1)'),
+      record('\tTAB'),
+    ])
+    const codes = rows(csv).map(row => row.split(',')[1])
+    expect(codes).toEqual(['"\'=HYPERLINK(""http://example.com"")"', '\'+1+1', '\'-2', '\'@SUM(A1)', '\'\tTAB'])
+  })
+})
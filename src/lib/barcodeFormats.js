@@ -0,0 +1,45 @@
+// Barcode formats the operator can enable. QR is the default; airline-style and
+// partner tickets use PDF417 or Aztec, wristbands usually Code 128.
+// Keys are the html5-qrcode format names, which are also what decoded results
+// report in `result.format.formatName` and what the scan log stores.
+
+import { Html5QrcodeSupportedFormats } from 'html5-qrcode'
+
+export const BARCODE_FORMATS = {
+  QR_CODE: { label: 'QR Code', format: Html5QrcodeSupportedFormats.QR_CODE },
+  PDF_417: { label: 'PDF417', format: Html5QrcodeSupportedFormats.PDF_417 },
+  AZTEC: { label: 'Aztec', format: Html5QrcodeSupportedFormats.AZTEC },
+  CODE_128: { label: 'Code 128', format: Html5QrcodeSupportedFormats.CODE_128 },
+  DATA_MATRIX: { label: 'Data Matrix', format: Html5QrcodeSupportedFormats.DATA_MATRIX },
+  CODE_39: { label: 'Code 39', format: Html5QrcodeSupportedFormats.CODE_39 },
+}
+
+export const DEFAULT_BARCODE_FORMATS = ['QR_CODE']
+
+// Keep known format names in table order; an empty selection falls back to QR
+export const normalizeBarcodeFormats = (formats) => {
+  const list = Array.isArray(formats) ? formats : []
+  const known = Object.keys(BARCODE_FORMATS).filter(name => list.includes(name))
+  return known.length > 0 ? known : [...DEFAULT_BARCODE_FORMATS]
+}
+
+// Constructor config for an Html5Qrcode instance decoding the enabled formats.
+// The native BarcodeDetector is used where the browser has one (much faster
+// than the bundled ZXing decoder); elsewhere html5-qrcode falls back silently.
+export const getDecoderConfig = (formats) => ({
+  formatsToSupport: normalizeBarcodeFormats(formats).map(name => BARCODE_FORMATS[name].format),
+  useBarCodeDetectorIfSupported: true,
+  verbose: false,
+})
+
+// Display label for a decoded format name ('PDF_417' -> 'PDF417')
+export const formatLabel = (formatName) => {
+  if (!formatName) return ''
+  return BARCODE_FORMATS[formatName] ? BARCODE_FORMATS[formatName].label : formatName.replace(/_/g, ' ')
+}
+
+// Format name from an html5-qrcode decoded result, or null
+export const getDecodedFormat = (decodedResult) => {
+  const format = decodedResult && decodedResult.result && decodedResult.result.format
+  return format ? format.formatName : null
+}
@@ -0,0 +1,199 @@
+// Watches the running camera and restarts it when it dies silently: the video
+// track ended, the picture froze on a still frame, or the decoder stopped
+// looking at frames. Restarts back off exponentially while the camera keeps
+// failing, and every incident is reported so it can be logged.
+
+import { randomId } from './randomId'
+
+// Incident kinds with a description for the operator
+export const INCIDENT_KINDS = {
+  'track-ended': 'Camera disconnected',
+  frozen: 'Camera picture froze',
+  stalled: 'Scanner stopped reading frames',
+}
+
+// Wait before the nth restart in a row: 1s, 2s, 4s ... capped at `max`
+export const getRecoveryDelay = (attempt, { base = 1000, max = 30000 } = {}) => (
+  Math.min(base * 2 ** (attempt - 1), max)
+)
+
+const SAMPLE_SIZE = 16
+let sampleCanvas = null
+
+// Fingerprint of the current video frame from a tiny downscaled copy. Live
+// cameras always have some sensor noise, so the same fingerprint for seconds
+// means a frozen stream. Returns null when the frame can't be told apart from a
+// frozen one (not ready yet, or a uniform picture such as a covered lens).
+export const sampleVideoFrame = (video) => {
+  if (video.readyState < 2 || !video.videoWidth) return null
+  try {
+    if (!sampleCanvas) {
+      sampleCanvas = document.createElement('canvas')
+      sampleCanvas.width = SAMPLE_SIZE
+      sampleCanvas.height = SAMPLE_SIZE
+    }
+    const context = sampleCanvas.getContext('2d', { willReadFrequently: true })
+    context.drawImage(video, 0, 0, SAMPLE_SIZE, SAMPLE_SIZE)
+    const { data } = context.getImageData(0, 0, SAMPLE_SIZE, SAMPLE_SIZE)
+    let hash = 0
+    let min = 255
+    let max = 0
+    for (let i = 0; i < data.length; i += 4) {
+      const value = (data[i] + data[i + 1] + data[i + 2]) / 3
+      min = Math.min(min, value)
+      max = Math.max(max, value)
+      hash = (hash * 31 + data[i] + data[i + 1] * 7 + data[i + 2] * 13) | 0
+    }
+    return max - min < 4 ? null : hash
+  } catch (err) {
+    console.log("Could not sample video frame:", err)
+    return null
+  }
+}
+
+// engine - scanner engine (see scannerEngine.js)
+// getVideo() - the <video> element showing the camera, or null
+// shouldRecover() - false once the operator stopped scanning; checked between restart attempts
+// isPaused() - true while checks would give false alarms, e.g. the page is hidden
+// onIncident(incident) - { id, kind, detectedAt, attempts, outcome, resolvedAt }, reported when
+//   found (outcome 'recovering') and again once 'recovered', 'failed' or 'cancelled'
+// onStatusChange({ recovering, recoveries, failed }) - for the banner and recovery counter
+export const createCameraWatchdog = ({
+  engine,
+  getVideo,
+  shouldRecover = () => true,
+  isPaused = () => false,
+  onIncident,
+  onStatusChange,
+  readFrame = sampleVideoFrame,
+  checkInterval = 1000,
+  frozenAfter = 5000,
+  stalledAfter = 5000,
+  healthyAfter = 30000,
+  maxAttempts = 5,
+}) => {
+  let timer = null
+  let isStopped = true
+  let recovering = false
+  let recoveries = 0
+  let failed = false
+  let attempt = 0 // Restarts in a row without a healthy spell in between, for the backoff
+  let wasRunning = false
+  let lastFrame = null
+  let lastFrameChangeAt = 0
+  let watchingSince = 0
+  let healthySince = 0
+
+  const report = () => onStatusChange({ recovering, recoveries, failed })
+
+  // Start every measurement over, e.g. after a restart or while the page was hidden
+  const resetBaseline = (now) => {
+    lastFrame = null
+    lastFrameChangeAt = now
+    watchingSince = now
+  }
+
+  // What is wrong with the running camera, or null when it looks healthy
+  const diagnose = (now) => {
+    const video = getVideo()
+    const stream = video && video.srcObject
+    const track = stream && stream.getVideoTracks ? stream.getVideoTracks()[0] : null
+    if (track && track.readyState === 'ended') return 'track-ended'
+
+    if (video) {
+      const frame = readFrame(video)
+      if (frame === null || frame !== lastFrame) {
+        lastFrame = frame
+        lastFrameChangeAt = now
+      } else if (now - lastFrameChangeAt >= frozenAfter) {
+        return 'frozen'
+      }
+    }
+
+    // html5-qrcode calls back for every frame it scans, code or not
+    const lastDecodeAt = Math.max(engine.getLastFrameAt(), watchingSince)
+    if (now - lastDecodeAt >= stalledAfter) return 'stalled'
+    return null
+  }
+
+  const recover = async (kind) => {
+    recovering = true
+    const incident = {
+      id: randomId(),
+      kind,
+      detectedAt: Date.now(),
+      attempts: 0,
+      outcome: 'recovering',
+      resolvedAt: null,
+    }
+    console.warn(`Camera watchdog: ${INCIDENT_KINDS[kind]} - restarting`)
+    onIncident({ ...incident })
+    report()
+
+    while (incident.outcome === 'recovering') {
+      if (isStopped || !shouldRecover()) {
+        incident.outcome = 'cancelled'
+        break
+      }
+      attempt += 1
+      incident.attempts += 1
+      const restarted = await engine.restart({ delay: getRecoveryDelay(attempt) })
+      if (restarted) {
+        incident.outcome = 'recovered'
+        recoveries += 1
+      } else if (incident.attempts >= maxAttempts) {
+        incident.outcome = 'failed'
+        failed = true
+      }
+    }
+
+    incident.resolvedAt = Date.now()
+    console.warn(`Camera watchdog: ${INCIDENT_KINDS[kind]} - ${incident.outcome} after ${incident.attempts} restart(s)`)
+    onIncident({ ...incident })
+    recovering = false
+    wasRunning = false
+    report()
+  }
+
+  const check = () => {
+    if (isStopped || recovering) return
+    const now = Date.now()
+    if (engine.getState() !== 'running' || isPaused()) {
+      wasRunning = false
+      return
+    }
+    if (!wasRunning) {
+      // Camera (re)started - give it a fresh baseline
+      wasRunning = true
+      healthySince = now
+      if (failed) {
+        failed = false
+        report()
+      }
+      resetBaseline(now)
+      return
+    }
+
+    const kind = diagnose(now)
+    if (kind) {
+      recover(kind)
+    } else if (attempt > 0 && now - healthySince >= healthyAfter) {
+      attempt = 0
+    }
+  }
+
+  return {
+    start() {
+      if (!isStopped) return
+      isStopped = false
+      timer = setInterval(check, checkInterval)
+    },
+
+    stop() {
+      isStopped = true
+      clearInterval(timer)
+    },
+
+    getStatus: () => ({ recovering, recoveries, failed }),
+  }
+}
@@ -0,0 +1,176 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createCameraWatchdog, getRecoveryDelay } from './cameraWatchdog'
+
+// Scanner engine stand-in whose decode loop ticks with the fake clock until told to stall
+const createFakeEngine = () => {
+  const engine = {
+    state: 'running',
+    stalled: false,
+    lastFrameAt: Date.now(),
+    restartResults: [],
+    getState: () => engine.state,
+    getLastFrameAt: () => (engine.stalled ? engine.lastFrameAt : Date.now()),
+    restart: vi.fn(async ({ delay }) => {
+      await new Promise(resolve => setTimeout(resolve, delay))
+      const restarted = engine.restartResults.length > 0 ? engine.restartResults.shift() : true
+      engine.state = restarted ? 'running' : 'idle'
+      engine.stalled = false
+      return restarted
+    }),
+  }
+  return engine
+}
+
+const createVideo = () => {
+  const track = { readyState: 'live' }
+  return { track, srcObject: { getVideoTracks: () => [track] } }
+}
+
+const setup = (overrides = {}) => {
+  const engine = createFakeEngine()
+  const video = createVideo()
+  let frame = 0
+  const camera = { frozen: false }
+  const incidents = []
+  const statuses = []
+  const watchdog = createCameraWatchdog({
+    engine,
+    getVideo: () => video,
+    readFrame: () => (camera.frozen ? 42 : frame++),
+    onIncident: incident => incidents.push(incident),
+    onStatusChange: status => statuses.push(status),
+    ...overrides,
+  })
+  watchdog.start()
+  return { engine, video, camera, incidents, statuses, watchdog }
+}
+
+beforeEach(() => {
+  vi.useFakeTimers()
+  vi.setSystemTime(new Date('2026-06-01T18:00:00Z'))
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.restoreAllMocks()
+})
+
+describe('getRecoveryDelay', () => {
+  it('doubles per attempt up to the cap', () => {
+    expect([1, 2, 3, 4].map(attempt => getRecoveryDelay(attempt))).toEqual([1000, 2000, 4000, 8000])
+    expect(getRecoveryDelay(10)).toBe(30000)
+  })
+})
+
+describe('createCameraWatchdog', () => {
+  it('leaves a healthy camera alone', async () => {
+    const { engine, incidents, watchdog } = setup()
+    await vi.advanceTimersByTimeAsync(60000)
+    expect(engine.restart).not.toHaveBeenCalled()
+    expect(incidents).toEqual([])
+    watchdog.stop()
+  })
+
+  it('restarts a camera whose track ended and logs the incident', async () => {
+    const { engine, video, incidents, statuses, watchdog } = setup()
+    await vi.advanceTimersByTimeAsync(2000)
+    video.track.readyState = 'ended'
+    await vi.advanceTimersByTimeAsync(1000)
+
+    expect(incidents).toHaveLength(1)
+    expect(incidents[0]).toMatchObject({ kind: 'track-ended', outcome: 'recovering' })
+    expect(statuses.at(-1)).toEqual({ recovering: true, recoveries: 0, failed: false })
+
+    video.track.readyState = 'live'
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(engine.restart).toHaveBeenCalledWith({ delay: 1000 })
+    expect(incidents[1]).toMatchObject({ id: incidents[0].id, outcome: 'recovered', attempts: 1 })
+    expect(statuses.at(-1)).toEqual({ recovering: false, recoveries: 1, failed: false })
+    watchdog.stop()
+  })
+
+  it('detects a frozen picture after frozenAfter', async () => {
+    const { camera, incidents, watchdog } = setup({ frozenAfter: 5000 })
+    await vi.advanceTimersByTimeAsync(2000)
+    camera.frozen = true
+    await vi.advanceTimersByTimeAsync(5000)
+    expect(incidents).toEqual([])
+    await vi.advanceTimersByTimeAsync(1000)
+    expect(incidents[0].kind).toBe('frozen')
+    watchdog.stop()
+  })
+
+  it('ignores pictures that cannot be fingerprinted, such as a covered lens', async () => {
+    const { incidents, watchdog } = setup({ readFrame: () => null })
+    await vi.advanceTimersByTimeAsync(30000)
+    expect(incidents).toEqual([])
+    watchdog.stop()
+  })
+
+  it('detects a stalled decode loop', async () => {
+    const { engine, incidents, watchdog } = setup({ stalledAfter: 5000 })
+    await vi.advanceTimersByTimeAsync(2000)
+    engine.stalled = true
+    engine.lastFrameAt = Date.now()
+    await vi.advanceTimersByTimeAsync(6000)
+    expect(incidents[0].kind).toBe('stalled')
+    watchdog.stop()
+  })
+
+  it('backs off between failed restarts and gives up after maxAttempts', async () => {
+    const { engine, video, incidents, statuses, watchdog } = setup({ maxAttempts: 3 })
+    engine.restartResults = [false, false, false]
+    await vi.advanceTimersByTimeAsync(2000)
+    video.track.readyState = 'ended'
+    await vi.advanceTimersByTimeAsync(1000 + 1000 + 2000 + 4000)
+
+    expect(engine.restart.mock.calls.map(([options]) => options.delay)).toEqual([1000, 2000, 4000])
+    expect(incidents.at(-1)).toMatchObject({ outcome: 'failed', attempts: 3 })
+    expect(statuses.at(-1)).toEqual({ recovering: false, recoveries: 0, failed: true })
+    watchdog.stop()
+  })
+
+  it('keeps backing off when the camera fails again soon after a recovery', async () => {
+    const { engine, video, watchdog } = setup()
+    await vi.advanceTimersByTimeAsync(2000)
+    video.track.readyState = 'ended'
+    await vi.advanceTimersByTimeAsync(1000)
+    video.track.readyState = 'live'
+    await vi.advanceTimersByTimeAsync(5000)
+
+    video.track.readyState = 'ended'
+    await vi.advanceTimersByTimeAsync(1000)
+    video.track.readyState = 'live'
+    await vi.advanceTimersByTimeAsync(2000)
+    expect(engine.restart.mock.calls.map(([options]) => options.delay)).toEqual([1000, 2000])
+    watchdog.stop()
+  })
+
+  it('stops recovering once the operator stopped scanning', async () => {
+    let isWanted = true
+    const { engine, video, incidents, watchdog } = setup({ shouldRecover: () => isWanted })
+    engine.restartResults = [false]
+    await vi.advanceTimersByTimeAsync(2000)
+    video.track.readyState = 'ended'
+    await vi.advanceTimersByTimeAsync(1000)
+    isWanted = false
+    await vi.advanceTimersByTimeAsync(5000)
+
+    expect(engine.restart).toHaveBeenCalledTimes(1)
+    expect(incidents.at(-1).outcome).toBe('cancelled')
+    watchdog.stop()
+  })
+
+  it('does not check while paused or while the camera is off', async () => {
+    let paused = true
+    const { engine, video, incidents, watchdog } = setup({ isPaused: () => paused })
+    video.track.readyState = 'ended'
+    await vi.advanceTimersByTimeAsync(10000)
+    paused = false
+    engine.state = 'idle'
+    await vi.advanceTimersByTimeAsync(10000)
+    expect(incidents).toEqual([])
+    watchdog.stop()
+  })
+})
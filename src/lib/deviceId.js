@@ -0,0 +1,27 @@
+// Stable per-device identifier, used to tell gates apart in synced records.
+// Generated once and kept in localStorage.
+
+import { randomId } from './randomId'
+
+const STORAGE_KEY = 'sub-scan:deviceId'
+
+let cachedId = null
+
+const generateId = () => randomId().slice(0, 8)
+
+export const getDeviceId = () => {
+  if (cachedId) return cachedId
+
+  try {
+    cachedId = localStorage.getItem(STORAGE_KEY)
+    if (!cachedId) {
+      cachedId = generateId()
+      localStorage.setItem(STORAGE_KEY, cachedId)
+    }
+  } catch (err) {
+    // Storage blocked (private mode) - fall back to a per-session ID
+    console.log("localStorage not available, using session device ID:", err)
+    cachedId = cachedId || generateId()
+  }
+  return cachedId
+}
@@ -0,0 +1,107 @@
+// Named event sessions, so the same phone can staff several events.
+// Each session has its own IndexedDB database (used tickets, guest list, scan
+// log, queues) and its own settings. The session list lives in localStorage.
+//
+// The session that existed before sessions were introduced keeps the original
+// database and settings key, so upgrading devices find their data in it.
+
+const SESSIONS_KEY = 'sub-scan:sessions'
+const ACTIVE_KEY = 'sub-scan:activeSession'
+
+export const DEFAULT_SESSION_ID = 'default'
+
+// IndexedDB database holding a session's data
+export const sessionDatabaseName = (sessionId) => {
+  return sessionId === DEFAULT_SESSION_ID ? 'sub-scan' : `sub-scan:${sessionId}`
+}
+
+// localStorage key for a session's settings
+export const sessionSettingsKey = (sessionId) => {
+  return sessionId === DEFAULT_SESSION_ID ? 'sub-scan:settings' : `sub-scan:settings:${sessionId}`
+}
+
+// localStorage key for the last gate sync poll position of a session
+const syncCursorKey = (sessionId) => `sub-scan:sync-cursor:${sessionId}`
+
+// Gate sync channel of a session. Session IDs differ on every phone, so gates
+// are matched on the event name, ignoring case and spacing.
+export const sessionSyncChannel = (session) => {
+  return session.name.trim().replace(/\s+/g, ' ').toLowerCase()
+}
+
+const readJson = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key)
+    return stored ? JSON.parse(stored) : fallback
+  } catch (err) {
+    console.log(`Could not read ${key}:`, err)
+    return fallback
+  }
+}
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value))
+  } catch (err) {
+    console.error(`Could not save ${key}:`, err)
+  }
+}
+
+// All sessions ({ id, name, createdAt, archivedAt }), newest first
+export const loadSessions = () => {
+  const sessions = readJson(SESSIONS_KEY, null)
+  if (Array.isArray(sessions)) {
+    return [...sessions].sort((a, b) => b.createdAt - a.createdAt)
+  }
+  // First run with sessions - whatever was scanned before becomes the first session
+  const initial = [{ id: DEFAULT_SESSION_ID, name: 'Current event', createdAt: Date.now(), archivedAt: null }]
+  writeJson(SESSIONS_KEY, initial)
+  return initial
+}
+
+const saveSessions = (sessions) => {
+  writeJson(SESSIONS_KEY, sessions)
+  return loadSessions()
+}
+
+export const getActiveSessionId = () => readJson(ACTIVE_KEY, null)
+
+export const loadSyncCursor = (sessionId) => readJson(syncCursorKey(sessionId), 0)
+
+export const saveSyncCursor = (sessionId, cursor) => writeJson(syncCursorKey(sessionId), cursor)
+
+export const setActiveSessionId = (sessionId) => writeJson(ACTIVE_KEY, sessionId)
+
+// Add a session. Settings are copied from `copySettingsFrom` so a new night
+// starts with the same scanner setup. Returns the updated list and the new session.
+export const createSession = (name, { copySettingsFrom } = {}) => {
+  const session = {
+    id: `s-${Date.now().toString(36)}`,
+    name: name.trim() || 'Untitled event',
+    createdAt: Date.now(),
+    archivedAt: null,
+  }
+  if (copySettingsFrom) {
+    const settings = readJson(sessionSettingsKey(copySettingsFrom), null)
+    if (settings) writeJson(sessionSettingsKey(session.id), settings)
+  }
+  return { sessions: saveSessions([...loadSessions(), session]), session }
+}
+
+// Archived sessions are kept (and exportable) but hidden from the main list
+export const setSessionArchived = (sessionId, archived) => {
+  return saveSessions(loadSessions().map(session => (
+    session.id === sessionId ? { ...session, archivedAt: archived ? Date.now() : null } : session
+  )))
+}
+
+// Drop a session from the list and remove its settings and sync position. The caller deletes its database.
+export const removeSession = (sessionId) => {
+  try {
+    localStorage.removeItem(sessionSettingsKey(sessionId))
+    localStorage.removeItem(syncCursorKey(sessionId))
+  } catch (err) {
+    console.log("Could not remove session settings:", err)
+  }
+  return saveSessions(loadSessions().filter(session => session.id !== sessionId))
+}
@@ -0,0 +1,59 @@
+// Operator feedback beyond the result card: which feedback kind a scan status
+// gets, the text announced to screen readers and the phrase spoken aloud.
+// Each kind has its own tone, vibration, flash colour, pattern and symbol, so
+// results can be told apart without relying on colour or hearing alone.
+
+import { ENTERING_STATUSES, LEAVING_STATUSES } from './gateModes'
+import { DEFAULT_LANGUAGE, getTranslator, translateMessage } from './i18n'
+
+// 'success' - someone goes in or out, 'duplicate' - ticket already used,
+// 'zone' - valid ticket at the wrong entrance, 'invalid' - every other rejection
+export const getFeedbackKind = (status) => {
+  if (ENTERING_STATUSES.includes(status) || LEAVING_STATUSES.includes(status)) return 'success'
+  if (status === 'duplicate') return 'duplicate'
+  if (status === 'wrong-zone') return 'zone'
+  return 'invalid'
+}
+
+// Full-screen flash symbol for each kind; the label comes from the 'flash.*' messages
+export const FLASH_SIGNS = {
+  success: { symbol: '✓' },
+  duplicate: { symbol: '!!' },
+  zone: { symbol: '⛔' },
+  invalid: { symbol: '✕' },
+}
+
+// Screen reader text, e.g. "Admitted. VIP. Jane Doe." or "Already used. Ticket ABC123."
+export const describeForScreenReader = (status, { ticketId, ticketType, holderName, reason }, t = getTranslator(DEFAULT_LANGUAGE)) => {
+  const parts = [t(`announce.${status}`)]
+  if (getFeedbackKind(status) === 'success') {
+    if (ticketType) parts.push(ticketType)
+    if (holderName) parts.push(holderName)
+  } else {
+    if (ticketId) parts.push(t('announce.ticket', { ticketId }))
+    if (reason) parts.push(translateMessage(reason, t).replace(/\.$/, ''))
+  }
+  return `${parts.join('. ')}.`
+}
+
+// Spoken phrase - short enough not to hold up the queue, e.g. "VIP, welcome"
+export const describeForSpeech = (status, { ticketType }, t = getTranslator(DEFAULT_LANGUAGE)) => {
+  if (status === 'success' && ticketType) {
+    return t('speech.successWithType', { ticketType })
+  }
+  return t(`speech.${status}`)
+}
+
+// Speak with the Web Speech API in the UI language, cutting off the previous result
+export const speak = (text, language) => {
+  if (typeof window === 'undefined' || !window.speechSynthesis || !window.SpeechSynthesisUtterance) return
+  try {
+    window.speechSynthesis.cancel()
+    const utterance = new window.SpeechSynthesisUtterance(text)
+    utterance.rate = 1.2
+    if (language) utterance.lang = language
+    window.speechSynthesis.speak(utterance)
+  } catch (err) {
+    console.log("Speech not available:", err)
+  }
+}
@@ -0,0 +1,28 @@
+// Gate modes for venues that allow leaving and coming back.
+//   entry   - one admission per ticket, any later scan is a duplicate
+//   exit    - checks a ticket out, so it counts as outside
+//   reentry - admits new tickets and tickets that checked out; only a
+//             double entry (scan while already inside) is a duplicate
+
+// Mode -> message key of its name (see locales/)
+export const GATE_MODES = {
+  entry: 'gateMode.entry',
+  exit: 'gateMode.exit',
+  reentry: 'gateMode.reentry',
+}
+
+// Outcome of scanning a known, valid ticket:
+// 'success' (first admission), 'reentry', 'exit', 'not-inside' or 'duplicate'
+export const decideGateMovement = (mode, { isAdmitted, isInside }) => {
+  if (mode === 'exit') {
+    return isInside ? 'exit' : 'not-inside'
+  }
+  if (!isAdmitted) return 'success'
+  if (mode === 'reentry' && !isInside) return 'reentry'
+  return 'duplicate'
+}
+
+// Statuses after which the ticket is inside / outside the venue
+// 'forced' - let in by a supervisor, 'group-entry' - more of a group ticket's party
+export const ENTERING_STATUSES = ['success', 'reentry', 'forced', 'group-entry']
+export const LEAVING_STATUSES = ['exit']
@@ -0,0 +1,101 @@
+// Shares used-ticket records between scanner devices at different gates,
+// check-ins and check-outs so every gate knows who is inside, and supervisor
+// overrides (voided tickets, undone admissions) so they apply at every gate.
+// Local changes go into a persistent outbox first and are delivered when the
+// transport is online, so a gate that loses connectivity catches up later.
+// When two gates admitted the same ticket, the earliest scan wins; for
+// presence the latest change wins, and a ticket stays voided from its first
+// void on (see admissionMerge.js).
+
+// transport - see syncTransports.js
+// store - the event's storage from openSessionStore() in scanStore.js, which holds the outbox
+// onRemoteRecords(records) - admissions, presence changes and overrides received from the server
+//   (may include our own)
+// onStatusChange({ status, pending }) - connection state and number of queued records
+export const createGateSync = ({ transport, store, onRemoteRecords, onStatusChange, retryInterval = 5000 }) => {
+  let status = 'offline'
+  let pending = 0
+  let isFlushing = false
+  let retryTimer = null
+  let isStopped = false
+
+  const report = () => onStatusChange({ status, pending })
+
+  const scheduleRetry = () => {
+    clearTimeout(retryTimer)
+    if (!isStopped) {
+      retryTimer = setTimeout(flush, retryInterval)
+    }
+  }
+
+  // Send everything in the outbox. Records queued while a send is in flight
+  // are picked up by the next loop iteration. Once stopped, nothing more is
+  // written - what was sent but not removed is merged again harmlessly.
+  const flush = async () => {
+    if (isFlushing || isStopped) return
+    isFlushing = true
+    try {
+      let queued = await store.loadOutbox()
+      while (queued.length > 0) {
+        if (isStopped) return
+        pending = queued.length
+        report()
+        await transport.send(queued.map(({ id, ...record }) => record))
+        if (isStopped) return
+        await store.removeFromOutbox(queued.map(item => item.id))
+        queued = await store.loadOutbox()
+      }
+      if (isStopped) return
+      pending = 0
+      report()
+    } catch (err) {
+      if (isStopped) return
+      console.log("Sync delivery failed, will retry:", err)
+      scheduleRetry()
+    } finally {
+      isFlushing = false
+    }
+  }
+
+  // Queue a local change and try to deliver it right away
+  const queue = async (record) => {
+    await store.queueOutbox(record)
+    if (isStopped) return
+    pending += 1
+    report()
+    flush()
+  }
+
+  return {
+    start() {
+      isStopped = false
+      transport.start({
+        onRecords: onRemoteRecords,
+        onStatusChange: (nextStatus) => {
+          const cameOnline = nextStatus === 'online' && status !== 'online'
+          status = nextStatus
+          report()
+          if (cameOnline) flush()
+        },
+      })
+      flush()
+    },
+
+    queueAdmission: queue,
+
+    // presence - { ticketId, state: 'inside' | 'outside', changedAt, deviceId }
+    queuePresence: presence => queue({ ...presence, kind: 'presence' }),
+
+    // voided - { ticketId, voidedAt, reason, deviceId }
+    queueVoid: voided => queue({ ...voided, kind: 'void' }),
+
+    // undone - { ticketId, scannedAt, deviceId }, naming the admission a supervisor took back
+    queueUndo: undone => queue({ ...undone, kind: 'undo' }),
+
+    stop() {
+      isStopped = true
+      clearTimeout(retryTimer)
+      transport.stop()
+    },
+  }
+}
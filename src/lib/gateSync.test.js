@@ -0,0 +1,260 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { WebSocket, WebSocketServer } from 'ws'
+import { createSyncServer } from '../../server/sync-server.js'
+import { createGateSync } from './gateSync'
+import { createHttpPollingTransport, createWebSocketTransport } from './syncTransports'
+import { addGroupEntries, countEntered } from './groupTickets'
+
+// In-memory stand-in for the outbox in an event's store (scanStore.js)
+const outbox = { items: [], nextId: 0 }
+const store = {
+  loadOutbox: async () => outbox.items.map(item => ({ ...item })),
+  queueOutbox: async (admission) => {
+    outbox.nextId += 1
+    outbox.items.push({ ...admission, id: outbox.nextId })
+  },
+  removeFromOutbox: async (ids) => {
+    outbox.items = outbox.items.filter(item => !ids.includes(item.id))
+  },
+}
+
+const admission = (ticketId, scannedAt, deviceId) => ({ ticketId, scannedAt, deviceId, gateId: null })
+
+// Collects what a transport hands to the gate sync
+const createHandlers = () => {
+  const received = new Map()
+  return {
+    received,
+    statuses: [],
+    onRecords(records) {
+      records.forEach(record => received.set(record.ticketId, record))
+    },
+    onStatusChange(status) {
+      this.statuses.push(status)
+    },
+  }
+}
+
+describe('gate sync against the sync server', () => {
+  let server
+  let httpUrl
+  let wsUrl
+  const transports = []
+
+  const start = (transport) => {
+    const handlers = createHandlers()
+    transport.start(handlers)
+    transports.push(transport)
+    return handlers
+  }
+
+  beforeEach(async () => {
+    vi.stubGlobal('WebSocket', WebSocket)
+    outbox.items = []
+    server = createSyncServer()
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    const { port } = server.address()
+    httpUrl = `http://127.0.0.1:${port}`
+    wsUrl = `ws://127.0.0.1:${port}`
+  })
+
+  afterEach(async () => {
+    transports.splice(0).forEach(transport => transport.stop())
+    await new Promise(resolve => server.close(resolve))
+    vi.unstubAllGlobals()
+  })
+
+  it('pushes over HTTP and pulls the records on another gate', async () => {
+    const north = createHttpPollingTransport(httpUrl, { interval: 20 })
+    const south = createHttpPollingTransport(httpUrl, { interval: 20 })
+    start(north)
+    const southHandlers = start(south)
+
+    await north.send([admission('T1', 100, 'north')])
+    await vi.waitFor(() => expect(southHandlers.received.get('T1')).toMatchObject({ deviceId: 'north' }))
+    expect(southHandlers.statuses).toContain('online')
+  })
+
+  it('keeps the earliest scan and merges group counts from both gates', async () => {
+    const north = createHttpPollingTransport(httpUrl, { interval: 20 })
+    const southHandlers = start(createWebSocketTransport(wsUrl))
+    const northHandlers = start(north)
+
+    await north.send([admission('T1', 200, 'north')])
+    await north.send([admission('T1', 100, 'south')])
+    expect(northHandlers.received.get('T1')).toMatchObject({ scannedAt: 100, deviceId: 'south' })
+
+    const group = { ticketId: 'G1', groupSize: 5, gateId: null }
+    await north.send([addGroupEntries(null, { ...group, count: 2, scannedAt: 300, deviceId: 'north' })])
+    await north.send([addGroupEntries(null, { ...group, count: 3, scannedAt: 350, deviceId: 'south' })])
+    await vi.waitFor(() => expect(countEntered(southHandlers.received.get('G1'))).toBe(5))
+  })
+
+  it('sends everything held to a gate that connects over WebSocket', async () => {
+    await createHttpPollingTransport(httpUrl).send([admission('T1', 100, 'north')])
+
+    const handlers = start(createWebSocketTransport(wsUrl))
+    await vi.waitFor(() => expect(handlers.received.has('T1')).toBe(true))
+    expect(handlers.statuses).toEqual(['online'])
+  })
+
+  it('keeps each event\'s admissions apart', async () => {
+    const concert = createHttpPollingTransport(httpUrl, { interval: 20, channel: 'concert' })
+    const festival = start(createHttpPollingTransport(httpUrl, { interval: 20, channel: 'festival' }))
+    const festivalSocket = start(createWebSocketTransport(wsUrl, { channel: 'festival' }))
+    const concertSocket = start(createWebSocketTransport(wsUrl, { channel: 'concert' }))
+    start(concert)
+
+    await concert.send([admission('T1', 100, 'north')])
+    await vi.waitFor(() => expect(concertSocket.received.has('T1')).toBe(true))
+    await new Promise(resolve => setTimeout(resolve, 60))
+    expect(festival.received.size).toBe(0)
+    expect(festivalSocket.received.size).toBe(0)
+  })
+
+  it('resumes polling from the saved cursor', async () => {
+    const north = createHttpPollingTransport(httpUrl, { channel: 'concert' })
+    await north.send([admission('T1', 100, 'north')])
+
+    const cursors = []
+    const first = start(createHttpPollingTransport(httpUrl, { interval: 20, channel: 'concert', onCursor: cursor => cursors.push(cursor) }))
+    await vi.waitFor(() => expect(cursors).toHaveLength(1))
+    expect(first.received.has('T1')).toBe(true)
+
+    await north.send([admission('T2', 200, 'north')])
+    const resumed = start(createHttpPollingTransport(httpUrl, { interval: 20, channel: 'concert', cursor: cursors[0] }))
+    await vi.waitFor(() => expect(resumed.received.has('T2')).toBe(true))
+    expect(resumed.received.has('T1')).toBe(false)
+
+    // A cursor from before a server restart starts over
+    const stale = start(createHttpPollingTransport(httpUrl, { interval: 20, channel: 'concert', cursor: 999 }))
+    await vi.waitFor(() => expect(stale.received.size).toBe(2))
+  })
+
+  it('shares check-ins and check-outs, keeping the latest per ticket', async () => {
+    const southHandlers = start(createWebSocketTransport(wsUrl))
+    const post = records => fetch(`${httpUrl}/admissions`, {
+      method: 'POST',
+      body: JSON.stringify({ channel: '', records }),
+    }).then(response => response.json())
+    await post([admission('T1', 100, 'north')])
+
+    const checkOut = { kind: 'presence', ticketId: 'T1', state: 'outside', changedAt: 300, deviceId: 'north' }
+    const { records } = await post([
+      checkOut,
+      { kind: 'presence', ticketId: 'T1', state: 'inside', changedAt: 200, deviceId: 'south' },
+      { kind: 'presence', ticketId: 'T2', state: 'sideways', changedAt: 300, deviceId: 'north' },
+    ])
+    expect(records).toEqual([checkOut, checkOut])
+    await vi.waitFor(() => expect(southHandlers.received.get('T1')).toEqual(checkOut))
+
+    // The admission is kept next to the presence change of the same ticket
+    const pulled = await fetch(`${httpUrl}/admissions`).then(response => response.json())
+    expect(pulled.records).toEqual([admission('T1', 100, 'north'), checkOut])
+  })
+
+  it('applies voids and undone admissions on the server', async () => {
+    const south = start(createWebSocketTransport(wsUrl))
+    const post = records => fetch(`${httpUrl}/admissions`, {
+      method: 'POST',
+      body: JSON.stringify({ channel: '', records }),
+    }).then(response => response.json())
+    await post([admission('T1', 100, 'north'), admission('T2', 200, 'north')])
+
+    // The undone admission is gone, and sending it again only brings back the undo
+    const undo = { kind: 'undo', ticketId: 'T1', scannedAt: 100, deviceId: 'north' }
+    await post([undo])
+    expect((await post([admission('T1', 100, 'north')])).records).toEqual([undo])
+    await vi.waitFor(() => expect(south.received.get('T1')).toEqual(undo))
+
+    // A later admission of the same ticket counts again
+    await post([admission('T1', 500, 'south')])
+
+    const first = { kind: 'void', ticketId: 'T2', voidedAt: 300, reason: 'Refunded', deviceId: 'north' }
+    const { records } = await post([first, { ...first, voidedAt: 400, reason: 'Lost', deviceId: 'south' }])
+    expect(records).toEqual([first, first])
+
+    const pulled = await fetch(`${httpUrl}/admissions`).then(response => response.json())
+    expect(pulled.records).toEqual([admission('T2', 200, 'north'), undo, admission('T1', 500, 'south'), first])
+  })
+
+  it('delivers a queued check-out to the other gates', async () => {
+    const south = start(createWebSocketTransport(wsUrl))
+    const sync = createGateSync({
+      transport: createHttpPollingTransport(httpUrl),
+      store,
+      onRemoteRecords: () => {},
+      onStatusChange: () => {},
+    })
+    sync.start()
+    await sync.queuePresence({ ticketId: 'T1', state: 'outside', changedAt: 300, deviceId: 'north' })
+
+    await vi.waitFor(() => expect(south.received.get('T1')).toEqual({
+      kind: 'presence', ticketId: 'T1', state: 'outside', changedAt: 300, deviceId: 'north',
+    }))
+    expect(outbox.items).toEqual([])
+    sync.stop()
+  })
+
+  it('only clears the outbox once the server confirms the admissions', async () => {
+    const statuses = []
+    const received = []
+    const sync = createGateSync({
+      transport: createWebSocketTransport(wsUrl),
+      store,
+      onRemoteRecords: records => received.push(...records),
+      onStatusChange: state => statuses.push(state),
+      retryInterval: 20,
+    })
+    sync.start()
+    await sync.queueAdmission(admission('T1', 100, 'north'))
+
+    await vi.waitFor(() => expect(statuses.at(-1)).toEqual({ status: 'online', pending: 0 }))
+    expect(outbox.items).toEqual([])
+    expect(received).toContainEqual(admission('T1', 100, 'north'))
+
+    const pull = start(createHttpPollingTransport(httpUrl))
+    await vi.waitFor(() => expect(pull.received.has('T1')).toBe(true))
+    sync.stop()
+  })
+
+  it('keeps admissions queued when the server never confirms them', async () => {
+    const silent = new WebSocketServer({ port: 0, host: '127.0.0.1' })
+    await new Promise(resolve => silent.on('listening', resolve))
+    const delivered = []
+    silent.on('connection', socket => socket.on('message', data => delivered.push(JSON.parse(data))))
+    const sync = createGateSync({
+      transport: createWebSocketTransport(`ws://127.0.0.1:${silent.address().port}`, { ackTimeout: 20 }),
+      store,
+      onRemoteRecords: () => {},
+      onStatusChange: () => {},
+      retryInterval: 1000,
+    })
+    sync.start()
+    await sync.queueAdmission(admission('T1', 100, 'north'))
+    await vi.waitFor(() => expect(delivered).toHaveLength(1))
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    expect(outbox.items).toHaveLength(1)
+    sync.stop()
+    await new Promise(resolve => silent.close(resolve))
+  })
+
+  it('leaves the outbox alone when stopped while a send is in flight', async () => {
+    let confirm
+    const transport = {
+      start: () => {},
+      stop: () => {},
+      send: () => new Promise(resolve => { confirm = resolve }),
+    }
+    const sync = createGateSync({ transport, store, onRemoteRecords: () => {}, onStatusChange: () => {} })
+    sync.start()
+    await sync.queueAdmission(admission('T1', 100, 'north'))
+    await vi.waitFor(() => expect(confirm).toBeTypeOf('function'))
+
+    sync.stop()
+    confirm()
+    await new Promise(resolve => setTimeout(resolve, 20))
+    expect(outbox.items).toHaveLength(1)
+  })
+})
@@ -0,0 +1,49 @@
+// Group tickets: one code that admits a party of several people ("party of 5").
+// The operator chooses how many are coming in on each scan until the party is
+// complete. The admission record keeps how many were let in per device
+// (`entries: { deviceId: count }`, merged between gates in admissionMerge.js),
+// entries a supervisor took back (`undoneEntries`, the same shape) and the
+// party size (`groupSize`).
+
+// Guards against typos like 500 instead of 5 in a payload or guest list
+export const MAX_GROUP_SIZE = 100
+
+// Party size from signed claims first (the payload is built from them), then the
+// guest list; an unsigned payload only counts for tickets not on the guest list.
+// 1 for ordinary tickets.
+export const getGroupSize = ({ claims, payload, ticket }) => {
+  const fromClaims = claims ? payload.admits : ''
+  const fallback = ticket ? ticket.admits : payload.admits
+  const size = parseInt(fromClaims || fallback, 10)
+  return Number.isFinite(size) && size > 1 ? Math.min(size, MAX_GROUP_SIZE) : 1
+}
+
+const sumCounts = (counts = {}) => Object.values(counts).reduce((sum, count) => sum + count, 0)
+
+// People let in so far on an admission, from every gate. Admissions without
+// per-device counts are single entries.
+export const countEntered = (admission) => {
+  if (!admission) return 0
+  if (!admission.entries) return 1
+  return Math.max(sumCounts(admission.entries) - sumCounts(admission.undoneEntries), 0)
+}
+
+export const countRemaining = (admission, groupSize) => Math.max(groupSize - countEntered(admission), 0)
+
+// Admission after `count` more people came in through this device
+export const addGroupEntries = (admission, { ticketId, groupSize, count, scannedAt, deviceId, gateId }) => {
+  const base = admission || { ticketId, scannedAt, deviceId, gateId }
+  const entries = { ...(base.entries || {}) }
+  entries[deviceId] = (entries[deviceId] || 0) + count
+  return { ...base, groupSize: Math.max(base.groupSize || 1, groupSize), entries }
+}
+
+// Admission after a supervisor took back `count` people let in through this device.
+// Removals are counted on their own because merging keeps the highest count per
+// device - lowering `entries` would be undone by the next sync.
+export const removeGroupEntries = (admission, { count, deviceId }) => {
+  const undoneEntries = { ...(admission.undoneEntries || {}) }
+  const stillIn = ((admission.entries || {})[deviceId] || 0) - (undoneEntries[deviceId] || 0)
+  undoneEntries[deviceId] = (undoneEntries[deviceId] || 0) + Math.min(count, Math.max(stillIn, 0))
+  return { ...admission, undoneEntries }
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from 'vitest'
+import { addGroupEntries, countEntered, countRemaining, getGroupSize, removeGroupEntries } from './groupTickets'
+import { mergeAdmission } from './admissionMerge'
+import { parsePayload } from './payloadParsers'
+
+describe('getGroupSize', () => {
+  it('reads the party size from the payload for tickets not on the guest list', () => {
+    expect(getGroupSize({ payload: parsePayload('{"id":"G1","admits":5}'), ticket: null })).toBe(5)
+    expect(getGroupSize({ payload: parsePayload('G1|Smith party|||GA|4'), ticket: null })).toBe(4)
+    expect(getGroupSize({ payload: parsePayload('G1'), ticket: { admits: '3' } })).toBe(3)
+  })
+
+  it('trusts signed claims, then the guest list, over an unsigned payload', () => {
+    const payload = parsePayload('{"id":"G1","admits":9}')
+    expect(getGroupSize({ payload, ticket: { admits: '3' } })).toBe(3)
+    expect(getGroupSize({ payload, ticket: { admits: '' } })).toBe(1)
+    expect(getGroupSize({ claims: { admits: 9 }, payload, ticket: { admits: '3' } })).toBe(9)
+  })
+
+  it('treats missing, invalid and single counts as an ordinary ticket', () => {
+    expect(getGroupSize({ payload: parsePayload('T1'), ticket: null })).toBe(1)
+    expect(getGroupSize({ payload: parsePayload('{"id":"T1","qty":"two"}'), ticket: null })).toBe(1)
+    expect(getGroupSize({ payload: parsePayload('{"id":"T1","qty":1}'), ticket: null })).toBe(1)
+  })
+})
+
+describe('group entries', () => {
+  const entry = { ticketId: 'G1', groupSize: 5, gateId: null }
+
+  it('counts people across scans and devices', () => {
+    let admission = addGroupEntries(null, { ...entry, count: 2, scannedAt: 100, deviceId: 'a' })
+    admission = addGroupEntries(admission, { ...entry, count: 1, scannedAt: 200, deviceId: 'b' })
+    admission = addGroupEntries(admission, { ...entry, count: 1, scannedAt: 300, deviceId: 'a' })
+
+    expect(admission).toMatchObject({ scannedAt: 100, deviceId: 'a', entries: { a: 3, b: 1 } })
+    expect(countEntered(admission)).toBe(4)
+    expect(countRemaining(admission, 5)).toBe(1)
+  })
+
+  it('counts ordinary admissions as one person', () => {
+    expect(countEntered({ ticketId: 'T1', scannedAt: 0 })).toBe(1)
+    expect(countEntered(undefined)).toBe(0)
+  })
+
+  it('merges counts from two gates without double-counting', () => {
+    const gateA = addGroupEntries(null, { ...entry, count: 2, scannedAt: 100, deviceId: 'a' })
+    const gateB = addGroupEntries(null, { ...entry, count: 3, scannedAt: 150, deviceId: 'b' })
+
+    const merged = mergeAdmission(gateA, gateB)
+    expect(merged).toMatchObject({ scannedAt: 100, deviceId: 'a', entries: { a: 2, b: 3 } })
+    expect(mergeAdmission(merged, gateB)).toBe(merged)
+    expect(mergeAdmission(merged, gateA)).toBe(merged)
+    expect(countRemaining(merged, 5)).toBe(0)
+  })
+
+  it('takes back only one scan\'s people, and the undo survives merging', () => {
+    const entry = { ticketId: 'G1', groupSize: 5, gateId: null }
+    const gateA = addGroupEntries(null, { ...entry, count: 2, scannedAt: 100, deviceId: 'a' })
+    const gateB = addGroupEntries(null, { ...entry, count: 3, scannedAt: 150, deviceId: 'b' })
+    const merged = mergeAdmission(gateA, gateB)
+
+    const undone = removeGroupEntries(merged, { count: 2, deviceId: 'a' })
+    expect(countEntered(undone)).toBe(3)
+    expect(undone.entries).toEqual({ a: 2, b: 3 })
+    expect(countEntered(mergeAdmission(undone, merged))).toBe(3)
+    expect(countEntered(mergeAdmission(gateB, undone))).toBe(3)
+    expect(countEntered(removeGroupEntries(undone, { count: 1, deviceId: 'a' }))).toBe(3)
+  })
+})
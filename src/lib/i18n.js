@@ -0,0 +1,122 @@
+// Translations for the operator and attendee UI.
+// Catalogs in ./locales map flat keys ('result.duplicate') to messages with
+// {placeholders}. A message that depends on a number is an object of
+// Intl.PluralRules categories, e.g. { one: '{count} ticket', other: '{count} tickets' }.
+// Missing messages fall back to English, then to the key itself.
+// The chosen language is a per-device setting kept in localStorage.
+
+import en from './locales/en'
+import es from './locales/es'
+import de from './locales/de'
+import hi from './locales/hi'
+
+export const LANGUAGES = {
+  en: { label: 'English', messages: en },
+  es: { label: 'Español', messages: es },
+  de: { label: 'Deutsch', messages: de },
+  hi: { label: 'हिन्दी', messages: hi },
+}
+
+export const DEFAULT_LANGUAGE = 'en'
+
+const STORAGE_KEY = 'sub-scan:language'
+
+// First supported language in the browser's preference list, e.g. 'de-AT' -> 'de'
+export const detectLanguage = (preferred = []) => {
+  const match = preferred
+    .map(tag => String(tag).toLowerCase().split('-')[0])
+    .find(code => LANGUAGES[code])
+  return match || DEFAULT_LANGUAGE
+}
+
+export const loadLanguage = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY)
+    if (LANGUAGES[stored]) return stored
+  } catch (err) {
+    console.log("localStorage not available, language not restored:", err)
+  }
+  return detectLanguage(typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : [])
+}
+
+export const saveLanguage = (language) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, language)
+  } catch (err) {
+    console.log("localStorage not available, language not saved:", err)
+  }
+}
+
+// Message split into text and placeholder values, in order. Values may be any
+// type (numbers, React elements), which lets components put markup in a message.
+const toParts = (message, params) => (
+  message
+    .split(/(\{\w+\})/)
+    .filter(part => part !== '')
+    .map((part) => {
+      const name = /^\{(\w+)\}$/.exec(part)
+      return name && params[name[1]] !== undefined ? params[name[1]] : part
+    })
+)
+
+const createTranslator = (language) => {
+  const messages = LANGUAGES[language].messages
+  const pluralRules = new Intl.PluralRules(language)
+  const timeFormat = new Intl.DateTimeFormat(language, { timeStyle: 'medium' })
+  const shortTimeFormat = new Intl.DateTimeFormat(language, { hour: '2-digit', minute: '2-digit' })
+  const dateFormat = new Intl.DateTimeFormat(language, { dateStyle: 'medium' })
+
+  const lookup = (key, params) => {
+    const message = messages[key] ?? en[key] ?? key
+    if (typeof message === 'string') return message
+    return message[pluralRules.select(Number(params.count))] ?? message.other
+  }
+
+  // t('header.inside', { count: 12 }) -> 'Inside: 12'
+  const t = (key, params = {}) => toParts(lookup(key, params), params).join('')
+
+  t.language = language
+
+  // Like t, but returns the parts so placeholders can be elements
+  t.parts = (key, params = {}) => toParts(lookup(key, params), params)
+
+  t.formatTime = (value) => timeFormat.format(value)
+  t.formatShortTime = (value) => shortTimeFormat.format(value)
+  t.formatDate = (value) => dateFormat.format(value)
+  t.formatNumber = (value, options) => new Intl.NumberFormat(language, options).format(value)
+
+  return t
+}
+
+const translators = new Map()
+
+// Translator for a language, created once and reused
+export const getTranslator = (language) => {
+  const code = LANGUAGES[language] ? language : DEFAULT_LANGUAGE
+  if (!translators.has(code)) {
+    translators.set(code, createTranslator(code))
+  }
+  return translators.get(code)
+}
+
+// Rejection reasons and user-facing errors from the lib modules are messages
+// ({ key, params }), so they can be shown in any language. Text from outside -
+// a ticketing server's reason or a supervisor's note - is a plain string and
+// is shown as it is. English is the default, for logs and the webhook.
+export const translateMessage = (message, t = getTranslator(DEFAULT_LANGUAGE)) => {
+  if (!message) return ''
+  return typeof message === 'string' ? message : t(message.key, message.params)
+}
+
+// Error carrying a message for the UI; `error.message` is the English text
+export const createMessageError = (key, params) => {
+  const error = new Error(translateMessage({ key, params }))
+  error.translation = { key, params }
+  return error
+}
+
+// Text for a caught error: translated when it carries a message, else its own message
+export const describeError = (err, t, fallbackKey) => {
+  if (err && err.translation) return translateMessage(err.translation, t)
+  return (err && err.message) || t(fallbackKey)
+}
@@ -0,0 +1,103 @@
+import { describe, expect, it } from 'vitest'
+import { LANGUAGES, createMessageError, describeError, detectLanguage, getTranslator, translateMessage } from './i18n'
+import { describeForScreenReader, describeForSpeech } from './feedback'
+
+const placeholders = (message) => {
+  const texts = typeof message === 'string' ? [message] : Object.values(message)
+  return [...new Set(texts.flatMap(text => text.match(/\{\w+\}/g) || []))].sort()
+}
+
+describe('translator', () => {
+  it('fills in placeholders', () => {
+    const t = getTranslator('en')
+    expect(t('header.inside', { count: 12 })).toBe('Inside: 12')
+    expect(getTranslator('de')('header.inside', { count: 12 })).toBe('Drinnen: 12')
+  })
+
+  it('picks the plural form for the count', () => {
+    const t = getTranslator('en')
+    expect(t('guestList.loaded', { count: 1 })).toBe('1 ticket loaded')
+    expect(t('guestList.loaded', { count: 250 })).toBe('250 tickets loaded')
+  })
+
+  it('falls back to English, then to the key', () => {
+    const t = getTranslator('es')
+    const [key] = Object.keys(LANGUAGES.en.messages)
+    delete LANGUAGES.es.messages[key]
+    try {
+      expect(t(key)).toBe(LANGUAGES.en.messages[key])
+    } finally {
+      LANGUAGES.es.messages[key] = LANGUAGES.en.messages[key]
+    }
+    expect(t('no.such.message')).toBe('no.such.message')
+  })
+
+  it('returns placeholder values as parts so they can be elements', () => {
+    const code = { type: 'code' }
+    const parts = getTranslator('en').parts('permission.useLocalhost', { localhost: code, loopback: '127.0.0.1' })
+    expect(parts).toContain(code)
+    expect(parts).toContain('127.0.0.1')
+  })
+
+  it('uses English for an unknown language', () => {
+    expect(getTranslator('xx').language).toBe('en')
+    expect(getTranslator('de')).toBe(getTranslator('de'))
+  })
+})
+
+describe('detectLanguage', () => {
+  it('matches regional tags to a supported language', () => {
+    expect(detectLanguage(['fr-FR', 'de-AT', 'en-US'])).toBe('de')
+    expect(detectLanguage(['hi-IN'])).toBe('hi')
+  })
+
+  it('defaults to English', () => {
+    expect(detectLanguage(['fr-FR'])).toBe('en')
+    expect(detectLanguage()).toBe('en')
+  })
+})
+
+describe('catalogs', () => {
+  const en = LANGUAGES.en.messages
+
+  Object.entries(LANGUAGES).filter(([code]) => code !== 'en').forEach(([code, { messages }]) => {
+    it(`${code} has every English message with the same placeholders`, () => {
+      expect(Object.keys(messages).sort()).toEqual(Object.keys(en).sort())
+      Object.keys(en).forEach((key) => {
+        expect(placeholders(messages[key]), key).toEqual(placeholders(en[key]))
+      })
+    })
+  })
+})
+
+describe('messages', () => {
+  it('translates rejection reasons and passes outside text through', () => {
+    const reason = { key: 'reason.wrongZone', params: { ticketType: 'GA', zone: 'VIP' } }
+    expect(translateMessage(reason)).toBe('GA tickets are not valid at the VIP entrance.')
+    expect(translateMessage(reason, getTranslator('de'))).toBe('GA-Tickets gelten nicht am Eingang VIP.')
+    expect(translateMessage('Used at gate B.', getTranslator('de'))).toBe('Used at gate B.')
+    expect(translateMessage(null)).toBe('')
+  })
+
+  it('shows errors in the chosen language, with English for the console', () => {
+    const error = createMessageError('error.guestListEmpty')
+    expect(error.message).toBe(LANGUAGES.en.messages['error.guestListEmpty'])
+    expect(describeError(error, getTranslator('es'), 'error.guestListFile')).toBe(LANGUAGES.es.messages['error.guestListEmpty'])
+    expect(describeError(new Error('Boom'), getTranslator('es'), 'error.guestListFile')).toBe('Boom')
+  })
+})
+
+describe('feedback phrases', () => {
+  it('announces and speaks results in the chosen language', () => {
+    const t = getTranslator('es')
+    expect(describeForScreenReader('duplicate', { ticketId: 'ABC123' }, t)).toBe(`${t('announce.duplicate')}. ${t('announce.ticket', { ticketId: 'ABC123' })}.`)
+    expect(describeForSpeech('success', { ticketType: 'VIP' }, t)).toBe(t('speech.successWithType', { ticketType: 'VIP' }))
+    expect(describeForScreenReader('invalid', { reason: { key: 'reason.notOnGuestList' } }, t))
+      .toBe(`${t('announce.invalid')}. ${t('reason.notOnGuestList')}`)
+  })
+
+  it('keeps English as the default', () => {
+    expect(describeForScreenReader('success', { ticketType: 'VIP', holderName: 'Jane Doe' })).toBe('Admitted. VIP. Jane Doe.')
+    expect(describeForSpeech('success', { ticketType: 'VIP' })).toBe('VIP, welcome')
+  })
+})
@@ -0,0 +1,92 @@
+// Kiosk (self-service) mode: a tablet at the entrance that attendees scan their
+// own tickets on. The mode is a per-device setting, so a kiosk that reloads or
+// restarts comes straight back locked, and the screen is kept awake while it runs.
+
+const STORAGE_KEY = 'sub-scan:kiosk'
+
+// Show the attract screen after this long without a scan or a touch (ms)
+export const KIOSK_IDLE_AFTER = 45000
+
+export const loadKioskMode = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) === 'on'
+  } catch (err) {
+    console.log("localStorage not available, kiosk mode not restored:", err)
+    return false
+  }
+}
+
+export const saveKioskMode = (isOn) => {
+  try {
+    if (isOn) {
+      localStorage.setItem(STORAGE_KEY, 'on')
+    } else {
+      localStorage.removeItem(STORAGE_KEY)
+    }
+  } catch (err) {
+    console.log("localStorage not available, kiosk mode not saved:", err)
+  }
+}
+
+export const isWakeLockSupported = () => typeof navigator !== 'undefined' && 'wakeLock' in navigator
+
+// Screen Wake Lock that survives the page being hidden: the browser releases the
+// lock whenever the tab is in the background, so it is requested again on return.
+// onChange(isHeld) - called whenever the lock is granted or lost
+export const createWakeLock = ({ onChange = () => {} } = {}) => {
+  let sentinel = null
+  let isWanted = false
+  let isRequesting = false
+
+  const request = async () => {
+    if (!isWanted || sentinel || isRequesting || document.visibilityState !== 'visible') return
+    if (!isWakeLockSupported()) {
+      onChange(false)
+      return
+    }
+    isRequesting = true
+    try {
+      const lock = await navigator.wakeLock.request('screen')
+      if (!isWanted) {
+        await lock.release()
+        return
+      }
+      sentinel = lock
+      lock.addEventListener('release', () => {
+        if (sentinel === lock) sentinel = null
+        onChange(false)
+      })
+      onChange(true)
+    } catch (err) {
+      // Refused, e.g. battery saver or the page lost focus while asking
+      console.log("Screen wake lock not granted:", err)
+      onChange(false)
+    } finally {
+      isRequesting = false
+    }
+  }
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'visible') request()
+  }
+
+  return {
+    start: () => {
+      isWanted = true
+      document.addEventListener('visibilitychange', handleVisibilityChange)
+      return request()
+    },
+
+    stop: () => {
+      isWanted = false
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+      const lock = sentinel
+      sentinel = null
+      if (lock) {
+        lock.release().catch(err => console.log("Error releasing wake lock:", err))
+      }
+    },
+
+    isHeld: () => sentinel !== null,
+  }
+}
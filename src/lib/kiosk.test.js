@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createWakeLock } from './kiosk'
+
+// Page whose visibility a test can flip, with the listeners the wake lock registers
+const createDocument = () => {
+  const listeners = new Set()
+  const doc = {
+    visibilityState: 'visible',
+    addEventListener: (type, listener) => listeners.add(listener),
+    removeEventListener: (type, listener) => listeners.delete(listener),
+    setVisibility: (state) => {
+      doc.visibilityState = state
+      listeners.forEach(listener => listener())
+    },
+    listeners,
+  }
+  return doc
+}
+
+// Wake lock API stand-in; `releaseAll` plays the browser dropping locks on a hidden page
+const createWakeLockApi = () => {
+  const locks = []
+  const api = {
+    locks,
+    request: vi.fn(async () => {
+      const handlers = []
+      const lock = {
+        released: false,
+        addEventListener: (type, handler) => handlers.push(handler),
+        release: vi.fn(async () => {
+          lock.released = true
+          handlers.forEach(handler => handler())
+        }),
+      }
+      locks.push(lock)
+      return lock
+    }),
+    releaseAll: () => Promise.all(locks.filter(lock => !lock.released).map(lock => lock.release())),
+  }
+  return api
+}
+
+let doc
+let wakeLock
+
+beforeEach(() => {
+  doc = createDocument()
+  wakeLock = createWakeLockApi()
+  vi.stubGlobal('document', doc)
+  vi.stubGlobal('navigator', { wakeLock })
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+})
+
+describe('createWakeLock', () => {
+  it('keeps the screen awake until stopped', async () => {
+    const changes = []
+    const lock = createWakeLock({ onChange: isHeld => changes.push(isHeld) })
+    await lock.start()
+    expect(wakeLock.request).toHaveBeenCalledWith('screen')
+    expect(lock.isHeld()).toBe(true)
+
+    lock.stop()
+    expect(lock.isHeld()).toBe(false)
+    expect(wakeLock.locks[0].release).toHaveBeenCalled()
+    expect(doc.listeners.size).toBe(0)
+    expect(changes).toEqual([true, false])
+  })
+
+  it('asks again when the page comes back from the background', async () => {
+    const lock = createWakeLock()
+    await lock.start()
+
+    doc.visibilityState = 'hidden'
+    await wakeLock.releaseAll()
+    expect(lock.isHeld()).toBe(false)
+
+    doc.setVisibility('visible')
+    await vi.waitFor(() => expect(lock.isHeld()).toBe(true))
+    expect(wakeLock.request).toHaveBeenCalledTimes(2)
+    lock.stop()
+  })
+
+  it('reports a refused or unsupported lock without throwing', async () => {
+    const changes = []
+    wakeLock.request.mockRejectedValueOnce(new Error('NotAllowedError'))
+    const refused = createWakeLock({ onChange: isHeld => changes.push(isHeld) })
+    await refused.start()
+    expect(refused.isHeld()).toBe(false)
+    refused.stop()
+
+    vi.stubGlobal('navigator', {})
+    const unsupported = createWakeLock({ onChange: isHeld => changes.push(isHeld) })
+    await unsupported.start()
+    expect(changes).toEqual([false, false])
+    unsupported.stop()
+  })
+})
@@ -0,0 +1,376 @@
+// German messages
+
+export default {
+  // Shared
+  'common.cancel': 'Abbrechen',
+  'common.ok': 'OK',
+  'common.wrongPin': 'Falsche PIN.',
+  'common.unnamed': 'Ohne Namen',
+
+  // Header
+  'header.title': 'Event-QR-Scanner',
+  'header.switchEvent': 'Veranstaltung wechseln',
+  'header.stopToSwitch': 'Scannen beenden, um die Veranstaltung zu wechseln',
+  'header.statistics': 'Live-Statistik',
+  'header.settings': 'Scanner-Einstellungen',
+  'header.supervisor': 'Supervisor-Modus',
+  'header.kiosk': 'Kiosk-Modus',
+  'header.language': 'Sprache',
+  'header.scanning': 'Scannt...',
+  'header.stopped': 'Gestoppt',
+  'header.inside': 'Drinnen: {count}',
+  'header.insideTitle': 'Eingelassen und nicht ausgecheckt',
+  'header.cameraRestarts': 'Kamera-Neustarts: {count}',
+  'header.cameraRestartsTitle': 'Wie oft die Kamera nach Einfrieren oder Trennen neu gestartet wurde',
+  'header.synced': 'Synchronisiert',
+  'header.offline': 'Offline',
+  'header.pending': '{count} ausstehend',
+  'header.failed': '{count} fehlgeschlagen',
+  'header.backend': 'Backend',
+  'header.backendRetry': 'Fehlgeschlagene Übertragungen jetzt wiederholen',
+  'header.backendStatus': 'Übertragungsstatus zum Backend',
+
+  // Camera permission and start-up
+  'permission.title': 'Kamerazugriff erforderlich',
+  'permission.httpsRequired': 'HTTPS erforderlich',
+  'permission.httpsExplanation': 'Android Chrome erlaubt den Kamerazugriff nur über HTTPS (außer auf localhost).',
+  'permission.solutions': 'Lösungen:',
+  'permission.useLocalhost': '{localhost} oder {loopback} verwenden',
+  'permission.enableViteHttps': 'HTTPS in der Vite-Konfiguration aktivieren',
+  'permission.useTunnel': 'Einen Tunnel-Dienst verwenden (ngrok, localtunnel)',
+  'permission.explanation': 'Diese App braucht die Kameraberechtigung, um QR-Codes zu scannen.',
+  'permission.hint': 'Tippe auf die Schaltfläche unten, um den Kamerazugriff zu erlauben',
+  'permission.allow': 'Kamerazugriff erlauben',
+  'camera.recovering': 'Kamera wird wiederhergestellt…',
+  'camera.recoveringHint': 'Die Kamera hat nicht mehr reagiert und wird neu gestartet',
+  'camera.starting': 'Kamera wird gestartet...',
+  'camera.startingHint': 'Bitte warten, die Kamera wird initialisiert',
+  'camera.ready': 'Kamera bereit. Der Scanner startet automatisch.',
+
+  // Camera errors
+  'error.label': 'Fehler:',
+  'error.httpsTitle': 'Kamera benötigt HTTPS',
+  'error.httpsBlocked': 'Android Chrome sperrt die Kamera über HTTP (außer auf localhost)',
+  'error.httpsOption1': 'Option 1: localhost verwenden',
+  'error.httpsOption1Detail': 'Über {localhost} oder {loopback} aufrufen',
+  'error.httpsOption2': 'Option 2: HTTPS in Vite aktivieren',
+  'error.httpsOption2Detail': '{file} auf HTTPS umstellen',
+  'error.httpsOption3': 'Option 3: ngrok/localtunnel verwenden',
+  'error.httpsOption3Detail': 'HTTPS-Tunnel erstellen: {command}',
+  'error.httpsOption4': 'Option 4: Chrome-Einstellung manuell ändern',
+  'error.httpsOption4Detail': 'Chrome-Einstellungen → Website-Einstellungen → Kamera → Für diese Website erlauben',
+  'error.httpsOption4Note': '(Kann über HTTP trotzdem gesperrt bleiben)',
+  'error.allowInSettings': 'Bitte erlaube den Kamerazugriff in den Browser-Einstellungen',
+  'error.grantPermission': 'Prüfe, ob die Kameraberechtigung erteilt wurde',
+  'error.tryAgain': 'Erneut versuchen',
+  'error.deniedHint': 'Wurde die Berechtigung verweigert, öffne Chrome-Einstellungen → Website-Einstellungen → Kamera → Erlauben',
+  'error.notSupported': 'Kamera wird nicht unterstützt. Bitte ein Gerät mit Kamera verwenden.',
+  'error.permissionDenied': 'Kameraberechtigung verweigert. Bitte erlaube den Kamerazugriff in den Browser-Einstellungen und versuche es erneut.',
+  'error.noCamera': 'Keine Kamera gefunden. Bitte ein Gerät mit Kamera verwenden.',
+  'error.cameraAccess': 'Zugriff auf die Kamera fehlgeschlagen. Bitte Berechtigungen prüfen.',
+  'error.cameraStart': 'Kamera konnte nicht gestartet werden. Bitte Berechtigungen prüfen.',
+  'error.cameraFailed': 'Die Kamera funktioniert nicht mehr und konnte nicht neu gestartet werden. Bitte erneut versuchen.',
+  'error.cameraLost': 'Verbindung zur Kamera verloren. Bitte die Seite neu laden.',
+  'error.cameraRestart': 'Die Kamera konnte nicht neu gestartet werden. Bitte erneut versuchen.',
+  'error.exportIncidents': 'Die Kamera-Vorfälle konnten nicht exportiert werden.',
+  'error.exportLog': 'Das Scan-Protokoll konnte nicht exportiert werden.',
+  'error.guestListFile': 'Die Gästelisten-Datei konnte nicht gelesen werden.',
+  'error.scannerContainer': 'Scanner-Bereich nicht gefunden. Bitte lade die Seite neu.',
+  'error.guestListNoRows': 'Die Gästelisten-CSV braucht eine Kopfzeile und mindestens ein Ticket.',
+  'error.guestListJsonShape': 'Das Gästelisten-JSON muss eine Liste von Tickets oder ein Objekt mit einer "tickets"-Liste sein.',
+  'error.guestListEmpty': 'Keine Tickets in der Gästeliste gefunden. Prüfe, ob sie eine Spalte mit der Ticket-ID hat.',
+
+  // Camera controls
+  'camera.select': 'Kamera',
+  'camera.auto': 'Automatisch (Rückkamera)',
+  'camera.numbered': 'Kamera {number}',
+  'camera.torchOn': 'An',
+  'camera.torchOff': 'Aus',
+  'camera.zoom': 'Zoom',
+
+  // Result card titles
+  'result.success': 'Ticket gescannt',
+  'result.reentry': 'Willkommen zurück',
+  'result.exit': 'Ausgecheckt',
+  'result.not-inside': 'Nicht eingecheckt',
+  'result.duplicate': 'Bereits gescannt',
+  'result.invalid': 'Ungültiges Ticket',
+  'result.wrong-zone': 'An diesem Eingang nicht gültig',
+  'result.forged': 'Gefälschtes Ticket',
+  'result.expired': 'Ticket abgelaufen',
+  'result.verifying': 'Wird geprüft…',
+  'result.voided': 'Ticket storniert',
+  'result.forced': 'Vom Supervisor eingelassen',
+  'result.group-pending': 'Gruppenticket',
+  'result.group-entry': 'Gruppe eingelassen',
+
+  // Result card details
+  'result.manual': 'Manuell',
+  'result.qrCode': 'QR-Code',
+  'result.code': '{format}:',
+  'result.ticketId': 'Ticket-ID:',
+  'result.barcode': 'Barcode:',
+  'result.holder': 'Ticketinhaber:',
+  'result.ticketType': 'Ticketart:',
+  'result.seat': 'Platz:',
+  'result.event': 'Veranstaltung:',
+  'result.group': 'Gruppe:',
+  'result.groupProgress': '{count} eingelassen · {remaining} von {groupSize} ausstehend',
+  'result.fallbackNote': 'Der Server hat nicht rechtzeitig geantwortet - auf diesem Gerät geprüft, muss abgeglichen werden.',
+  'result.alreadyScanned': 'Dieses Ticket wurde bereits gescannt.',
+  'result.firstAdmitted': 'Zuerst eingelassen um {time} an {gate} · Gerät {device}',
+  'result.unnamedGate': 'unbenanntem Eingang',
+  'result.unknownDevice': 'unbekannt',
+  'result.thisDevice': '(dieses Gerät)',
+  'result.override': 'Supervisor-Eingriff',
+  'result.time': 'Zeit:',
+
+  // Ablehnungsgründe
+  'reason.notSigned': 'Kein signiertes Ticket.',
+  'reason.malformedToken': 'Fehlerhaftes Ticket-Token.',
+  'reason.unsupportedAlgorithm': 'Nicht unterstützter Signaturalgorithmus: {algorithm}.',
+  'reason.unverifiedSignature': 'Die Signatur konnte nicht geprüft werden.',
+  'reason.badSignature': 'Ungültige Signatur.',
+  'reason.expired': 'Das Ticket ist abgelaufen.',
+  'reason.notYetValid': 'Das Ticket ist noch nicht gültig.',
+  'reason.otherEvent': 'Das Ticket gilt für die Veranstaltung {event}.',
+  'reason.noEvent': 'Das Ticket hat keine Veranstaltungs-ID.',
+  'reason.voided': 'Von einer Aufsicht storniert.',
+  'reason.voidedWithNote': 'Von einer Aufsicht storniert: {note}',
+  'reason.rejectedByServer': 'Vom Ticketserver abgelehnt.',
+  'reason.notOnGuestList': 'Dieser Code steht nicht auf der Gästeliste.',
+  'reason.groupComplete': 'Alle {count} Personen dieses Gruppentickets sind schon drin.',
+  'reason.checkedOut': 'Dieses Ticket wurde schon ausgecheckt.',
+  'reason.neverCheckedIn': 'Dieses Ticket wurde nie eingecheckt.',
+  'reason.untypedTicket': 'Tickettyp unbekannt - der Eingang {zone} braucht ein Ticket mit Typ.',
+  'reason.wrongZone': '{ticketType}-Tickets gelten nicht am Eingang {zone}.',
+
+  // Group tickets
+  'group.remainingCount': '{remaining} von {groupSize}',
+  'group.remaining': 'ausstehend',
+  'group.question': 'Wie viele kommen jetzt herein?',
+  'group.fewer': 'Eine Person weniger',
+  'group.more': 'Eine Person mehr',
+  'group.admit': '{count} einlassen',
+
+  // Gate mode and scan controls
+  'gateMode.label': 'Eingangsmodus',
+  'gateMode.entry': 'Einlass',
+  'gateMode.exit': 'Auslass',
+  'gateMode.reentry': 'Einlass + Wiedereinlass',
+  'controls.start': 'Scannen starten',
+  'controls.allowAndStart': 'Kamera erlauben & starten',
+  'controls.stop': 'Scannen beenden',
+
+  // Manual entry
+  'manual.placeholder': 'Ticketcode',
+  'manual.placeholderSearch': 'Ticketcode oder Name des Gastes',
+  'manual.label': 'Manuelle Ticketeingabe',
+  'manual.checkIn': 'Einchecken',
+
+  // Scan from image
+  'imageScan.title': 'Aus Bild scannen:',
+  'imageScan.description': 'Screenshots oder Fotos von Tickets',
+  'imageScan.progress': '{processed} / {total} verarbeitet, {admitted} eingelassen',
+  'imageScan.images': 'Bilder',
+  'imageScan.folder': 'Ordner',
+  'imageScan.success': 'Eingelassen',
+  'imageScan.reentry': 'Wieder eingelassen',
+  'imageScan.group-skipped': 'Gruppenticket - mit der Kamera scannen',
+  'imageScan.exit': 'Ausgecheckt',
+  'imageScan.not-inside': 'Nicht eingecheckt',
+  'imageScan.duplicate': 'Doppelt',
+  'imageScan.invalid': 'Ungültig',
+  'imageScan.wrong-zone': 'Falscher Eingang',
+  'imageScan.forged': 'Gefälscht',
+  'imageScan.expired': 'Abgelaufen',
+  'imageScan.voided': 'Storniert',
+  'imageScan.unreadable': 'Kein Code gefunden',
+  'imageScan.not-ready': 'Lädt noch - bitte erneut versuchen',
+
+  // Guest list and scan log panels
+  'guestList.title': 'Gästeliste:',
+  'guestList.loaded': { one: '{count} Ticket geladen', other: '{count} Tickets geladen' },
+  'guestList.none': 'Keine (alle Codes werden akzeptiert)',
+  'guestList.replace': 'Ersetzen',
+  'guestList.load': 'CSV / JSON laden',
+  'guestList.clear': 'Leeren',
+  'scanLog.title': 'Scan-Protokoll:',
+  'scanLog.description': 'jeder Versuch, mit Audit-Feldern',
+  'scanLog.toReconcile': '{count} offline geprüft, abzugleichen',
+  'scanLog.exportCsv': 'CSV exportieren',
+  'scanLog.exportJson': 'JSON exportieren',
+  'scanLog.incidents': 'Kamera-Vorfälle',
+
+  // Recent scans
+  'history.title': 'Letzte Scans ({count})',
+  'history.duplicate': 'Doppelt',
+  'history.manual': 'Manuell',
+  'history.exit': 'Auslass',
+  'history.override': 'Eingriff',
+  'history.group': '+{count} · {remaining} übrig',
+  'history.sending': 'Wird gesendet',
+  'history.notDelivered': 'Nicht zugestellt',
+  'history.backendRefused': 'Vom Backend abgelehnt',
+
+  // Full-screen flash labels
+  'flash.success': 'OK',
+  'flash.duplicate': 'BENUTZT',
+  'flash.zone': 'FALSCHER EINGANG',
+  'flash.invalid': 'UNGÜLTIG',
+
+  // Screen reader announcements
+  'announce.success': 'Eingelassen',
+  'announce.reentry': 'Wieder eingelassen',
+  'announce.forced': 'Vom Supervisor eingelassen',
+  'announce.group-entry': 'Gruppe eingelassen',
+  'announce.exit': 'Ausgecheckt',
+  'announce.not-inside': 'Nicht eingecheckt',
+  'announce.duplicate': 'Bereits benutzt',
+  'announce.invalid': 'Ungültiges Ticket',
+  'announce.wrong-zone': 'Falscher Eingang',
+  'announce.forged': 'Gefälschtes Ticket',
+  'announce.expired': 'Ticket abgelaufen',
+  'announce.voided': 'Ticket storniert',
+  'announce.ticket': 'Ticket {ticketId}',
+  'announce.groupPending': 'Gruppenticket. {remaining} von {groupSize} ausstehend. Wähle, wie viele hereinkommen.',
+
+  // Spoken results - kept short so they don't hold up the queue
+  'speech.success': 'Willkommen',
+  'speech.successWithType': '{ticketType}, willkommen',
+  'speech.reentry': 'Willkommen zurück',
+  'speech.forced': 'Willkommen',
+  'speech.group-entry': 'Willkommen',
+  'speech.exit': 'Auf Wiedersehen',
+  'speech.not-inside': 'Nicht eingecheckt',
+  'speech.duplicate': 'Bereits benutzt',
+  'speech.invalid': 'Ungültiges Ticket',
+  'speech.wrong-zone': 'Falscher Eingang',
+  'speech.forged': 'Ungültiges Ticket',
+  'speech.expired': 'Ticket abgelaufen',
+  'speech.voided': 'Ticket storniert',
+
+  // Kiosk (attendee-facing)
+  'kiosk.instructions': 'Halte den QR-Code deines Tickets vor die Kamera',
+  'kiosk.screenMayTurnOff': 'Bildschirm kann sich ausschalten',
+  'kiosk.exitButton': 'Personal: Kiosk-Modus beenden',
+  'kiosk.checking': 'Dein Ticket wird geprüft…',
+  'kiosk.welcome': 'Willkommen!',
+  'kiosk.welcomeName': 'Willkommen, {name}!',
+  'kiosk.goAhead': 'Bitte eintreten',
+  'kiosk.alreadyUsed': 'Ticket bereits benutzt',
+  'kiosk.wrongEntrance': 'Falscher Eingang',
+  'kiosk.notAccepted': 'Ticket nicht akzeptiert',
+  'kiosk.seeStaff': 'Bitte wende dich an das Personal',
+  'kiosk.goodbye': 'Auf Wiedersehen!',
+  'kiosk.seeYouSoon': 'Bis bald',
+  'kiosk.groupProgress': '{count} eingelassen · {remaining} von {groupSize} kommen noch',
+  'kiosk.attractTitle': 'Hier Ticket scannen',
+  'kiosk.attractHint': 'Halte den QR-Code vor die Kamera über diesem Bildschirm',
+  'kiosk.staffOnly': 'Nur für Personal',
+  'kiosk.backToKiosk': 'Zurück zum Kiosk',
+  'kiosk.pin': 'PIN',
+  'kiosk.pinLabel': 'PIN zum Beenden des Kiosk-Modus',
+  'kiosk.exit': 'Kiosk beenden',
+
+  // Update prompt
+  'update.available': 'Eine neue Version ist verfügbar.',
+  'update.update': 'Aktualisieren',
+  'update.later': 'Später',
+  'update.offlineReady': 'Bereit für den Offline-Betrieb.',
+
+  // Live statistics
+  'stats.title': 'Live-Statistik',
+  'stats.close': 'Statistik schließen',
+  'stats.admitted': 'Eingelassen',
+  'stats.duplicates': 'Doppelte',
+  'stats.rejected': 'Andere Abweisungen',
+  'stats.rate': 'Scans/min (5 min)',
+  'stats.avgInterval': 'Ø zwischen Scans',
+  'stats.peak': 'Spitze/min',
+  'stats.chart': 'Scans pro Minute in den letzten {count} Minuten',
+  'stats.minutesAgo': '-{count} min',
+  'stats.now': 'jetzt',
+  'stats.seconds': '{value} s',
+  'stats.minutes': '{value} min',
+
+  // Supervisor panel
+  'supervisor.title': 'Supervisor',
+  'supervisor.close': 'Supervisor-Modus schließen',
+  'supervisor.pin': 'Supervisor-PIN',
+  'supervisor.unlock': 'Entsperren',
+  'supervisor.ticket': 'Ticket',
+  'supervisor.ticketId': 'Ticket-ID',
+  'supervisor.reason': 'Grund',
+  'supervisor.logged': '(wird protokolliert)',
+  'supervisor.reasonPlaceholder': 'Pflicht für erzwungenen Einlass',
+  'supervisor.forceAdmit': 'Einlass erzwingen',
+  'supervisor.void': 'Ticket stornieren',
+  'supervisor.recent': 'Letzte Einlässe',
+  'supervisor.noAdmissions': 'Auf diesem Gerät wurde noch niemand eingelassen.',
+  'supervisor.reentry': 'Wiedereinlass',
+  'supervisor.undo': 'Rückgängig',
+
+  // Event picker
+  'events.title': 'Veranstaltungen',
+  'events.close': 'Veranstaltungsliste schließen',
+  'events.new': 'Neue Veranstaltung',
+  'events.namePlaceholder': 'z. B. Freitag - Sommerfest',
+  'events.nameLabel': 'Name der neuen Veranstaltung',
+  'events.start': 'Starten',
+  'events.newHint': 'Beginnt mit leerer Liste benutzter Tickets, leerer Gästeliste und den aktuellen Einstellungen.',
+  'events.onDevice': 'Veranstaltungen auf diesem Gerät',
+  'events.none': 'Noch keine Veranstaltungen.',
+  'events.isOpen': 'geöffnet',
+  'events.open': 'Öffnen',
+  'events.continue': 'Fortsetzen',
+  'events.archive': 'Archivieren',
+  'events.archived': 'Archiviert',
+  'events.restore': 'Wiederherstellen',
+  'events.delete': 'Löschen',
+  'events.confirmDelete': '„{name}“ und alle zugehörigen Scans von diesem Gerät löschen? Exportiere vorher das Protokoll, falls du es brauchst.',
+  'events.deleteFailed': 'Die Veranstaltung konnte nicht gelöscht werden.',
+  'events.exportFailed': 'Das Scan-Protokoll der Veranstaltung konnte nicht exportiert werden.',
+
+  // Settings panel
+  'settings.title': 'Scanner-Einstellungen',
+  'settings.close': 'Einstellungen schließen',
+  'settings.presets': 'Voreinstellungen',
+  'settings.preset.high-volume': 'Eingang mit hohem Andrang',
+  'settings.preset.vip': 'VIP-Schalter',
+  'settings.preset.low-light': 'Wenig Licht',
+  'settings.scanning': 'Scannen',
+  'settings.debounceTime': 'Entprellung',
+  'settings.fps': 'Scanrate',
+  'settings.qrboxPercent': 'Größe des Scanfelds',
+  'settings.qrboxMin': 'Scanfeld min.',
+  'settings.qrboxMax': 'Scanfeld max.',
+  'settings.resultDuration': 'Ergebnisanzeige',
+  'settings.successTone': 'Ton bei Erfolg',
+  'settings.duplicateTone': 'Ton bei Duplikat',
+  'settings.errorTone': 'Ton bei ungültig',
+  'settings.percentOfScreen': '% des Bildschirms',
+  'settings.onlineValidation': 'Online-Prüfung',
+  'settings.checkWithServer': 'Tickets beim Server prüfen',
+  'settings.timeout': 'Zeitlimit',
+  'settings.timeoutHint': 'Antwortet der Server nicht rechtzeitig, wird der Scan auf dem Gerät geprüft und zum Abgleich markiert.',
+  'settings.barcodeFormats': 'Barcode-Formate',
+  'settings.formatsHint': 'Nur die Formate aktivieren, die deine Tickets verwenden - jedes weitere Format verlangsamt das Erkennen.',
+  'settings.zoneAccess': 'Zonenzugang',
+  'settings.thisEntrance': 'Dieser Eingang',
+  'settings.anyTicket': 'Jedes Ticket',
+  'settings.typesAllowed': '(erlaubte Ticketarten)',
+  'settings.feedback': 'Rückmeldung',
+  'settings.sound': 'Ton',
+  'settings.flash': 'Vollbild-Blitz',
+  'settings.highContrast': 'Kontrastreiche Farben',
+  'settings.speech': 'Ergebnisse vorlesen',
+  'settings.vibration': 'Vibration',
+  'settings.successVibration': 'Vibration bei Erfolg',
+  'settings.duplicateVibration': 'Vibration bei Duplikat',
+  'settings.errorVibration': 'Vibration bei ungültig',
+  'settings.zoneVibration': 'Vibration bei falscher Zone',
+  'settings.vibrationUnit': '(ms, durch Kommas getrennt)',
+  'settings.reset': 'Standardwerte',
+  'settings.save': 'Speichern',
+}
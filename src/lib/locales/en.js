@@ -0,0 +1,377 @@
+// English messages - the reference catalog. Every other catalog uses the same
+// keys; anything missing there falls back to the text here.
+
+export default {
+  // Shared
+  'common.cancel': 'Cancel',
+  'common.ok': 'OK',
+  'common.wrongPin': 'Wrong PIN.',
+  'common.unnamed': 'Unnamed',
+
+  // Header
+  'header.title': 'Event QR Scanner',
+  'header.switchEvent': 'Switch event',
+  'header.stopToSwitch': 'Stop scanning to switch events',
+  'header.statistics': 'Live statistics',
+  'header.settings': 'Scanner settings',
+  'header.supervisor': 'Supervisor mode',
+  'header.kiosk': 'Kiosk mode',
+  'header.language': 'Language',
+  'header.scanning': 'Scanning...',
+  'header.stopped': 'Stopped',
+  'header.inside': 'Inside: {count}',
+  'header.insideTitle': 'Admitted and not checked out',
+  'header.cameraRestarts': 'Camera restarts: {count}',
+  'header.cameraRestartsTitle': 'Times the camera was restarted after freezing or disconnecting',
+  'header.synced': 'Synced',
+  'header.offline': 'Offline',
+  'header.pending': '{count} pending',
+  'header.failed': '{count} failed',
+  'header.backend': 'Backend',
+  'header.backendRetry': 'Retry failed deliveries now',
+  'header.backendStatus': 'Backend delivery status',
+
+  // Camera permission and start-up
+  'permission.title': 'Camera Access Required',
+  'permission.httpsRequired': 'HTTPS Required',
+  'permission.httpsExplanation': 'Android Chrome requires HTTPS for camera access (except localhost).',
+  'permission.solutions': 'Solutions:',
+  'permission.useLocalhost': 'Use {localhost} or {loopback}',
+  'permission.enableViteHttps': 'Enable HTTPS in Vite config',
+  'permission.useTunnel': 'Use a tunneling service (ngrok, localtunnel)',
+  'permission.explanation': 'This app needs camera permission to scan QR codes.',
+  'permission.hint': 'Click the button below to allow camera access',
+  'permission.allow': 'Allow Camera Access',
+  'camera.recovering': 'Camera recovering…',
+  'camera.recoveringHint': 'The camera stopped responding and is being restarted',
+  'camera.starting': 'Starting camera...',
+  'camera.startingHint': 'Please wait while we initialize the camera',
+  'camera.ready': 'Camera ready. Scanner will start automatically.',
+
+  // Camera errors
+  'error.label': 'Error:',
+  'error.httpsTitle': 'HTTPS Required for Camera',
+  'error.httpsBlocked': 'Android Chrome blocks camera on HTTP (except localhost)',
+  'error.httpsOption1': 'Option 1: Use localhost',
+  'error.httpsOption1Detail': 'Access via {localhost} or {loopback}',
+  'error.httpsOption2': 'Option 2: Enable HTTPS in Vite',
+  'error.httpsOption2Detail': 'Update {file} to use HTTPS',
+  'error.httpsOption3': 'Option 3: Use ngrok/localtunnel',
+  'error.httpsOption3Detail': 'Create HTTPS tunnel: {command}',
+  'error.httpsOption4': 'Option 4: Manual Chrome Setting',
+  'error.httpsOption4Detail': 'Chrome Settings → Site Settings → Camera → Allow for this site',
+  'error.httpsOption4Note': '(May still be blocked on HTTP)',
+  'error.allowInSettings': 'Please allow camera access in your browser settings',
+  'error.grantPermission': 'Make sure you granted camera permissions',
+  'error.tryAgain': 'Try Again',
+  'error.deniedHint': 'If permission was denied, go to Chrome Settings → Site Settings → Camera → Allow',
+  'error.notSupported': 'Camera not supported. Please use a device with a camera.',
+  'error.permissionDenied': 'Camera permission denied. Please allow camera access in your browser settings and try again.',
+  'error.noCamera': 'No camera found. Please use a device with a camera.',
+  'error.cameraAccess': 'Failed to access camera. Please check permissions.',
+  'error.cameraStart': 'Failed to start camera. Please check permissions.',
+  'error.cameraFailed': 'The camera stopped working and could not be restarted. Please try again.',
+  'error.cameraLost': 'Camera lost connection. Please refresh the page.',
+  'error.cameraRestart': 'Could not restart the camera. Please try again.',
+  'error.exportIncidents': 'Could not export the camera incidents.',
+  'error.exportLog': 'Could not export the scan log.',
+  'error.guestListFile': 'Could not read the guest list file.',
+  'error.scannerContainer': 'Scanner container not found. Please refresh the page.',
+  'error.guestListNoRows': 'The guest list CSV needs a header row and at least one ticket.',
+  'error.guestListJsonShape': 'The guest list JSON must be an array of tickets or an object with a "tickets" array.',
+  'error.guestListEmpty': 'No tickets found in the guest list. Check that it has a ticket ID column.',
+
+  // Camera controls
+  'camera.select': 'Camera',
+  'camera.auto': 'Auto (back camera)',
+  'camera.numbered': 'Camera {number}',
+  'camera.torchOn': 'On',
+  'camera.torchOff': 'Off',
+  'camera.zoom': 'Zoom',
+
+  // Result card titles
+  'result.success': 'Ticket Scanned',
+  'result.reentry': 'Welcome Back',
+  'result.exit': 'Checked Out',
+  'result.not-inside': 'Not Checked In',
+  'result.duplicate': 'Already Scanned',
+  'result.invalid': 'Invalid Ticket',
+  'result.wrong-zone': 'Not Valid at This Entrance',
+  'result.forged': 'Forged Ticket',
+  'result.expired': 'Ticket Expired',
+  'result.verifying': 'Verifying…',
+  'result.voided': 'Ticket Voided',
+  'result.forced': 'Admitted by Supervisor',
+  'result.group-pending': 'Group Ticket',
+  'result.group-entry': 'Group Admitted',
+
+  // Result card details
+  'result.manual': 'Manual',
+  'result.qrCode': 'QR Code',
+  'result.code': '{format}:',
+  'result.ticketId': 'Ticket ID:',
+  'result.barcode': 'Barcode:',
+  'result.holder': 'Ticket Holder:',
+  'result.ticketType': 'Ticket Type:',
+  'result.seat': 'Seat:',
+  'result.event': 'Event:',
+  'result.group': 'Group:',
+  'result.groupProgress': '{count} entered · {remaining} of {groupSize} remaining',
+  'result.fallbackNote': "Server didn't answer in time - checked on this device, to be reconciled.",
+  'result.alreadyScanned': 'This ticket was already scanned before.',
+  'result.firstAdmitted': 'First admitted {time} at {gate} · device {device}',
+  'result.unnamedGate': 'unnamed gate',
+  'result.unknownDevice': 'unknown',
+  'result.thisDevice': '(this device)',
+  'result.override': 'Supervisor Override',
+  'result.time': 'Time:',
+
+  // Rejection reasons
+  'reason.notSigned': 'Not a signed ticket.',
+  'reason.malformedToken': 'Malformed ticket token.',
+  'reason.unsupportedAlgorithm': 'Unsupported signature algorithm: {algorithm}.',
+  'reason.unverifiedSignature': 'Signature could not be verified.',
+  'reason.badSignature': 'Invalid signature.',
+  'reason.expired': 'Ticket has expired.',
+  'reason.notYetValid': 'Ticket is not valid yet.',
+  'reason.otherEvent': 'Ticket is for event {event}.',
+  'reason.noEvent': 'Ticket has no event ID.',
+  'reason.voided': 'Voided by a supervisor.',
+  'reason.voidedWithNote': 'Voided by a supervisor: {note}',
+  'reason.rejectedByServer': 'Rejected by the ticketing server.',
+  'reason.notOnGuestList': 'This code is not on the guest list.',
+  'reason.groupComplete': 'All {count} people on this group ticket are already in.',
+  'reason.checkedOut': 'This ticket already checked out.',
+  'reason.neverCheckedIn': 'This ticket never checked in.',
+  'reason.untypedTicket': 'Ticket type unknown - {zone} entrance needs a typed ticket.',
+  'reason.wrongZone': '{ticketType} tickets are not valid at the {zone} entrance.',
+
+  // Group tickets
+  'group.remainingCount': '{remaining} of {groupSize}',
+  'group.remaining': 'remaining',
+  'group.question': 'How many are entering now?',
+  'group.fewer': 'One fewer',
+  'group.more': 'One more',
+  'group.admit': 'Admit {count}',
+
+  // Gate mode and scan controls
+  'gateMode.label': 'Gate mode',
+  'gateMode.entry': 'Entry',
+  'gateMode.exit': 'Exit',
+  'gateMode.reentry': 'Entry + Re-entry',
+  'controls.start': 'Start Scanning',
+  'controls.allowAndStart': 'Allow Camera & Start',
+  'controls.stop': 'Stop Scanning',
+
+  // Manual entry
+  'manual.placeholder': 'Ticket code',
+  'manual.placeholderSearch': 'Ticket code or attendee name',
+  'manual.label': 'Manual ticket entry',
+  'manual.checkIn': 'Check In',
+
+  // Scan from image
+  'imageScan.title': 'Scan from Image:',
+  'imageScan.description': 'screenshots or photos of tickets',
+  'imageScan.progress': '{processed} / {total} processed, {admitted} admitted',
+  'imageScan.images': 'Images',
+  'imageScan.folder': 'Folder',
+  'imageScan.success': 'Admitted',
+  'imageScan.reentry': 'Re-admitted',
+  'imageScan.group-skipped': 'Group ticket - scan it with the camera',
+  'imageScan.exit': 'Checked out',
+  'imageScan.not-inside': 'Not checked in',
+  'imageScan.duplicate': 'Duplicate',
+  'imageScan.invalid': 'Invalid',
+  'imageScan.wrong-zone': 'Wrong entrance',
+  'imageScan.forged': 'Forged',
+  'imageScan.expired': 'Expired',
+  'imageScan.voided': 'Voided',
+  'imageScan.unreadable': 'No code found',
+  'imageScan.not-ready': 'Still loading - try again',
+
+  // Guest list and scan log panels
+  'guestList.title': 'Guest List:',
+  'guestList.loaded': { one: '{count} ticket loaded', other: '{count} tickets loaded' },
+  'guestList.none': 'None (all codes accepted)',
+  'guestList.replace': 'Replace',
+  'guestList.load': 'Load CSV / JSON',
+  'guestList.clear': 'Clear',
+  'scanLog.title': 'Scan Log:',
+  'scanLog.description': 'every attempt, with audit fields',
+  'scanLog.toReconcile': '{count} checked offline, to reconcile',
+  'scanLog.exportCsv': 'Export CSV',
+  'scanLog.exportJson': 'Export JSON',
+  'scanLog.incidents': 'Camera Incidents',
+
+  // Recent scans
+  'history.title': 'Recent Scans ({count})',
+  'history.duplicate': 'Duplicate',
+  'history.manual': 'Manual',
+  'history.exit': 'Exit',
+  'history.override': 'Override',
+  'history.group': '+{count} · {remaining} left',
+  'history.sending': 'Sending',
+  'history.notDelivered': 'Not delivered',
+  'history.backendRefused': 'Refused by backend',
+
+  // Full-screen flash labels
+  'flash.success': 'OK',
+  'flash.duplicate': 'USED',
+  'flash.zone': 'WRONG GATE',
+  'flash.invalid': 'INVALID',
+
+  // Screen reader announcements
+  'announce.success': 'Admitted',
+  'announce.reentry': 'Re-admitted',
+  'announce.forced': 'Admitted by supervisor',
+  'announce.group-entry': 'Group admitted',
+  'announce.exit': 'Checked out',
+  'announce.not-inside': 'Not checked in',
+  'announce.duplicate': 'Already used',
+  'announce.invalid': 'Invalid ticket',
+  'announce.wrong-zone': 'Wrong entrance',
+  'announce.forged': 'Forged ticket',
+  'announce.expired': 'Ticket expired',
+  'announce.voided': 'Ticket voided',
+  'announce.ticket': 'Ticket {ticketId}',
+  'announce.groupPending': 'Group ticket. {remaining} of {groupSize} remaining. Choose how many are entering.',
+
+  // Spoken results - kept short so they don't hold up the queue
+  'speech.success': 'Welcome',
+  'speech.successWithType': '{ticketType}, welcome',
+  'speech.reentry': 'Welcome back',
+  'speech.forced': 'Welcome',
+  'speech.group-entry': 'Welcome',
+  'speech.exit': 'Goodbye',
+  'speech.not-inside': 'Not checked in',
+  'speech.duplicate': 'Already used',
+  'speech.invalid': 'Invalid ticket',
+  'speech.wrong-zone': 'Wrong entrance',
+  'speech.forged': 'Invalid ticket',
+  'speech.expired': 'Ticket expired',
+  'speech.voided': 'Ticket voided',
+
+  // Kiosk (attendee-facing)
+  'kiosk.instructions': "Hold your ticket's QR code up to the camera",
+  'kiosk.screenMayTurnOff': 'Screen may turn off',
+  'kiosk.exitButton': 'Staff: exit kiosk mode',
+  'kiosk.checking': 'Checking your ticket…',
+  'kiosk.welcome': 'Welcome!',
+  'kiosk.welcomeName': 'Welcome, {name}!',
+  'kiosk.goAhead': 'Please go ahead',
+  'kiosk.alreadyUsed': 'Ticket already used',
+  'kiosk.wrongEntrance': 'Wrong entrance',
+  'kiosk.notAccepted': 'Ticket not accepted',
+  'kiosk.seeStaff': 'Please see a member of staff',
+  'kiosk.goodbye': 'Goodbye!',
+  'kiosk.seeYouSoon': 'See you soon',
+  'kiosk.groupProgress': '{count} entered · {remaining} of {groupSize} still to come',
+  'kiosk.attractTitle': 'Scan your ticket here',
+  'kiosk.attractHint': 'Hold the QR code up to the camera above this screen',
+  'kiosk.staffOnly': 'Staff Only',
+  'kiosk.backToKiosk': 'Back to kiosk',
+  'kiosk.pin': 'PIN',
+  'kiosk.pinLabel': 'PIN to leave kiosk mode',
+  'kiosk.exit': 'Exit Kiosk',
+
+  // Update prompt
+  'update.available': 'A new version is available.',
+  'update.update': 'Update',
+  'update.later': 'Later',
+  'update.offlineReady': 'Ready to work offline.',
+
+  // Live statistics
+  'stats.title': 'Live Statistics',
+  'stats.close': 'Close statistics',
+  'stats.admitted': 'Admitted',
+  'stats.duplicates': 'Duplicates',
+  'stats.rejected': 'Other rejects',
+  'stats.rate': 'Scans/min (5 min)',
+  'stats.avgInterval': 'Avg between scans',
+  'stats.peak': 'Peak/min',
+  'stats.chart': 'Scans per minute over the last {count} minutes',
+  'stats.minutesAgo': '-{count} min',
+  'stats.now': 'now',
+  'stats.seconds': '{value} s',
+  'stats.minutes': '{value} min',
+
+  // Supervisor panel
+  'supervisor.title': 'Supervisor',
+  'supervisor.close': 'Close supervisor mode',
+  'supervisor.pin': 'Supervisor PIN',
+  'supervisor.unlock': 'Unlock',
+  'supervisor.ticket': 'Ticket',
+  'supervisor.ticketId': 'Ticket ID',
+  'supervisor.reason': 'Reason',
+  'supervisor.logged': '(logged)',
+  'supervisor.reasonPlaceholder': 'Required to force-admit',
+  'supervisor.forceAdmit': 'Force Admit',
+  'supervisor.void': 'Void Ticket',
+  'supervisor.recent': 'Recent Admissions',
+  'supervisor.noAdmissions': 'Nothing admitted on this device yet.',
+  'supervisor.reentry': 're-entry',
+  'supervisor.undo': 'Undo',
+
+  // Event picker
+  'events.title': 'Events',
+  'events.close': 'Close event list',
+  'events.new': 'New Event',
+  'events.namePlaceholder': 'e.g. Friday - Summer Fest',
+  'events.nameLabel': 'New event name',
+  'events.start': 'Start',
+  'events.newHint': 'Starts with an empty used-ticket list and guest list, and the current settings.',
+  'events.onDevice': 'Events on This Device',
+  'events.none': 'No events yet.',
+  'events.isOpen': 'open',
+  'events.open': 'Open',
+  'events.continue': 'Continue',
+  'events.archive': 'Archive',
+  'events.archived': 'Archived',
+  'events.restore': 'Restore',
+  'events.delete': 'Delete',
+  'events.confirmDelete': 'Delete "{name}" and all its scans from this device? Export the log first if you need it.',
+  'events.deleteFailed': 'Could not delete the event.',
+  'events.exportFailed': "Could not export the event's scan log.",
+
+  // Settings panel
+  'settings.title': 'Scanner Settings',
+  'settings.close': 'Close settings',
+  'settings.presets': 'Presets',
+  'settings.preset.high-volume': 'High-volume gate',
+  'settings.preset.vip': 'VIP desk',
+  'settings.preset.low-light': 'Low-light',
+  'settings.scanning': 'Scanning',
+  'settings.debounceTime': 'Debounce',
+  'settings.fps': 'Scan rate',
+  'settings.qrboxPercent': 'Scan box size',
+  'settings.qrboxMin': 'Scan box min',
+  'settings.qrboxMax': 'Scan box max',
+  'settings.resultDuration': 'Result display',
+  'settings.successTone': 'Success tone',
+  'settings.duplicateTone': 'Duplicate tone',
+  'settings.errorTone': 'Invalid tone',
+  'settings.percentOfScreen': '% of screen',
+  'settings.onlineValidation': 'Online Validation',
+  'settings.checkWithServer': 'Check tickets with the server',
+  'settings.timeout': 'Timeout',
+  'settings.timeoutHint': "When the server doesn't answer in time the scan is checked on the device and flagged for reconciliation.",
+  'settings.barcodeFormats': 'Barcode Formats',
+  'settings.formatsHint': 'Enable only the formats your tickets use - each extra format slows decoding down.',
+  'settings.zoneAccess': 'Zone Access',
+  'settings.thisEntrance': 'This entrance',
+  'settings.anyTicket': 'Any ticket',
+  'settings.typesAllowed': '(ticket types allowed)',
+  'settings.feedback': 'Feedback',
+  'settings.sound': 'Sound',
+  'settings.flash': 'Full-screen flash',
+  'settings.highContrast': 'High-contrast colours',
+  'settings.speech': 'Speak results',
+  'settings.vibration': 'Vibration',
+  'settings.successVibration': 'Success vibration',
+  'settings.duplicateVibration': 'Duplicate vibration',
+  'settings.errorVibration': 'Invalid vibration',
+  'settings.zoneVibration': 'Wrong-zone vibration',
+  'settings.vibrationUnit': '(ms, comma separated)',
+  'settings.reset': 'Reset Defaults',
+  'settings.save': 'Save',
+}
@@ -0,0 +1,376 @@
+// Spanish messages
+
+export default {
+  // Shared
+  'common.cancel': 'Cancelar',
+  'common.ok': 'OK',
+  'common.wrongPin': 'PIN incorrecto.',
+  'common.unnamed': 'Sin nombre',
+
+  // Header
+  'header.title': 'Escáner QR de eventos',
+  'header.switchEvent': 'Cambiar de evento',
+  'header.stopToSwitch': 'Detén el escaneo para cambiar de evento',
+  'header.statistics': 'Estadísticas en vivo',
+  'header.settings': 'Ajustes del escáner',
+  'header.supervisor': 'Modo supervisor',
+  'header.kiosk': 'Modo quiosco',
+  'header.language': 'Idioma',
+  'header.scanning': 'Escaneando...',
+  'header.stopped': 'Detenido',
+  'header.inside': 'Dentro: {count}',
+  'header.insideTitle': 'Admitidos que no han salido',
+  'header.cameraRestarts': 'Reinicios de cámara: {count}',
+  'header.cameraRestartsTitle': 'Veces que se reinició la cámara tras congelarse o desconectarse',
+  'header.synced': 'Sincronizado',
+  'header.offline': 'Sin conexión',
+  'header.pending': '{count} pendientes',
+  'header.failed': '{count} fallidos',
+  'header.backend': 'Servidor',
+  'header.backendRetry': 'Reintentar ahora los envíos fallidos',
+  'header.backendStatus': 'Estado de envío al servidor',
+
+  // Camera permission and start-up
+  'permission.title': 'Se necesita acceso a la cámara',
+  'permission.httpsRequired': 'Se requiere HTTPS',
+  'permission.httpsExplanation': 'Android Chrome exige HTTPS para usar la cámara (salvo en localhost).',
+  'permission.solutions': 'Soluciones:',
+  'permission.useLocalhost': 'Usa {localhost} o {loopback}',
+  'permission.enableViteHttps': 'Activa HTTPS en la configuración de Vite',
+  'permission.useTunnel': 'Usa un servicio de túnel (ngrok, localtunnel)',
+  'permission.explanation': 'Esta aplicación necesita permiso de cámara para escanear códigos QR.',
+  'permission.hint': 'Pulsa el botón de abajo para permitir el acceso a la cámara',
+  'permission.allow': 'Permitir acceso a la cámara',
+  'camera.recovering': 'Recuperando la cámara…',
+  'camera.recoveringHint': 'La cámara dejó de responder y se está reiniciando',
+  'camera.starting': 'Iniciando la cámara...',
+  'camera.startingHint': 'Espera mientras se inicializa la cámara',
+  'camera.ready': 'Cámara lista. El escáner se iniciará automáticamente.',
+
+  // Camera errors
+  'error.label': 'Error:',
+  'error.httpsTitle': 'La cámara requiere HTTPS',
+  'error.httpsBlocked': 'Android Chrome bloquea la cámara en HTTP (salvo en localhost)',
+  'error.httpsOption1': 'Opción 1: usar localhost',
+  'error.httpsOption1Detail': 'Accede mediante {localhost} o {loopback}',
+  'error.httpsOption2': 'Opción 2: activar HTTPS en Vite',
+  'error.httpsOption2Detail': 'Modifica {file} para usar HTTPS',
+  'error.httpsOption3': 'Opción 3: usar ngrok/localtunnel',
+  'error.httpsOption3Detail': 'Crea un túnel HTTPS: {command}',
+  'error.httpsOption4': 'Opción 4: ajuste manual de Chrome',
+  'error.httpsOption4Detail': 'Configuración de Chrome → Configuración de sitios → Cámara → Permitir para este sitio',
+  'error.httpsOption4Note': '(Puede seguir bloqueada en HTTP)',
+  'error.allowInSettings': 'Permite el acceso a la cámara en los ajustes del navegador',
+  'error.grantPermission': 'Asegúrate de haber concedido el permiso de cámara',
+  'error.tryAgain': 'Reintentar',
+  'error.deniedHint': 'Si se denegó el permiso, ve a Configuración de Chrome → Configuración de sitios → Cámara → Permitir',
+  'error.notSupported': 'Cámara no compatible. Usa un dispositivo con cámara.',
+  'error.permissionDenied': 'Permiso de cámara denegado. Permite el acceso a la cámara en los ajustes del navegador e inténtalo de nuevo.',
+  'error.noCamera': 'No se encontró ninguna cámara. Usa un dispositivo con cámara.',
+  'error.cameraAccess': 'No se pudo acceder a la cámara. Comprueba los permisos.',
+  'error.cameraStart': 'No se pudo iniciar la cámara. Comprueba los permisos.',
+  'error.cameraFailed': 'La cámara dejó de funcionar y no se pudo reiniciar. Inténtalo de nuevo.',
+  'error.cameraLost': 'Se perdió la conexión con la cámara. Recarga la página.',
+  'error.cameraRestart': 'No se pudo reiniciar la cámara. Inténtalo de nuevo.',
+  'error.exportIncidents': 'No se pudieron exportar las incidencias de la cámara.',
+  'error.exportLog': 'No se pudo exportar el registro de escaneos.',
+  'error.guestListFile': 'No se pudo leer el archivo de la lista de invitados.',
+  'error.scannerContainer': 'No se encontró el contenedor del escáner. Recarga la página.',
+  'error.guestListNoRows': 'El CSV de la lista de invitados necesita una fila de encabezado y al menos una entrada.',
+  'error.guestListJsonShape': 'El JSON de la lista de invitados debe ser una lista de entradas o un objeto con una lista "tickets".',
+  'error.guestListEmpty': 'No se encontraron entradas en la lista de invitados. Comprueba que tenga una columna de ID de entrada.',
+
+  // Camera controls
+  'camera.select': 'Cámara',
+  'camera.auto': 'Automática (cámara trasera)',
+  'camera.numbered': 'Cámara {number}',
+  'camera.torchOn': 'Encendida',
+  'camera.torchOff': 'Apagada',
+  'camera.zoom': 'Zoom',
+
+  // Result card titles
+  'result.success': 'Entrada escaneada',
+  'result.reentry': 'Bienvenido de nuevo',
+  'result.exit': 'Salida registrada',
+  'result.not-inside': 'Sin registro de entrada',
+  'result.duplicate': 'Ya escaneada',
+  'result.invalid': 'Entrada no válida',
+  'result.wrong-zone': 'No válida en este acceso',
+  'result.forged': 'Entrada falsificada',
+  'result.expired': 'Entrada caducada',
+  'result.verifying': 'Verificando…',
+  'result.voided': 'Entrada anulada',
+  'result.forced': 'Admitida por el supervisor',
+  'result.group-pending': 'Entrada de grupo',
+  'result.group-entry': 'Grupo admitido',
+
+  // Result card details
+  'result.manual': 'Manual',
+  'result.qrCode': 'Código QR',
+  'result.code': '{format}:',
+  'result.ticketId': 'ID de entrada:',
+  'result.barcode': 'Código de barras:',
+  'result.holder': 'Titular:',
+  'result.ticketType': 'Tipo de entrada:',
+  'result.seat': 'Asiento:',
+  'result.event': 'Evento:',
+  'result.group': 'Grupo:',
+  'result.groupProgress': '{count} han entrado · quedan {remaining} de {groupSize}',
+  'result.fallbackNote': 'El servidor no respondió a tiempo: se comprobó en este dispositivo y hay que conciliarla.',
+  'result.alreadyScanned': 'Esta entrada ya se escaneó antes.',
+  'result.firstAdmitted': 'Admitida por primera vez a las {time} en {gate} · dispositivo {device}',
+  'result.unnamedGate': 'acceso sin nombre',
+  'result.unknownDevice': 'desconocido',
+  'result.thisDevice': '(este dispositivo)',
+  'result.override': 'Anulación del supervisor',
+  'result.time': 'Hora:',
+
+  // Motivos de rechazo
+  'reason.notSigned': 'No es una entrada firmada.',
+  'reason.malformedToken': 'Token de entrada con formato incorrecto.',
+  'reason.unsupportedAlgorithm': 'Algoritmo de firma no compatible: {algorithm}.',
+  'reason.unverifiedSignature': 'No se pudo verificar la firma.',
+  'reason.badSignature': 'Firma no válida.',
+  'reason.expired': 'La entrada ha caducado.',
+  'reason.notYetValid': 'La entrada todavía no es válida.',
+  'reason.otherEvent': 'La entrada es para el evento {event}.',
+  'reason.noEvent': 'La entrada no tiene ID de evento.',
+  'reason.voided': 'Anulada por un supervisor.',
+  'reason.voidedWithNote': 'Anulada por un supervisor: {note}',
+  'reason.rejectedByServer': 'Rechazada por el servidor de entradas.',
+  'reason.notOnGuestList': 'Este código no está en la lista de invitados.',
+  'reason.groupComplete': 'Las {count} personas de esta entrada de grupo ya están dentro.',
+  'reason.checkedOut': 'Esta entrada ya registró la salida.',
+  'reason.neverCheckedIn': 'Esta entrada nunca registró la entrada.',
+  'reason.untypedTicket': 'Tipo de entrada desconocido: el acceso {zone} requiere una entrada con tipo.',
+  'reason.wrongZone': 'Las entradas {ticketType} no son válidas en el acceso {zone}.',
+
+  // Group tickets
+  'group.remainingCount': '{remaining} de {groupSize}',
+  'group.remaining': 'pendientes',
+  'group.question': '¿Cuántas personas entran ahora?',
+  'group.fewer': 'Una menos',
+  'group.more': 'Una más',
+  'group.admit': 'Admitir {count}',
+
+  // Gate mode and scan controls
+  'gateMode.label': 'Modo de acceso',
+  'gateMode.entry': 'Entrada',
+  'gateMode.exit': 'Salida',
+  'gateMode.reentry': 'Entrada + reingreso',
+  'controls.start': 'Empezar a escanear',
+  'controls.allowAndStart': 'Permitir cámara y empezar',
+  'controls.stop': 'Detener escaneo',
+
+  // Manual entry
+  'manual.placeholder': 'Código de entrada',
+  'manual.placeholderSearch': 'Código de entrada o nombre del asistente',
+  'manual.label': 'Introducción manual de entrada',
+  'manual.checkIn': 'Registrar',
+
+  // Scan from image
+  'imageScan.title': 'Escanear desde imagen:',
+  'imageScan.description': 'capturas o fotos de entradas',
+  'imageScan.progress': '{processed} / {total} procesadas, {admitted} admitidas',
+  'imageScan.images': 'Imágenes',
+  'imageScan.folder': 'Carpeta',
+  'imageScan.success': 'Admitida',
+  'imageScan.reentry': 'Readmitida',
+  'imageScan.group-skipped': 'Entrada de grupo: escanéala con la cámara',
+  'imageScan.exit': 'Salida registrada',
+  'imageScan.not-inside': 'Sin registro de entrada',
+  'imageScan.duplicate': 'Duplicada',
+  'imageScan.invalid': 'No válida',
+  'imageScan.wrong-zone': 'Acceso equivocado',
+  'imageScan.forged': 'Falsificada',
+  'imageScan.expired': 'Caducada',
+  'imageScan.voided': 'Anulada',
+  'imageScan.unreadable': 'No se encontró ningún código',
+  'imageScan.not-ready': 'Todavía cargando: inténtalo de nuevo',
+
+  // Guest list and scan log panels
+  'guestList.title': 'Lista de invitados:',
+  'guestList.loaded': { one: '{count} entrada cargada', other: '{count} entradas cargadas' },
+  'guestList.none': 'Ninguna (se aceptan todos los códigos)',
+  'guestList.replace': 'Reemplazar',
+  'guestList.load': 'Cargar CSV / JSON',
+  'guestList.clear': 'Borrar',
+  'scanLog.title': 'Registro de escaneos:',
+  'scanLog.description': 'cada intento, con campos de auditoría',
+  'scanLog.toReconcile': '{count} comprobadas sin conexión, por conciliar',
+  'scanLog.exportCsv': 'Exportar CSV',
+  'scanLog.exportJson': 'Exportar JSON',
+  'scanLog.incidents': 'Incidencias de cámara',
+
+  // Recent scans
+  'history.title': 'Escaneos recientes ({count})',
+  'history.duplicate': 'Duplicada',
+  'history.manual': 'Manual',
+  'history.exit': 'Salida',
+  'history.override': 'Anulación',
+  'history.group': '+{count} · quedan {remaining}',
+  'history.sending': 'Enviando',
+  'history.notDelivered': 'No entregado',
+  'history.backendRefused': 'Rechazado por el backend',
+
+  // Full-screen flash labels
+  'flash.success': 'OK',
+  'flash.duplicate': 'USADA',
+  'flash.zone': 'ACCESO ERRÓNEO',
+  'flash.invalid': 'NO VÁLIDA',
+
+  // Screen reader announcements
+  'announce.success': 'Admitida',
+  'announce.reentry': 'Readmitida',
+  'announce.forced': 'Admitida por el supervisor',
+  'announce.group-entry': 'Grupo admitido',
+  'announce.exit': 'Salida registrada',
+  'announce.not-inside': 'Sin registro de entrada',
+  'announce.duplicate': 'Ya usada',
+  'announce.invalid': 'Entrada no válida',
+  'announce.wrong-zone': 'Acceso equivocado',
+  'announce.forged': 'Entrada falsificada',
+  'announce.expired': 'Entrada caducada',
+  'announce.voided': 'Entrada anulada',
+  'announce.ticket': 'Entrada {ticketId}',
+  'announce.groupPending': 'Entrada de grupo. Quedan {remaining} de {groupSize}. Elige cuántas personas entran.',
+
+  // Spoken results - kept short so they don't hold up the queue
+  'speech.success': 'Bienvenido',
+  'speech.successWithType': '{ticketType}, bienvenido',
+  'speech.reentry': 'Bienvenido de nuevo',
+  'speech.forced': 'Bienvenido',
+  'speech.group-entry': 'Bienvenidos',
+  'speech.exit': 'Adiós',
+  'speech.not-inside': 'Sin registro de entrada',
+  'speech.duplicate': 'Ya usada',
+  'speech.invalid': 'Entrada no válida',
+  'speech.wrong-zone': 'Acceso equivocado',
+  'speech.forged': 'Entrada no válida',
+  'speech.expired': 'Entrada caducada',
+  'speech.voided': 'Entrada anulada',
+
+  // Kiosk (attendee-facing)
+  'kiosk.instructions': 'Acerca el código QR de tu entrada a la cámara',
+  'kiosk.screenMayTurnOff': 'La pantalla puede apagarse',
+  'kiosk.exitButton': 'Personal: salir del modo quiosco',
+  'kiosk.checking': 'Comprobando tu entrada…',
+  'kiosk.welcome': '¡Te damos la bienvenida!',
+  'kiosk.welcomeName': '¡Hola, {name}!',
+  'kiosk.goAhead': 'Adelante, puedes pasar',
+  'kiosk.alreadyUsed': 'Entrada ya utilizada',
+  'kiosk.wrongEntrance': 'Acceso equivocado',
+  'kiosk.notAccepted': 'Entrada no aceptada',
+  'kiosk.seeStaff': 'Dirígete a un miembro del personal',
+  'kiosk.goodbye': '¡Hasta pronto!',
+  'kiosk.seeYouSoon': 'Gracias por tu visita',
+  'kiosk.groupProgress': '{count} han entrado · faltan {remaining} de {groupSize}',
+  'kiosk.attractTitle': 'Escanea tu entrada aquí',
+  'kiosk.attractHint': 'Acerca el código QR a la cámara situada sobre esta pantalla',
+  'kiosk.staffOnly': 'Solo personal',
+  'kiosk.backToKiosk': 'Volver al quiosco',
+  'kiosk.pin': 'PIN',
+  'kiosk.pinLabel': 'PIN para salir del modo quiosco',
+  'kiosk.exit': 'Salir del quiosco',
+
+  // Update prompt
+  'update.available': 'Hay una versión nueva disponible.',
+  'update.update': 'Actualizar',
+  'update.later': 'Más tarde',
+  'update.offlineReady': 'Lista para funcionar sin conexión.',
+
+  // Live statistics
+  'stats.title': 'Estadísticas en vivo',
+  'stats.close': 'Cerrar estadísticas',
+  'stats.admitted': 'Admitidas',
+  'stats.duplicates': 'Duplicadas',
+  'stats.rejected': 'Otros rechazos',
+  'stats.rate': 'Escaneos/min (5 min)',
+  'stats.avgInterval': 'Media entre escaneos',
+  'stats.peak': 'Pico/min',
+  'stats.chart': 'Escaneos por minuto en los últimos {count} minutos',
+  'stats.minutesAgo': '-{count} min',
+  'stats.now': 'ahora',
+  'stats.seconds': '{value} s',
+  'stats.minutes': '{value} min',
+
+  // Supervisor panel
+  'supervisor.title': 'Supervisor',
+  'supervisor.close': 'Cerrar modo supervisor',
+  'supervisor.pin': 'PIN de supervisor',
+  'supervisor.unlock': 'Desbloquear',
+  'supervisor.ticket': 'Entrada',
+  'supervisor.ticketId': 'ID de entrada',
+  'supervisor.reason': 'Motivo',
+  'supervisor.logged': '(se registra)',
+  'supervisor.reasonPlaceholder': 'Obligatorio para forzar la admisión',
+  'supervisor.forceAdmit': 'Forzar admisión',
+  'supervisor.void': 'Anular entrada',
+  'supervisor.recent': 'Admisiones recientes',
+  'supervisor.noAdmissions': 'Todavía no se ha admitido a nadie en este dispositivo.',
+  'supervisor.reentry': 'reingreso',
+  'supervisor.undo': 'Deshacer',
+
+  // Event picker
+  'events.title': 'Eventos',
+  'events.close': 'Cerrar lista de eventos',
+  'events.new': 'Nuevo evento',
+  'events.namePlaceholder': 'p. ej. Viernes - Festival de verano',
+  'events.nameLabel': 'Nombre del nuevo evento',
+  'events.start': 'Empezar',
+  'events.newHint': 'Empieza con la lista de entradas usadas y la lista de invitados vacías, y con los ajustes actuales.',
+  'events.onDevice': 'Eventos en este dispositivo',
+  'events.none': 'Todavía no hay eventos.',
+  'events.isOpen': 'abierto',
+  'events.open': 'Abrir',
+  'events.continue': 'Continuar',
+  'events.archive': 'Archivar',
+  'events.archived': 'Archivados',
+  'events.restore': 'Restaurar',
+  'events.delete': 'Eliminar',
+  'events.confirmDelete': '¿Eliminar "{name}" y todos sus escaneos de este dispositivo? Exporta antes el registro si lo necesitas.',
+  'events.deleteFailed': 'No se pudo eliminar el evento.',
+  'events.exportFailed': 'No se pudo exportar el registro de escaneos del evento.',
+
+  // Settings panel
+  'settings.title': 'Ajustes del escáner',
+  'settings.close': 'Cerrar ajustes',
+  'settings.presets': 'Preajustes',
+  'settings.preset.high-volume': 'Acceso de gran afluencia',
+  'settings.preset.vip': 'Mostrador VIP',
+  'settings.preset.low-light': 'Poca luz',
+  'settings.scanning': 'Escaneo',
+  'settings.debounceTime': 'Antirrebote',
+  'settings.fps': 'Frecuencia de escaneo',
+  'settings.qrboxPercent': 'Tamaño del recuadro',
+  'settings.qrboxMin': 'Recuadro mínimo',
+  'settings.qrboxMax': 'Recuadro máximo',
+  'settings.resultDuration': 'Duración del resultado',
+  'settings.successTone': 'Tono de éxito',
+  'settings.duplicateTone': 'Tono de duplicado',
+  'settings.errorTone': 'Tono de no válida',
+  'settings.percentOfScreen': '% de la pantalla',
+  'settings.onlineValidation': 'Validación en línea',
+  'settings.checkWithServer': 'Comprobar las entradas con el servidor',
+  'settings.timeout': 'Tiempo de espera',
+  'settings.timeoutHint': 'Si el servidor no responde a tiempo, la entrada se comprueba en el dispositivo y se marca para conciliar.',
+  'settings.barcodeFormats': 'Formatos de código',
+  'settings.formatsHint': 'Activa solo los formatos que usan tus entradas: cada formato adicional ralentiza la lectura.',
+  'settings.zoneAccess': 'Acceso por zonas',
+  'settings.thisEntrance': 'Este acceso',
+  'settings.anyTicket': 'Cualquier entrada',
+  'settings.typesAllowed': '(tipos de entrada permitidos)',
+  'settings.feedback': 'Avisos',
+  'settings.sound': 'Sonido',
+  'settings.flash': 'Destello a pantalla completa',
+  'settings.highContrast': 'Colores de alto contraste',
+  'settings.speech': 'Leer resultados en voz alta',
+  'settings.vibration': 'Vibración',
+  'settings.successVibration': 'Vibración de éxito',
+  'settings.duplicateVibration': 'Vibración de duplicado',
+  'settings.errorVibration': 'Vibración de no válida',
+  'settings.zoneVibration': 'Vibración de zona equivocada',
+  'settings.vibrationUnit': '(ms, separados por comas)',
+  'settings.reset': 'Restablecer valores',
+  'settings.save': 'Guardar',
+}
@@ -0,0 +1,376 @@
+// Hindi messages
+
+export default {
+  // Shared
+  'common.cancel': 'रद्द करें',
+  'common.ok': 'ठीक है',
+  'common.wrongPin': 'गलत PIN।',
+  'common.unnamed': 'बिना नाम',
+
+  // Header
+  'header.title': 'इवेंट QR स्कैनर',
+  'header.switchEvent': 'इवेंट बदलें',
+  'header.stopToSwitch': 'इवेंट बदलने के लिए स्कैन करना रोकें',
+  'header.statistics': 'लाइव आँकड़े',
+  'header.settings': 'स्कैनर सेटिंग्स',
+  'header.supervisor': 'सुपरवाइज़र मोड',
+  'header.kiosk': 'कियॉस्क मोड',
+  'header.language': 'भाषा',
+  'header.scanning': 'स्कैन हो रहा है...',
+  'header.stopped': 'रुका हुआ',
+  'header.inside': 'अंदर: {count}',
+  'header.insideTitle': 'प्रवेश मिला और बाहर नहीं गए',
+  'header.cameraRestarts': 'कैमरा रीस्टार्ट: {count}',
+  'header.cameraRestartsTitle': 'कैमरा रुकने या डिस्कनेक्ट होने के बाद कितनी बार फिर से शुरू हुआ',
+  'header.synced': 'सिंक हो गया',
+  'header.offline': 'ऑफ़लाइन',
+  'header.pending': '{count} बाकी',
+  'header.failed': '{count} विफल',
+  'header.backend': 'बैकएंड',
+  'header.backendRetry': 'विफल भेजे गए स्कैन अभी फिर से भेजें',
+  'header.backendStatus': 'बैकएंड को भेजने की स्थिति',
+
+  // Camera permission and start-up
+  'permission.title': 'कैमरा अनुमति ज़रूरी है',
+  'permission.httpsRequired': 'HTTPS ज़रूरी है',
+  'permission.httpsExplanation': 'Android Chrome में कैमरा केवल HTTPS पर चलता है (localhost को छोड़कर)।',
+  'permission.solutions': 'समाधान:',
+  'permission.useLocalhost': '{localhost} या {loopback} इस्तेमाल करें',
+  'permission.enableViteHttps': 'Vite कॉन्फ़िग में HTTPS चालू करें',
+  'permission.useTunnel': 'टनल सेवा इस्तेमाल करें (ngrok, localtunnel)',
+  'permission.explanation': 'QR कोड स्कैन करने के लिए इस ऐप को कैमरा अनुमति चाहिए।',
+  'permission.hint': 'कैमरा की अनुमति देने के लिए नीचे का बटन दबाएँ',
+  'permission.allow': 'कैमरा की अनुमति दें',
+  'camera.recovering': 'कैमरा फिर से शुरू हो रहा है…',
+  'camera.recoveringHint': 'कैमरा ने जवाब देना बंद कर दिया था और फिर से शुरू हो रहा है',
+  'camera.starting': 'कैमरा शुरू हो रहा है...',
+  'camera.startingHint': 'कृपया प्रतीक्षा करें, कैमरा तैयार हो रहा है',
+  'camera.ready': 'कैमरा तैयार है। स्कैनर अपने आप शुरू होगा।',
+
+  // Camera errors
+  'error.label': 'त्रुटि:',
+  'error.httpsTitle': 'कैमरा के लिए HTTPS ज़रूरी है',
+  'error.httpsBlocked': 'Android Chrome HTTP पर कैमरा रोकता है (localhost को छोड़कर)',
+  'error.httpsOption1': 'विकल्प 1: localhost इस्तेमाल करें',
+  'error.httpsOption1Detail': '{localhost} या {loopback} से खोलें',
+  'error.httpsOption2': 'विकल्प 2: Vite में HTTPS चालू करें',
+  'error.httpsOption2Detail': '{file} को HTTPS के लिए बदलें',
+  'error.httpsOption3': 'विकल्प 3: ngrok/localtunnel इस्तेमाल करें',
+  'error.httpsOption3Detail': 'HTTPS टनल बनाएँ: {command}',
+  'error.httpsOption4': 'विकल्प 4: Chrome सेटिंग खुद बदलें',
+  'error.httpsOption4Detail': 'Chrome सेटिंग्स → साइट सेटिंग्स → कैमरा → इस साइट को अनुमति दें',
+  'error.httpsOption4Note': '(HTTP पर फिर भी रुक सकता है)',
+  'error.allowInSettings': 'कृपया ब्राउज़र सेटिंग्स में कैमरा की अनुमति दें',
+  'error.grantPermission': 'जाँचें कि कैमरा अनुमति दी गई है',
+  'error.tryAgain': 'फिर से कोशिश करें',
+  'error.deniedHint': 'अगर अनुमति मना की गई थी, तो Chrome सेटिंग्स → साइट सेटिंग्स → कैमरा → अनुमति दें पर जाएँ',
+  'error.notSupported': 'कैमरा समर्थित नहीं है। कृपया कैमरा वाला डिवाइस इस्तेमाल करें।',
+  'error.permissionDenied': 'कैमरा अनुमति मना कर दी गई। कृपया ब्राउज़र सेटिंग्स में कैमरा की अनुमति दें और फिर से कोशिश करें।',
+  'error.noCamera': 'कोई कैमरा नहीं मिला। कृपया कैमरा वाला डिवाइस इस्तेमाल करें।',
+  'error.cameraAccess': 'कैमरा तक पहुँच नहीं हो सकी। कृपया अनुमतियाँ जाँचें।',
+  'error.cameraStart': 'कैमरा शुरू नहीं हो सका। कृपया अनुमतियाँ जाँचें।',
+  'error.cameraFailed': 'कैमरा ने काम करना बंद कर दिया और फिर से शुरू नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'error.cameraLost': 'कैमरा से संपर्क टूट गया। कृपया पेज फिर से लोड करें।',
+  'error.cameraRestart': 'कैमरा फिर से शुरू नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'error.exportIncidents': 'कैमरा घटनाएँ एक्सपोर्ट नहीं हो सकीं।',
+  'error.exportLog': 'स्कैन लॉग एक्सपोर्ट नहीं हो सका।',
+  'error.guestListFile': 'अतिथि सूची फ़ाइल पढ़ी नहीं जा सकी।',
+  'error.scannerContainer': 'स्कैनर कंटेनर नहीं मिला। कृपया पेज रीफ़्रेश करें।',
+  'error.guestListNoRows': 'अतिथि सूची CSV में एक हेडर पंक्ति और कम से कम एक टिकट होना चाहिए।',
+  'error.guestListJsonShape': 'अतिथि सूची JSON टिकटों की सूची या "tickets" सूची वाला ऑब्जेक्ट होना चाहिए।',
+  'error.guestListEmpty': 'अतिथि सूची में कोई टिकट नहीं मिला। जाँचें कि इसमें टिकट ID कॉलम है।',
+
+  // Camera controls
+  'camera.select': 'कैमरा',
+  'camera.auto': 'अपने आप (पीछे का कैमरा)',
+  'camera.numbered': 'कैमरा {number}',
+  'camera.torchOn': 'चालू',
+  'camera.torchOff': 'बंद',
+  'camera.zoom': 'ज़ूम',
+
+  // Result card titles
+  'result.success': 'टिकट स्कैन हुआ',
+  'result.reentry': 'फिर से स्वागत है',
+  'result.exit': 'बाहर गए',
+  'result.not-inside': 'अंदर दर्ज नहीं',
+  'result.duplicate': 'पहले ही स्कैन हो चुका',
+  'result.invalid': 'अमान्य टिकट',
+  'result.wrong-zone': 'इस प्रवेश द्वार पर मान्य नहीं',
+  'result.forged': 'नकली टिकट',
+  'result.expired': 'टिकट की अवधि समाप्त',
+  'result.verifying': 'जाँच हो रही है…',
+  'result.voided': 'टिकट रद्द',
+  'result.forced': 'सुपरवाइज़र ने प्रवेश दिया',
+  'result.group-pending': 'ग्रुप टिकट',
+  'result.group-entry': 'ग्रुप को प्रवेश मिला',
+
+  // Result card details
+  'result.manual': 'मैनुअल',
+  'result.qrCode': 'QR कोड',
+  'result.code': '{format}:',
+  'result.ticketId': 'टिकट ID:',
+  'result.barcode': 'बारकोड:',
+  'result.holder': 'टिकट धारक:',
+  'result.ticketType': 'टिकट प्रकार:',
+  'result.seat': 'सीट:',
+  'result.event': 'इवेंट:',
+  'result.group': 'ग्रुप:',
+  'result.groupProgress': '{count} अंदर गए · {groupSize} में से {remaining} बाकी',
+  'result.fallbackNote': 'सर्वर ने समय पर जवाब नहीं दिया - इस डिवाइस पर जाँचा गया, मिलान करना ज़रूरी है।',
+  'result.alreadyScanned': 'यह टिकट पहले ही स्कैन हो चुका है।',
+  'result.firstAdmitted': 'पहला प्रवेश {time} पर, {gate} · डिवाइस {device}',
+  'result.unnamedGate': 'बिना नाम का गेट',
+  'result.unknownDevice': 'अज्ञात',
+  'result.thisDevice': '(यह डिवाइस)',
+  'result.override': 'सुपरवाइज़र ओवरराइड',
+  'result.time': 'समय:',
+
+  // अस्वीकार करने के कारण
+  'reason.notSigned': 'यह हस्ताक्षरित टिकट नहीं है।',
+  'reason.malformedToken': 'टिकट टोकन का प्रारूप गलत है।',
+  'reason.unsupportedAlgorithm': 'असमर्थित हस्ताक्षर एल्गोरिद्म: {algorithm}।',
+  'reason.unverifiedSignature': 'हस्ताक्षर की जाँच नहीं हो सकी।',
+  'reason.badSignature': 'अमान्य हस्ताक्षर।',
+  'reason.expired': 'टिकट की अवधि समाप्त हो गई है।',
+  'reason.notYetValid': 'टिकट अभी मान्य नहीं है।',
+  'reason.otherEvent': 'यह टिकट इवेंट {event} के लिए है।',
+  'reason.noEvent': 'टिकट में इवेंट ID नहीं है।',
+  'reason.voided': 'सुपरवाइज़र ने रद्द किया।',
+  'reason.voidedWithNote': 'सुपरवाइज़र ने रद्द किया: {note}',
+  'reason.rejectedByServer': 'टिकटिंग सर्वर ने अस्वीकार किया।',
+  'reason.notOnGuestList': 'यह कोड अतिथि सूची में नहीं है।',
+  'reason.groupComplete': 'इस ग्रुप टिकट के सभी {count} लोग पहले ही अंदर हैं।',
+  'reason.checkedOut': 'यह टिकट पहले ही चेक आउट हो चुका है।',
+  'reason.neverCheckedIn': 'यह टिकट कभी चेक इन नहीं हुआ।',
+  'reason.untypedTicket': 'टिकट का प्रकार अज्ञात - {zone} प्रवेश द्वार के लिए प्रकार वाला टिकट चाहिए।',
+  'reason.wrongZone': '{ticketType} टिकट {zone} प्रवेश द्वार पर मान्य नहीं हैं।',
+
+  // Group tickets
+  'group.remainingCount': '{groupSize} में से {remaining}',
+  'group.remaining': 'बाकी',
+  'group.question': 'अभी कितने लोग अंदर आ रहे हैं?',
+  'group.fewer': 'एक कम',
+  'group.more': 'एक और',
+  'group.admit': '{count} को प्रवेश दें',
+
+  // Gate mode and scan controls
+  'gateMode.label': 'गेट मोड',
+  'gateMode.entry': 'प्रवेश',
+  'gateMode.exit': 'निकास',
+  'gateMode.reentry': 'प्रवेश + पुनः प्रवेश',
+  'controls.start': 'स्कैन शुरू करें',
+  'controls.allowAndStart': 'कैमरा की अनुमति दें और शुरू करें',
+  'controls.stop': 'स्कैन रोकें',
+
+  // Manual entry
+  'manual.placeholder': 'टिकट कोड',
+  'manual.placeholderSearch': 'टिकट कोड या अतिथि का नाम',
+  'manual.label': 'टिकट खुद दर्ज करें',
+  'manual.checkIn': 'चेक इन',
+
+  // Scan from image
+  'imageScan.title': 'तस्वीर से स्कैन करें:',
+  'imageScan.description': 'टिकट के स्क्रीनशॉट या फ़ोटो',
+  'imageScan.progress': '{total} में से {processed} संसाधित, {admitted} को प्रवेश',
+  'imageScan.images': 'तस्वीरें',
+  'imageScan.folder': 'फ़ोल्डर',
+  'imageScan.success': 'प्रवेश मिला',
+  'imageScan.reentry': 'पुनः प्रवेश',
+  'imageScan.group-skipped': 'ग्रुप टिकट - इसे कैमरा से स्कैन करें',
+  'imageScan.exit': 'बाहर गए',
+  'imageScan.not-inside': 'अंदर दर्ज नहीं',
+  'imageScan.duplicate': 'दोहराया गया',
+  'imageScan.invalid': 'अमान्य',
+  'imageScan.wrong-zone': 'गलत प्रवेश द्वार',
+  'imageScan.forged': 'नकली',
+  'imageScan.expired': 'अवधि समाप्त',
+  'imageScan.voided': 'रद्द',
+  'imageScan.unreadable': 'कोई कोड नहीं मिला',
+  'imageScan.not-ready': 'अभी लोड हो रहा है - फिर से कोशिश करें',
+
+  // Guest list and scan log panels
+  'guestList.title': 'अतिथि सूची:',
+  'guestList.loaded': { one: '{count} टिकट लोड हुआ', other: '{count} टिकट लोड हुए' },
+  'guestList.none': 'कोई नहीं (हर कोड स्वीकार है)',
+  'guestList.replace': 'बदलें',
+  'guestList.load': 'CSV / JSON लोड करें',
+  'guestList.clear': 'साफ़ करें',
+  'scanLog.title': 'स्कैन लॉग:',
+  'scanLog.description': 'हर प्रयास, ऑडिट फ़ील्ड के साथ',
+  'scanLog.toReconcile': '{count} ऑफ़लाइन जाँचे गए, मिलान बाकी',
+  'scanLog.exportCsv': 'CSV एक्सपोर्ट करें',
+  'scanLog.exportJson': 'JSON एक्सपोर्ट करें',
+  'scanLog.incidents': 'कैमरा घटनाएँ',
+
+  // Recent scans
+  'history.title': 'हाल के स्कैन ({count})',
+  'history.duplicate': 'दोहराया गया',
+  'history.manual': 'मैनुअल',
+  'history.exit': 'निकास',
+  'history.override': 'ओवरराइड',
+  'history.group': '+{count} · {remaining} बाकी',
+  'history.sending': 'भेजा जा रहा है',
+  'history.notDelivered': 'नहीं पहुँचा',
+  'history.backendRefused': 'बैकएंड ने अस्वीकार किया',
+
+  // Full-screen flash labels
+  'flash.success': 'ठीक',
+  'flash.duplicate': 'इस्तेमाल हो चुका',
+  'flash.zone': 'गलत गेट',
+  'flash.invalid': 'अमान्य',
+
+  // Screen reader announcements
+  'announce.success': 'प्रवेश मिला',
+  'announce.reentry': 'पुनः प्रवेश मिला',
+  'announce.forced': 'सुपरवाइज़र ने प्रवेश दिया',
+  'announce.group-entry': 'ग्रुप को प्रवेश मिला',
+  'announce.exit': 'बाहर गए',
+  'announce.not-inside': 'अंदर दर्ज नहीं',
+  'announce.duplicate': 'पहले ही इस्तेमाल हो चुका',
+  'announce.invalid': 'अमान्य टिकट',
+  'announce.wrong-zone': 'गलत प्रवेश द्वार',
+  'announce.forged': 'नकली टिकट',
+  'announce.expired': 'टिकट की अवधि समाप्त',
+  'announce.voided': 'टिकट रद्द',
+  'announce.ticket': 'टिकट {ticketId}',
+  'announce.groupPending': 'ग्रुप टिकट। {groupSize} में से {remaining} बाकी। चुनें कि कितने लोग अंदर आ रहे हैं।',
+
+  // Spoken results - kept short so they don't hold up the queue
+  'speech.success': 'स्वागत है',
+  'speech.successWithType': '{ticketType}, स्वागत है',
+  'speech.reentry': 'फिर से स्वागत है',
+  'speech.forced': 'स्वागत है',
+  'speech.group-entry': 'स्वागत है',
+  'speech.exit': 'अलविदा',
+  'speech.not-inside': 'अंदर दर्ज नहीं',
+  'speech.duplicate': 'पहले ही इस्तेमाल हो चुका',
+  'speech.invalid': 'अमान्य टिकट',
+  'speech.wrong-zone': 'गलत प्रवेश द्वार',
+  'speech.forged': 'अमान्य टिकट',
+  'speech.expired': 'टिकट की अवधि समाप्त',
+  'speech.voided': 'टिकट रद्द',
+
+  // Kiosk (attendee-facing)
+  'kiosk.instructions': 'अपने टिकट का QR कोड कैमरा के सामने रखें',
+  'kiosk.screenMayTurnOff': 'स्क्रीन बंद हो सकती है',
+  'kiosk.exitButton': 'स्टाफ़: कियॉस्क मोड से बाहर निकलें',
+  'kiosk.checking': 'आपका टिकट जाँचा जा रहा है…',
+  'kiosk.welcome': 'स्वागत है!',
+  'kiosk.welcomeName': 'स्वागत है, {name}!',
+  'kiosk.goAhead': 'कृपया आगे बढ़ें',
+  'kiosk.alreadyUsed': 'टिकट पहले ही इस्तेमाल हो चुका है',
+  'kiosk.wrongEntrance': 'गलत प्रवेश द्वार',
+  'kiosk.notAccepted': 'टिकट स्वीकार नहीं हुआ',
+  'kiosk.seeStaff': 'कृपया स्टाफ़ से संपर्क करें',
+  'kiosk.goodbye': 'अलविदा!',
+  'kiosk.seeYouSoon': 'फिर मिलेंगे',
+  'kiosk.groupProgress': '{count} अंदर गए · {groupSize} में से {remaining} आने बाकी',
+  'kiosk.attractTitle': 'अपना टिकट यहाँ स्कैन करें',
+  'kiosk.attractHint': 'QR कोड को इस स्क्रीन के ऊपर लगे कैमरा के सामने रखें',
+  'kiosk.staffOnly': 'केवल स्टाफ़',
+  'kiosk.backToKiosk': 'कियॉस्क पर वापस',
+  'kiosk.pin': 'PIN',
+  'kiosk.pinLabel': 'कियॉस्क मोड से बाहर निकलने का PIN',
+  'kiosk.exit': 'कियॉस्क से बाहर निकलें',
+
+  // Update prompt
+  'update.available': 'नया संस्करण उपलब्ध है।',
+  'update.update': 'अपडेट करें',
+  'update.later': 'बाद में',
+  'update.offlineReady': 'ऑफ़लाइन काम करने के लिए तैयार।',
+
+  // Live statistics
+  'stats.title': 'लाइव आँकड़े',
+  'stats.close': 'आँकड़े बंद करें',
+  'stats.admitted': 'प्रवेश मिला',
+  'stats.duplicates': 'दोहराए गए',
+  'stats.rejected': 'अन्य अस्वीकृत',
+  'stats.rate': 'स्कैन/मिनट (5 मिनट)',
+  'stats.avgInterval': 'स्कैन के बीच औसत',
+  'stats.peak': 'अधिकतम/मिनट',
+  'stats.chart': 'पिछले {count} मिनट में प्रति मिनट स्कैन',
+  'stats.minutesAgo': '-{count} मि',
+  'stats.now': 'अभी',
+  'stats.seconds': '{value} से',
+  'stats.minutes': '{value} मि',
+
+  // Supervisor panel
+  'supervisor.title': 'सुपरवाइज़र',
+  'supervisor.close': 'सुपरवाइज़र मोड बंद करें',
+  'supervisor.pin': 'सुपरवाइज़र PIN',
+  'supervisor.unlock': 'अनलॉक करें',
+  'supervisor.ticket': 'टिकट',
+  'supervisor.ticketId': 'टिकट ID',
+  'supervisor.reason': 'कारण',
+  'supervisor.logged': '(लॉग में दर्ज होगा)',
+  'supervisor.reasonPlaceholder': 'ज़बरदस्ती प्रवेश के लिए ज़रूरी',
+  'supervisor.forceAdmit': 'ज़बरदस्ती प्रवेश दें',
+  'supervisor.void': 'टिकट रद्द करें',
+  'supervisor.recent': 'हाल के प्रवेश',
+  'supervisor.noAdmissions': 'इस डिवाइस पर अभी तक किसी को प्रवेश नहीं मिला।',
+  'supervisor.reentry': 'पुनः प्रवेश',
+  'supervisor.undo': 'पूर्ववत करें',
+
+  // Event picker
+  'events.title': 'इवेंट',
+  'events.close': 'इवेंट सूची बंद करें',
+  'events.new': 'नया इवेंट',
+  'events.namePlaceholder': 'जैसे शुक्रवार - समर फ़ेस्ट',
+  'events.nameLabel': 'नए इवेंट का नाम',
+  'events.start': 'शुरू करें',
+  'events.newHint': 'इस्तेमाल हुए टिकटों की खाली सूची, खाली अतिथि सूची और मौजूदा सेटिंग्स से शुरू होता है।',
+  'events.onDevice': 'इस डिवाइस पर इवेंट',
+  'events.none': 'अभी कोई इवेंट नहीं।',
+  'events.isOpen': 'खुला',
+  'events.open': 'खोलें',
+  'events.continue': 'जारी रखें',
+  'events.archive': 'संग्रहित करें',
+  'events.archived': 'संग्रहित',
+  'events.restore': 'वापस लाएँ',
+  'events.delete': 'हटाएँ',
+  'events.confirmDelete': '"{name}" और उसके सभी स्कैन इस डिवाइस से हटाएँ? ज़रूरत हो तो पहले उसका लॉग एक्सपोर्ट कर लें।',
+  'events.deleteFailed': 'इवेंट हटाया नहीं जा सका।',
+  'events.exportFailed': 'इवेंट का स्कैन लॉग एक्सपोर्ट नहीं हो सका।',
+
+  // Settings panel
+  'settings.title': 'स्कैनर सेटिंग्स',
+  'settings.close': 'सेटिंग्स बंद करें',
+  'settings.presets': 'प्रीसेट',
+  'settings.preset.high-volume': 'भीड़ वाला प्रवेश द्वार',
+  'settings.preset.vip': 'VIP काउंटर',
+  'settings.preset.low-light': 'कम रोशनी',
+  'settings.scanning': 'स्कैनिंग',
+  'settings.debounceTime': 'डिबाउंस',
+  'settings.fps': 'स्कैन दर',
+  'settings.qrboxPercent': 'स्कैन बॉक्स का आकार',
+  'settings.qrboxMin': 'स्कैन बॉक्स न्यूनतम',
+  'settings.qrboxMax': 'स्कैन बॉक्स अधिकतम',
+  'settings.resultDuration': 'परिणाम दिखाने का समय',
+  'settings.successTone': 'सफलता की ध्वनि',
+  'settings.duplicateTone': 'दोहराव की ध्वनि',
+  'settings.errorTone': 'अमान्य की ध्वनि',
+  'settings.percentOfScreen': 'स्क्रीन का %',
+  'settings.onlineValidation': 'ऑनलाइन जाँच',
+  'settings.checkWithServer': 'टिकट सर्वर से जाँचें',
+  'settings.timeout': 'समय सीमा',
+  'settings.timeoutHint': 'सर्वर समय पर जवाब न दे, तो स्कैन डिवाइस पर जाँचा जाता है और मिलान के लिए चिह्नित होता है।',
+  'settings.barcodeFormats': 'बारकोड फ़ॉर्मेट',
+  'settings.formatsHint': 'केवल वही फ़ॉर्मेट चालू करें जो आपके टिकट इस्तेमाल करते हैं - हर अतिरिक्त फ़ॉर्मेट पहचान धीमी करता है।',
+  'settings.zoneAccess': 'ज़ोन प्रवेश',
+  'settings.thisEntrance': 'यह प्रवेश द्वार',
+  'settings.anyTicket': 'कोई भी टिकट',
+  'settings.typesAllowed': '(अनुमत टिकट प्रकार)',
+  'settings.feedback': 'प्रतिक्रिया',
+  'settings.sound': 'ध्वनि',
+  'settings.flash': 'फ़ुल-स्क्रीन फ़्लैश',
+  'settings.highContrast': 'उच्च कंट्रास्ट रंग',
+  'settings.speech': 'परिणाम बोलकर बताएँ',
+  'settings.vibration': 'कंपन',
+  'settings.successVibration': 'सफलता का कंपन',
+  'settings.duplicateVibration': 'दोहराव का कंपन',
+  'settings.errorVibration': 'अमान्य का कंपन',
+  'settings.zoneVibration': 'गलत ज़ोन का कंपन',
+  'settings.vibrationUnit': '(ms, कॉमा से अलग)',
+  'settings.reset': 'डिफ़ॉल्ट पर लौटाएँ',
+  'settings.save': 'सहेजें',
+}
@@ -0,0 +1,145 @@
+// Ticket manifest (guest list) import and lookup.
+// A manifest is a list of { ticketId, holderName, ticketType, event, admits } loaded
+// from a CSV or JSON export of the ticketing system. Import errors carry a
+// message for the UI (see createMessageError in i18n.js).
+
+import { createMessageError } from './i18n'
+
+// Accepted column / property names for each manifest field
+const FIELD_ALIASES = {
+  ticketId: ['ticketid', 'ticket_id', 'ticket', 'id', 'code', 'barcode'],
+  holderName: ['holdername', 'holder_name', 'holder', 'name', 'attendee', 'guest'],
+  ticketType: ['tickettype', 'ticket_type', 'type', 'tier', 'category'],
+  event: ['event', 'eventid', 'event_id', 'validevent', 'valid_event'],
+  admits: ['admits', 'party', 'party_size', 'group_size', 'quantity', 'qty', 'pax'],
+}
+
+const normalizeKey = (key) => String(key).trim().toLowerCase().replace(/[\s-]+/g, '_')
+
+// Map an arbitrary row object onto manifest fields
+const toTicket = (row) => {
+  const ticket = {}
+  Object.keys(row).forEach((key) => {
+    const normalized = normalizeKey(key)
+    const field = Object.keys(FIELD_ALIASES).find(name => FIELD_ALIASES[name].includes(normalized))
+    if (field && ticket[field] === undefined) {
+      ticket[field] = String(row[key] ?? '').trim()
+    }
+  })
+  return {
+    ticketId: ticket.ticketId || '',
+    holderName: ticket.holderName || '',
+    ticketType: ticket.ticketType || '',
+    event: ticket.event || '',
+    admits: ticket.admits || '',
+  }
+}
+
+// Split one CSV line, honouring double-quoted fields with escaped quotes
+const parseCsvLine = (line, delimiter) => {
+  const fields = []
+  let current = ''
+  let inQuotes = false
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i]
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        current += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === delimiter) {
+      fields.push(current)
+      current = ''
+    } else {
+      current += char
+    }
+  }
+  fields.push(current)
+  return fields
+}
+
+const parseCsv = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '')
+  if (lines.length < 2) {
+    throw createMessageError('error.guestListNoRows')
+  }
+
+  // Spreadsheet exports in some locales use semicolons
+  const delimiter = lines[0].includes(';') && !lines[0].includes(',') ? ';' : ','
+  const headers = parseCsvLine(lines[0], delimiter)
+
+  return lines.slice(1).map((line) => {
+    const values = parseCsvLine(line, delimiter)
+    const row = {}
+    headers.forEach((header, index) => {
+      row[header] = values[index]
+    })
+    return toTicket(row)
+  })
+}
+
+const parseJson = (text) => {
+  const data = JSON.parse(text)
+  const rows = Array.isArray(data) ? data : data.tickets
+  if (!Array.isArray(rows)) {
+    throw createMessageError('error.guestListJsonShape')
+  }
+  return rows.map(toTicket)
+}
+
+// Parse manifest file contents. Format is picked from the file name, falling
+// back to sniffing the first character.
+export const parseManifest = (fileName, text) => {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[[{]/.test(text)
+  const tickets = (isJson ? parseJson(text) : parseCsv(text)).filter(ticket => ticket.ticketId)
+
+  if (tickets.length === 0) {
+    throw createMessageError('error.guestListEmpty')
+  }
+  return tickets
+}
+
+// Read a File chosen through a file input
+export const readManifestFile = async (file) => {
+  const text = await file.text()
+  return parseManifest(file.name, text)
+}
+
+// Build a ticketId -> ticket lookup
+export const indexManifest = (tickets) => {
+  return new Map(tickets.map(ticket => [ticket.ticketId, ticket]))
+}
+
+// Classify a scanned code against the manifest:
+// 'valid' - on the list and not used yet
+// 'used' - on the list but already admitted
+// 'unknown' - not on the list
+export const classifyTicket = (code, manifest, usedCodes) => {
+  if (!manifest.has(code)) return 'unknown'
+  return usedCodes.has(code) ? 'used' : 'valid'
+}
+
+// Find tickets whose holder name or ticket ID contains `query` (case-insensitive).
+// Name matches that start with the query are listed first.
+export const searchManifest = (manifest, query, limit = 5) => {
+  const needle = query.trim().toLowerCase()
+  if (needle.length < 2) return []
+
+  const matches = []
+  for (const ticket of manifest.values()) {
+    const name = ticket.holderName.toLowerCase()
+    if (name.includes(needle) || ticket.ticketId.toLowerCase().includes(needle)) {
+      matches.push(ticket)
+    }
+  }
+  const startsWith = ticket => ticket.holderName.toLowerCase().startsWith(needle)
+  matches.sort((a, b) => Number(startsWith(b)) - Number(startsWith(a)))
+  return matches.slice(0, limit)
+}
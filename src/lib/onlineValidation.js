@@ -0,0 +1,40 @@
+// Online validation: ask the backend whether to let a ticket in.
+// The endpoint receives one POST per scan and answers with a decision:
+//
+//   request  { code, ticketId, eventId, deviceId, gateId, gateMode, scannedAt, groupSize, admittedCount }
+//   response { decision: 'admit' | 'reject' | 'duplicate', reason? }
+//
+// `groupSize` is the party size (1 for ordinary tickets) and `admittedCount` how
+// many of the party this device knows are already in, so the backend can keep
+// admitting a group ticket until the whole party is in. The operator chooses how
+// many are entering only after the backend answered.
+//
+// Anything else - a timeout, network error, non-2xx status or unknown decision -
+// rejects, and the caller falls back to the local checks.
+
+export const VALIDATION_DECISIONS = ['admit', 'reject', 'duplicate']
+
+export const validateOnline = async ({ url, token = '', timeout, request }) => {
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), timeout)
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify(request),
+      signal: controller.signal
+    })
+    if (!response.ok) throw new Error(`Validation endpoint responded ${response.status}`)
+
+    const data = await response.json()
+    if (!VALIDATION_DECISIONS.includes(data.decision)) {
+      throw new Error(`Unknown validation decision: ${data.decision}`)
+    }
+    return { decision: data.decision, reason: typeof data.reason === 'string' ? data.reason : null }
+  } finally {
+    clearTimeout(timer)
+  }
+}
@@ -0,0 +1,33 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createWebhookMock } from '../../server/webhook-mock.js'
+import { validateOnline } from './onlineValidation'
+
+describe('online validation against the mock backend', () => {
+  let server
+  let url
+
+  const ask = (request) => validateOnline({ url, timeout: 1000, request: { gateMode: 'entry', ...request } })
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    server = createWebhookMock()
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    url = `http://127.0.0.1:${server.address().port}/validate`
+  })
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve))
+    vi.restoreAllMocks()
+  })
+
+  it('admits a ticket once', async () => {
+    expect(await ask({ ticketId: 'T1', groupSize: 1, admittedCount: 0 })).toEqual({ decision: 'admit', reason: null })
+    expect((await ask({ ticketId: 'T1', groupSize: 1, admittedCount: 1 })).decision).toBe('duplicate')
+  })
+
+  it('keeps admitting a group ticket until the whole party is in', async () => {
+    expect((await ask({ ticketId: 'G1', groupSize: 5, admittedCount: 0 })).decision).toBe('admit')
+    expect((await ask({ ticketId: 'G1', groupSize: 5, admittedCount: 2 })).decision).toBe('admit')
+    expect((await ask({ ticketId: 'G1', groupSize: 5, admittedCount: 5 })).decision).toBe('duplicate')
+  })
+})
@@ -0,0 +1,181 @@
+// Parser registry for structured ticket payloads.
+// Each parser gets the decoded text and returns null when the text isn't in
+// its format, or the fields it found:
+//   { ticketId, name, seat, event, ticketType, admits }
+// Parsers are tried in registration order; plain codes fall through to 'raw'.
+// Duplicate detection uses the normalized ticketId, so the same ticket encoded
+// as JSON or as a link is still recognised.
+
+const parsers = []
+
+// Add a parser: { name, parse(text) }. Pass { first: true } to try it before the built-in ones.
+export const registerPayloadParser = (parser, { first = false } = {}) => {
+  if (first) {
+    parsers.unshift(parser)
+  } else {
+    parsers.push(parser)
+  }
+}
+
+export const normalizeTicketId = (value) => String(value ?? '').trim()
+
+// Pick the first present key from `source` (case-insensitive)
+const pick = (source, keys) => {
+  const lowered = {}
+  Object.keys(source).forEach((key) => {
+    lowered[key.toLowerCase()] = source[key]
+  })
+  for (const key of keys) {
+    const value = lowered[key]
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      return String(value).trim()
+    }
+  }
+  return ''
+}
+
+const ID_KEYS = ['ticketid', 'ticket_id', 'tid', 'ticket', 'id', 'code', 't']
+const NAME_KEYS = ['name', 'holder', 'holdername', 'holder_name', 'attendee', 'guest', 'n']
+const SEAT_KEYS = ['seat', 'seatnumber', 'seat_number', 's']
+const EVENT_KEYS = ['event', 'eventid', 'event_id', 'evt', 'e']
+const TYPE_KEYS = ['tickettype', 'ticket_type', 'type', 'tier', 'typ']
+const ADMITS_KEYS = ['admits', 'party', 'partysize', 'party_size', 'groupsize', 'group_size', 'quantity', 'qty', 'pax']
+
+const fromObject = (source) => ({
+  ticketId: pick(source, ID_KEYS),
+  name: pick(source, NAME_KEYS),
+  seat: pick(source, SEAT_KEYS),
+  event: pick(source, EVENT_KEYS),
+  ticketType: pick(source, TYPE_KEYS),
+  admits: pick(source, ADMITS_KEYS),
+})
+
+// {"id":"ABC123","name":"Jane Doe","seat":"A12","event":"fest"}
+const jsonParser = {
+  name: 'json',
+  parse(text) {
+    if (!/^\s*\{/.test(text)) return null
+    try {
+      const data = JSON.parse(text)
+      // Some issuers nest the fields: {"ticket": {...}}
+      const source = data.ticket && typeof data.ticket === 'object' ? data.ticket : data
+      return fromObject(source)
+    } catch (err) {
+      return null
+    }
+  },
+}
+
+// https://tickets.example.com/t/ABC123?e=fest&n=Jane+Doe
+const urlParser = {
+  name: 'url',
+  parse(text) {
+    if (!/^https?:\/\//i.test(text.trim())) return null
+    let url
+    try {
+      url = new URL(text.trim())
+    } catch (err) {
+      return null
+    }
+
+    const params = Object.fromEntries(url.searchParams.entries())
+    const fields = fromObject(params)
+
+    // Ticket ID in the path: /t/<id>, /ticket/<id> or /tickets/<id>
+    const pathMatch = url.pathname.match(/\/(?:t|ticket|tickets)\/([^/]+)\/?$/i)
+    if (pathMatch) {
+      fields.ticketId = decodeURIComponent(pathMatch[1])
+    }
+    return fields.ticketId ? fields : null
+  },
+}
+
+// BEGIN:VCARD ... FN:Jane Doe ... UID:ABC123 ... END:VCARD
+const vcardParser = {
+  name: 'vcard',
+  parse(text) {
+    if (!/^\s*BEGIN:VCARD/i.test(text)) return null
+
+    const properties = {}
+    // Unfold continuation lines, then read NAME;params:value
+    text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/).forEach((line) => {
+      const match = line.match(/^([A-Za-z0-9-]+)(?:;[^:]*)?:(.*)$/)
+      if (match && !(match[1].toUpperCase() in properties)) {
+        properties[match[1].toUpperCase()] = match[2].trim()
+      }
+    })
+
+    const noteId = (properties.NOTE || '').match(/ticket[^A-Za-z0-9]*([A-Za-z0-9-]+)/i)
+    return {
+      ticketId: properties['X-TICKET-ID'] || properties.UID || (noteId ? noteId[1] : ''),
+      name: properties.FN || (properties.N || '').split(';').reverse().join(' ').trim(),
+      seat: properties['X-SEAT'] || '',
+      event: properties['X-EVENT'] || properties.ORG || '',
+      ticketType: properties['X-TICKET-TYPE'] || '',
+      admits: properties['X-ADMITS'] || '',
+    }
+  },
+}
+
+// Positional "ABC123|Jane Doe|A12|fest|VIP|5" or keyed "id=ABC123;name=Jane Doe".
+// Positional text needs the ticket ID, the name and at least one more field (which
+// may be empty), and no more fields than we know. Anything else, like "A,1", is a
+// plain ticket ID - otherwise "A,1" and "A,2" would both be ticket A.
+const DELIMITERS = ['|', ';', '\t', ',']
+const POSITIONAL_FIELDS = ['ticketId', 'name', 'seat', 'event', 'ticketType', 'admits']
+const MIN_POSITIONAL_FIELDS = 3
+
+const delimitedParser = {
+  name: 'delimited',
+  parse(text) {
+    const delimiter = DELIMITERS.find(candidate => text.includes(candidate))
+    if (!delimiter) return null
+
+    const parts = text.split(delimiter).map(part => part.trim())
+    if (parts.every(part => /^[^=]+=/.test(part))) {
+      return fromObject(Object.fromEntries(parts.map(part => {
+        const index = part.indexOf('=')
+        return [part.slice(0, index).trim(), part.slice(index + 1).trim()]
+      })))
+    }
+
+    const isPositional = parts.length >= MIN_POSITIONAL_FIELDS &&
+      parts.length <= POSITIONAL_FIELDS.length &&
+      parts[0] !== '' && parts[1] !== ''
+    if (!isPositional) return null
+
+    const fields = {}
+    POSITIONAL_FIELDS.forEach((field, index) => {
+      fields[field] = parts[index] || ''
+    })
+    return fields
+  },
+}
+
+registerPayloadParser(jsonParser)
+registerPayloadParser(urlParser)
+registerPayloadParser(vcardParser)
+registerPayloadParser(delimitedParser)
+
+// Parse decoded text into { format, ticketId, name, seat, event, ticketType, admits }
+export const parsePayload = (text) => {
+  for (const parser of parsers) {
+    const fields = parser.parse(text)
+    if (fields && normalizeTicketId(fields.ticketId)) {
+      return {
+        name: '',
+        seat: '',
+        event: '',
+        ticketType: '',
+        admits: '',
+        ...fields,
+        format: parser.name,
+        ticketId: normalizeTicketId(fields.ticketId),
+      }
+    }
+  }
+  return { format: 'raw', ticketId: normalizeTicketId(text), name: '', seat: '', event: '', ticketType: '', admits: '' }
+}
+
+// Holder details from verified signed-ticket claims, in the same shape
+export const parseClaims = (claims) => ({ ...fromObject(claims), format: 'signed' })
@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest'
+import { parsePayload } from './payloadParsers'
+
+describe('delimited payloads', () => {
+  it('reads positional and keyed fields', () => {
+    expect(parsePayload('ABC123|Jane Doe|A12|fest|VIP|5')).toMatchObject({
+      format: 'delimited', ticketId: 'ABC123', name: 'Jane Doe', seat: 'A12', event: 'fest', ticketType: 'VIP', admits: '5',
+    })
+    expect(parsePayload('G1|Smith party|||GA|4')).toMatchObject({ format: 'delimited', ticketId: 'G1', admits: '4' })
+    expect(parsePayload('id=ABC123;name=Jane Doe')).toMatchObject({ format: 'delimited', ticketId: 'ABC123', name: 'Jane Doe' })
+  })
+
+  it('keeps codes that only contain a delimiter as distinct plain IDs', () => {
+    expect(parsePayload('A,1')).toMatchObject({ format: 'raw', ticketId: 'A,1' })
+    expect(parsePayload('A,2').ticketId).not.toBe(parsePayload('A,1').ticketId)
+    expect(parsePayload('A,,1').format).toBe('raw')
+    expect(parsePayload('1,2,3,4,5,6,7').format).toBe('raw')
+  })
+})
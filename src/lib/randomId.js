@@ -0,0 +1,22 @@
+// Random identifiers for devices, queued webhook events and camera incidents.
+// crypto.randomUUID only exists in secure contexts (HTTPS or localhost), and gate
+// phones are often opened on a LAN IP over plain HTTP, so fall back to
+// crypto.getRandomValues, which is available everywhere.
+
+const toUuid = (bytes) => {
+  bytes[6] = (bytes[6] & 0x0f) | 0x40 // version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80 // RFC 4122 variant
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`
+}
+
+// Random version 4 UUID
+export const randomId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID()
+  }
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return toUuid(crypto.getRandomValues(new Uint8Array(16)))
+  }
+  return toUuid(Uint8Array.from({ length: 16 }, () => Math.floor(Math.random() * 256)))
+}
@@ -0,0 +1,20 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { randomId } from './randomId'
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/
+
+describe('randomId', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('makes UUIDs without crypto.randomUUID, as on a plain-HTTP page', () => {
+    vi.stubGlobal('crypto', { getRandomValues: bytes => bytes.map((_, index) => index * 17) })
+    expect(randomId()).toMatch(UUID)
+
+    vi.stubGlobal('crypto', undefined)
+    const ids = new Set(Array.from({ length: 20 }, randomId))
+    ids.forEach(id => expect(id).toMatch(UUID))
+    expect(ids.size).toBe(20)
+  })
+})
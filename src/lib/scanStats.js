@@ -0,0 +1,76 @@
+// Throughput statistics computed from the scan log.
+
+const MINUTE = 60 * 1000
+
+// Statuses that let someone in, and rejections that count as duplicates
+const ADMITTED_STATUSES = ['success', 'reentry', 'forced', 'group-entry']
+const DUPLICATE_STATUSES = ['duplicate']
+
+// Supervisor corrections logged alongside scans
+const CORRECTION_STATUSES = ['undo-admission', 'void-ticket']
+
+// records - scan log entries ({ status, scannedAt, admittedCount }), oldest first
+// now - current time (ms)
+// windowMinutes - length of the per-minute chart
+export const computeScanStats = (records, now, { windowMinutes = 30 } = {}) => {
+  // Debounced repeats are camera noise and corrections aren't people at the gate
+  const scans = records.filter(record => record.status !== 'debounced' && !CORRECTION_STATUSES.includes(record.status))
+
+  // People, not scans: a group ticket scan lets in `admittedCount` (older records lack it and admitted one)
+  const admissions = scans.filter(record => ADMITTED_STATUSES.includes(record.status))
+  const admitted = admissions.reduce((sum, record) => sum + (record.admittedCount ?? 1), 0)
+  const duplicates = scans.filter(record => DUPLICATE_STATUSES.includes(record.status)).length
+  const rejected = scans.length - admissions.length - duplicates - scans.filter(record => record.status === 'exit').length
+
+  // Scans per minute for the chart, oldest bucket first
+  const currentMinute = Math.floor(now / MINUTE)
+  const perMinute = Array.from({ length: windowMinutes }, (_, index) => ({
+    minute: (currentMinute - windowMinutes + 1 + index) * MINUTE,
+    count: 0,
+  }))
+  scans.forEach((record) => {
+    const index = Math.floor(record.scannedAt / MINUTE) - (currentMinute - windowMinutes + 1)
+    if (index >= 0 && index < windowMinutes) {
+      perMinute[index].count += 1
+    }
+  })
+
+  // Peak over the whole log, not just the chart window
+  const countsByMinute = new Map()
+  scans.forEach((record) => {
+    const minute = Math.floor(record.scannedAt / MINUTE)
+    countsByMinute.set(minute, (countsByMinute.get(minute) || 0) + 1)
+  })
+  let peakRate = 0
+  let peakMinute = null
+  countsByMinute.forEach((count, minute) => {
+    if (count > peakRate) {
+      peakRate = count
+      peakMinute = minute * MINUTE
+    }
+  })
+
+  // Average gap between consecutive scans
+  let avgInterval = null
+  if (scans.length > 1) {
+    const first = scans[0].scannedAt
+    const last = scans[scans.length - 1].scannedAt
+    avgInterval = (last - first) / (scans.length - 1)
+  }
+
+  // Rate over the last five minutes, smoother than the current partial minute
+  const recent = scans.filter(record => record.scannedAt > now - 5 * MINUTE).length
+  const currentRate = recent / 5
+
+  return {
+    total: scans.length,
+    admitted,
+    duplicates,
+    rejected,
+    perMinute,
+    peakRate,
+    peakMinute,
+    avgInterval,
+    currentRate,
+  }
+}
@@ -0,0 +1,19 @@
+import { describe, expect, it } from 'vitest'
+import { computeScanStats } from './scanStats'
+
+describe('computeScanStats', () => {
+  it('counts people let in, with group tickets adding their party', () => {
+    const records = [
+      { status: 'success', scannedAt: 1000 },
+      { status: 'success', scannedAt: 2000, admittedCount: 3 },
+      { status: 'group-entry', scannedAt: 3000, admittedCount: 2 },
+      { status: 'duplicate', scannedAt: 4000, admittedCount: 0 },
+      { status: 'invalid', scannedAt: 5000, admittedCount: 0 },
+      { status: 'undo-admission', scannedAt: 6000 },
+    ]
+    const stats = computeScanStats(records, 10000)
+    expect(stats.admitted).toBe(6)
+    expect(stats.duplicates).toBe(1)
+    expect(stats.rejected).toBe(1)
+  })
+})
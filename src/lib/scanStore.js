@@ -0,0 +1,378 @@
+// Persistent scan storage backed by IndexedDB.
+// Keeps every accepted and duplicate scan so a reload, crash or killed tab
+// doesn't let an already admitted ticket back in. Also holds the imported
+// ticket manifest, the used-ticket set shared between gates, the queue of
+// admissions still to be sent to other gates, whether each ticket is
+// currently inside or outside the venue, the webhook delivery queue and
+// supervisor overrides (voided tickets, undone admissions) and camera incidents.
+// Every event session has its own database - see eventSessions.js. The scanner
+// opens its session's store once and keeps using it, so work still finishing
+// after a switch to another event lands in the event it belongs to.
+
+import { getDeviceId } from './deviceId'
+import { sessionDatabaseName } from './eventSessions'
+
+const DB_VERSION = 7
+const SCANS_STORE = 'scans'
+const MANIFEST_STORE = 'manifest'
+const ADMISSIONS_STORE = 'admissions'
+const OUTBOX_STORE = 'outbox'
+const PRESENCE_STORE = 'presence'
+const WEBHOOK_STORE = 'webhooks'
+const VOIDS_STORE = 'voids'
+const UNDONE_STORE = 'undoneAdmissions'
+const INCIDENTS_STORE = 'cameraIncidents'
+
+// Current shape of a stored scan record
+// 1 - { code, status, scannedAt }
+// 2 - adds ticketId, deviceId, gateId
+// 3 - adds source, camera, format (audit fields)
+// 4 - adds validation: 'local', 'online' or 'fallback' (online check timed out, needs reconciliation)
+// 5 - adds reason (why a ticket was rejected, or the supervisor's reason for an override)
+// 6 - adds admittedCount (people let in by the scan; more than one for group tickets)
+export const RECORD_VERSION = 6
+
+// One entry per database version. onupgradeneeded runs every step between the
+// stored version and DB_VERSION, so existing data is carried forward instead of
+// being dropped. Never edit a shipped step - add a new one.
+const MIGRATIONS = {
+  1: (db) => {
+    const scans = db.createObjectStore(SCANS_STORE, { keyPath: 'id', autoIncrement: true })
+    scans.createIndex('code', 'code', { unique: false })
+    scans.createIndex('scannedAt', 'scannedAt', { unique: false })
+  },
+  2: (db) => {
+    db.createObjectStore(MANIFEST_STORE, { keyPath: 'ticketId' })
+  },
+  3: (db, tx) => {
+    db.createObjectStore(ADMISSIONS_STORE, { keyPath: 'ticketId' })
+    db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true })
+
+    // Backfill the used-ticket set from admitted scans and queue them for
+    // other gates. The cursor walks oldest first, so the earliest scan wins.
+    const admissions = tx.objectStore(ADMISSIONS_STORE)
+    const outbox = tx.objectStore(OUTBOX_STORE)
+    const seen = new Set()
+    const deviceId = getDeviceId()
+    tx.objectStore(SCANS_STORE).openCursor().onsuccess = (event) => {
+      const cursor = event.target.result
+      if (!cursor) return
+      const record = upgradeRecord(cursor.value)
+      if (record.status === 'success' && !seen.has(record.ticketId)) {
+        seen.add(record.ticketId)
+        const admission = { ticketId: record.ticketId, scannedAt: record.scannedAt, deviceId, gateId: null }
+        admissions.put(admission)
+        outbox.add(admission)
+      }
+      cursor.continue()
+    }
+  },
+  4: (db) => {
+    // No backfill: admitted tickets without a presence record count as inside
+    db.createObjectStore(PRESENCE_STORE, { keyPath: 'ticketId' })
+  },
+  5: (db) => {
+    // No backfill: scans from before the integration was configured are not posted
+    db.createObjectStore(WEBHOOK_STORE, { keyPath: 'id' })
+  },
+  6: (db) => {
+    db.createObjectStore(VOIDS_STORE, { keyPath: 'ticketId' })
+    db.createObjectStore(UNDONE_STORE, { keyPath: 'ticketId' })
+  },
+  7: (db) => {
+    const incidents = db.createObjectStore(INCIDENTS_STORE, { keyPath: 'id' })
+    incidents.createIndex('detectedAt', 'detectedAt', { unique: false })
+  },
+}
+
+// Bring a record written by an older build up to RECORD_VERSION
+const upgradeRecord = (record) => {
+  const upgraded = { ...record }
+  if (!upgraded.version) {
+    upgraded.version = 1
+  }
+  if (upgraded.version < 2) {
+    upgraded.ticketId = upgraded.ticketId || upgraded.code
+    upgraded.deviceId = upgraded.deviceId || null
+    upgraded.gateId = upgraded.gateId || null
+    upgraded.version = 2
+  }
+  if (upgraded.version < 3) {
+    upgraded.source = upgraded.source || 'camera'
+    upgraded.camera = upgraded.camera || null
+    upgraded.format = upgraded.format || null
+    upgraded.version = 3
+  }
+  if (upgraded.version < 4) {
+    upgraded.validation = upgraded.validation || 'local'
+    upgraded.version = 4
+  }
+  if (upgraded.version < 5) {
+    upgraded.reason = upgraded.reason || null
+    upgraded.version = 5
+  }
+  if (upgraded.version < 6) {
+    upgraded.admittedCount = ['success', 'reentry', 'forced'].includes(upgraded.status) ? 1 : 0
+    upgraded.version = 6
+  }
+  return upgraded
+}
+
+const connections = new Map() // database name -> Promise<IDBDatabase>
+const openStores = new Map() // database name -> number of open session stores
+
+const openNamedDatabase = (name) => {
+  if (connections.has(name)) return connections.get(name)
+
+  const dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error("IndexedDB not available"))
+      return
+    }
+
+    const request = indexedDB.open(name, DB_VERSION)
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result
+      const tx = request.transaction
+      for (let version = event.oldVersion + 1; version <= DB_VERSION; version++) {
+        console.log("Migrating scan store to version", version)
+        MIGRATIONS[version](db, tx)
+      }
+    }
+
+    request.onsuccess = () => {
+      const db = request.result
+      // Another tab upgraded the schema - let it proceed and reopen lazily
+      db.onversionchange = () => {
+        db.close()
+        connections.delete(name)
+      }
+      resolve(db)
+    }
+
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => console.warn("Scan store upgrade blocked by another open tab")
+  })
+
+  connections.set(name, dbPromise)
+
+  // Allow a later call to retry if opening failed
+  dbPromise.catch(() => {
+    connections.delete(name)
+  })
+
+  return dbPromise
+}
+
+const closeDatabase = (name) => {
+  const dbPromise = connections.get(name)
+  if (!dbPromise) return
+  connections.delete(name)
+  // Running transactions finish before the connection closes
+  dbPromise.then(db => db.close()).catch(() => {})
+}
+
+// Scan log of any session, without switching to it (for exporting past events)
+export const loadSessionScans = async (sessionId) => {
+  const db = await openNamedDatabase(sessionDatabaseName(sessionId))
+  const records = await new Promise((resolve, reject) => {
+    const request = db.transaction(SCANS_STORE, 'readonly').objectStore(SCANS_STORE).index('scannedAt').getAll()
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+  if (!openStores.has(sessionDatabaseName(sessionId))) {
+    closeDatabase(sessionDatabaseName(sessionId))
+  }
+  return records.map(upgradeRecord)
+}
+
+// Delete a session's database. Never call this for a session whose store is open.
+export const deleteSessionDatabase = (sessionId) => {
+  const name = sessionDatabaseName(sessionId)
+  closeDatabase(name)
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(name)
+    request.onsuccess = () => resolve()
+    request.onerror = () => reject(request.error)
+    request.onblocked = () => console.warn("Session database delete blocked by another open tab")
+  })
+}
+
+// Run requests against one object store and resolve once the transaction commits
+const runTransaction = async (name, storeName, mode, action) => {
+  const db = await openNamedDatabase(name)
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode)
+    const request = action(tx.objectStore(storeName))
+    tx.oncomplete = () => resolve(request ? request.result : undefined)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// Store functions bound to one event session's database, for the lifetime of a
+// scanner instance. `retain()` marks the database as in use and returns a
+// function that releases it; the connection closes once nothing uses it.
+export const openSessionStore = (sessionId) => {
+  const name = sessionDatabaseName(sessionId)
+  const run = (storeName, mode, action) => runTransaction(name, storeName, mode, action)
+
+  // Load all stored scans, oldest first
+  const loadScans = async () => {
+    const records = await run(SCANS_STORE, 'readonly', (store) => store.index('scannedAt').getAll())
+    return records.map(upgradeRecord)
+  }
+
+  // Save a scan attempt: { code, ticketId, status, scannedAt, deviceId, gateId, source, camera, format, validation, reason, admittedCount }
+  const saveScan = (record) => {
+    return run(SCANS_STORE, 'readwrite', (store) => store.add({ ...record, version: RECORD_VERSION }))
+  }
+
+  // Load the imported ticket manifest
+  const loadManifest = () => {
+    return run(MANIFEST_STORE, 'readonly', (store) => store.getAll())
+  }
+
+  // Replace the stored manifest with `tickets`. An empty list clears it.
+  const saveManifest = (tickets) => {
+    return run(MANIFEST_STORE, 'readwrite', (store) => {
+      store.clear()
+      tickets.forEach(ticket => store.put(ticket))
+    })
+  }
+
+  // Load the used-ticket set: one earliest admission per ticket, from any gate
+  const loadAdmissions = () => {
+    return run(ADMISSIONS_STORE, 'readonly', (store) => store.getAll())
+  }
+
+  // Store admissions ({ ticketId, scannedAt, deviceId, gateId }, plus groupSize and
+  // entries for group tickets - see groupTickets.js). Callers resolve
+  // conflicts first - the record passed in replaces any stored one.
+  const saveAdmissions = (admissions) => {
+    return run(ADMISSIONS_STORE, 'readwrite', (store) => {
+      admissions.forEach(admission => store.put(admission))
+    })
+  }
+
+  // Forget an admission undone by a supervisor
+  const removeAdmission = (ticketId) => {
+    return run(ADMISSIONS_STORE, 'readwrite', (store) => store.delete(ticketId))
+  }
+
+  // Queue an admission, presence change or override to be sent to other gates
+  const queueOutbox = (record) => {
+    return run(OUTBOX_STORE, 'readwrite', (store) => store.add(record))
+  }
+
+  // Load queued records, oldest first, with their outbox `id`
+  const loadOutbox = () => {
+    return run(OUTBOX_STORE, 'readonly', (store) => store.getAll())
+  }
+
+  // Drop delivered records from the outbox
+  const removeFromOutbox = (ids) => {
+    return run(OUTBOX_STORE, 'readwrite', (store) => {
+      ids.forEach(id => store.delete(id))
+    })
+  }
+
+  // Load in/out state: { ticketId, state: 'inside' | 'outside', changedAt, deviceId }.
+  // Records from before presence was synced have no deviceId.
+  const loadPresence = () => {
+    return run(PRESENCE_STORE, 'readonly', (store) => store.getAll())
+  }
+
+  const savePresence = (presence) => {
+    return run(PRESENCE_STORE, 'readwrite', (store) => store.put(presence))
+  }
+
+  const removePresence = (ticketId) => {
+    return run(PRESENCE_STORE, 'readwrite', (store) => store.delete(ticketId))
+  }
+
+  // Load queued webhook deliveries: { id, event, attempts, nextAttemptAt, lastError }
+  const loadWebhooks = () => {
+    return run(WEBHOOK_STORE, 'readonly', (store) => store.getAll())
+  }
+
+  // Add or update a queued webhook delivery
+  const saveWebhook = (delivery) => {
+    return run(WEBHOOK_STORE, 'readwrite', (store) => store.put(delivery))
+  }
+
+  // Drop a delivered webhook
+  const removeWebhook = (id) => {
+    return run(WEBHOOK_STORE, 'readwrite', (store) => store.delete(id))
+  }
+
+  // Load voided tickets: { ticketId, voidedAt, reason, deviceId }
+  const loadVoids = () => {
+    return run(VOIDS_STORE, 'readonly', (store) => store.getAll())
+  }
+
+  const saveVoid = (voided) => {
+    return run(VOIDS_STORE, 'readwrite', (store) => store.put(voided))
+  }
+
+  // Load undone admissions: { ticketId, scannedAt, deviceId } - the admission a supervisor
+  // took back here or at another gate, so the same record echoed by gate sync isn't applied again
+  const loadUndoneAdmissions = () => {
+    return run(UNDONE_STORE, 'readonly', (store) => store.getAll())
+  }
+
+  const saveUndoneAdmission = (undone) => {
+    return run(UNDONE_STORE, 'readwrite', (store) => store.put(undone))
+  }
+
+  // Load camera incidents found by the watchdog, oldest first:
+  // { id, kind, detectedAt, attempts, outcome, resolvedAt, camera, deviceId, gateId }
+  const loadIncidents = () => {
+    return run(INCIDENTS_STORE, 'readonly', (store) => store.index('detectedAt').getAll())
+  }
+
+  // Add an incident, or record its outcome once the camera is back (or given up on)
+  const saveIncident = (incident) => {
+    return run(INCIDENTS_STORE, 'readwrite', (store) => store.put(incident))
+  }
+
+  const retain = () => {
+    openStores.set(name, (openStores.get(name) || 0) + 1)
+    return () => {
+      const users = openStores.get(name) - 1
+      if (users > 0) {
+        openStores.set(name, users)
+        return
+      }
+      openStores.delete(name)
+      closeDatabase(name)
+    }
+  }
+
+  return {
+    loadScans,
+    saveScan,
+    loadManifest,
+    saveManifest,
+    loadAdmissions,
+    saveAdmissions,
+    removeAdmission,
+    queueOutbox,
+    loadOutbox,
+    removeFromOutbox,
+    loadPresence,
+    savePresence,
+    removePresence,
+    loadWebhooks,
+    saveWebhook,
+    removeWebhook,
+    loadVoids,
+    saveVoid,
+    loadUndoneAdmissions,
+    saveUndoneAdmission,
+    loadIncidents,
+    saveIncident,
+    retain,
+  }
+}
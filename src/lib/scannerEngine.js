@@ -0,0 +1,167 @@
+// Camera scanner lifecycle on top of html5-qrcode, independent of React.
+// Starts the decoder on the best available camera, reports decoded codes and
+// state changes through callbacks, and serialises start / stop / restart so a
+// restart never races a start that is still opening the camera.
+
+import { Html5Qrcode } from 'html5-qrcode'
+import { getDecoderConfig } from './barcodeFormats'
+
+// 'idle' - no camera open, 'starting' - opening the camera,
+// 'running' - decoding frames, 'stopping' - releasing the camera
+export const SCANNER_STATES = ['idle', 'starting', 'running', 'stopping']
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+const FRONT_CAMERA = { source: { facingMode: "user" }, label: "user camera" }
+
+// Cameras to try, in order - html5-qrcode accepts a camera ID string or constraints object.
+// The front camera is the last resort, or the first choice when `facingMode` is 'user' (kiosks).
+const getCameraAttempts = (cameraId, facingMode) => {
+  const attempts = [
+    cameraId && { source: cameraId, label: "selected camera" },
+    { source: { facingMode: "environment" }, label: "back camera" },
+    { source: "environment", label: "string format" },
+  ].filter(Boolean)
+  return facingMode === 'user' ? [FRONT_CAMERA, ...attempts] : [...attempts, FRONT_CAMERA]
+}
+
+// elementId - container html5-qrcode renders the video into
+// getOptions() - { fps, qrbox, barcodeFormats, cameraId, facingMode }, read on every start
+// beforeStart() - optional, awaited before the camera opens; throwing aborts the start
+// onDecode(decodedText, decodedResult) - every decoded frame, not debounced
+// onStateChange(state) - one of SCANNER_STATES
+// onError(error) - the camera could not be started
+export const createScannerEngine = ({
+  elementId,
+  getOptions,
+  beforeStart = null,
+  onDecode,
+  onStateChange = () => {},
+  onError = () => {},
+  startDelay = 100,
+}) => {
+  let scanner = null
+  let state = 'idle'
+  let queue = Promise.resolve()
+  let lastFrameAt = 0 // When the decoder last reported a frame, with or without a code
+
+  const setState = (next) => {
+    if (next === state) return
+    state = next
+    onStateChange(next)
+  }
+
+  // Run lifecycle steps one after another
+  const enqueue = (task) => {
+    const run = queue.then(task)
+    queue = run.catch(() => {})
+    return run
+  }
+
+  // Stop and remove the decoder, ignoring a camera that already went away
+  const release = async () => {
+    const current = scanner
+    scanner = null
+    if (!current) return
+    try {
+      if (current.isScanning) {
+        await current.stop()
+      }
+      await current.clear()
+    } catch (err) {
+      console.log("Error cleaning up scanner:", err)
+    }
+  }
+
+  // Resolves to true once running, false when the camera could not be started
+  const open = async () => {
+    if (state === 'running') return true
+    setState('starting')
+    try {
+      if (beforeStart) {
+        await beforeStart()
+      }
+      const { fps, qrbox, barcodeFormats, cameraId, facingMode } = getOptions()
+
+      // Only the enabled barcode formats are decoded, natively where the browser supports it
+      scanner = new Html5Qrcode(elementId, getDecoderConfig(barcodeFormats))
+      const config = { fps, qrbox, aspectRatio: 1.0, disableFlip: false }
+      console.log("Starting QR scanner with config:", config)
+
+      // Small delay to ensure DOM is ready
+      await wait(startDelay)
+
+      let lastCameraError = null
+      for (const attempt of getCameraAttempts(cameraId, facingMode)) {
+        try {
+          await scanner.start(
+            attempt.source,
+            config,
+            (decodedText, decodedResult) => {
+              lastFrameAt = Date.now()
+              onDecode(decodedText, decodedResult)
+            },
+            (errorMessage) => {
+              lastFrameAt = Date.now()
+              // Frames without a code are expected, anything else is only logged
+              if (!String(errorMessage).includes("NotFoundException")) {
+                console.log("Scan error (ignored):", errorMessage)
+              }
+            }
+          )
+          console.log(`QR scanner started with ${attempt.label}`)
+          lastCameraError = null
+          break
+        } catch (cameraError) {
+          console.log(`Starting with ${attempt.label} failed:`, cameraError)
+          lastCameraError = cameraError
+        }
+      }
+      if (lastCameraError) {
+        throw lastCameraError
+      }
+
+      lastFrameAt = Date.now()
+      setState('running')
+      return true
+    } catch (err) {
+      console.error("Scanner error:", err)
+      await release()
+      setState('idle')
+      onError(err instanceof Error ? err : new Error(String(err)))
+      return false
+    }
+  }
+
+  const close = async () => {
+    if (!scanner) {
+      setState('idle')
+      return
+    }
+    setState('stopping')
+    await release()
+    setState('idle')
+  }
+
+  return {
+    start: () => enqueue(open),
+
+    stop: () => enqueue(close),
+
+    // Close the camera and open it again with the current options.
+    // `delay` gives the browser time to release the old camera first.
+    restart: ({ delay = 0 } = {}) => enqueue(async () => {
+      await close()
+      if (delay > 0) await wait(delay)
+      return open()
+    }),
+
+    getState: () => state,
+
+    // Time of the last scanned frame - stops moving when the decode loop stalls
+    getLastFrameAt: () => lastFrameAt,
+
+    // The running Html5Qrcode instance (torch, zoom), null when stopped
+    getScanner: () => (state === 'running' ? scanner : null),
+  }
+}
@@ -0,0 +1,235 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createScannerEngine } from './scannerEngine'
+import { decideAdmission, isDebounced } from './admission'
+
+// Stand-in for html5-qrcode: records every instance and lets a test feed decoded codes
+const scanners = vi.hoisted(() => [])
+
+vi.mock('html5-qrcode', async (importOriginal) => {
+  const original = await importOriginal()
+
+  class FakeHtml5Qrcode {
+    static failingSources = []
+
+    constructor(elementId, config) {
+      this.elementId = elementId
+      this.config = config
+      this.isScanning = false
+      this.startedWith = null
+      this.stop = vi.fn(async () => {
+        this.isScanning = false
+      })
+      this.clear = vi.fn()
+      scanners.push(this)
+    }
+
+    async start(source, config, onSuccess) {
+      if (FakeHtml5Qrcode.failingSources.includes(JSON.stringify(source))) {
+        throw new Error('NotReadableError: camera busy')
+      }
+      this.startedWith = source
+      this.scanConfig = config
+      this.onSuccess = onSuccess
+      this.isScanning = true
+    }
+
+    // Simulate the decoder finding a code in the current frame
+    decode(text) {
+      this.onSuccess(text, { decodedText: text, result: { format: { formatName: 'QR_CODE' } } })
+    }
+  }
+
+  return { ...original, Html5Qrcode: FakeHtml5Qrcode }
+})
+
+const { Html5Qrcode } = await import('html5-qrcode')
+
+const OPTIONS = { fps: 10, qrbox: { width: 250, height: 250 }, barcodeFormats: ['QR_CODE'], cameraId: '' }
+
+const createEngine = (overrides = {}) => {
+  const events = { decodes: [], states: [], errors: [] }
+  const engine = createScannerEngine({
+    elementId: 'reader',
+    getOptions: () => OPTIONS,
+    onDecode: (text, result) => events.decodes.push({ text, result }),
+    onStateChange: state => events.states.push(state),
+    onError: err => events.errors.push(err),
+    ...overrides,
+  })
+  return { engine, events }
+}
+
+// Lifecycle calls wait on setTimeout, so let the fake clock run while they settle
+const settle = async (promise) => {
+  await vi.runAllTimersAsync()
+  return promise
+}
+
+beforeEach(() => {
+  vi.useFakeTimers()
+  vi.setSystemTime(new Date('2026-06-01T18:00:00Z'))
+  vi.spyOn(console, 'log').mockImplementation(() => {})
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+  scanners.length = 0
+  Html5Qrcode.failingSources = []
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.restoreAllMocks()
+})
+
+describe('createScannerEngine', () => {
+  it('starts on the back camera and reports state changes', async () => {
+    const { engine, events } = createEngine()
+    await expect(settle(engine.start())).resolves.toBe(true)
+
+    expect(events.states).toEqual(['starting', 'running'])
+    expect(engine.getState()).toBe('running')
+    expect(scanners).toHaveLength(1)
+    expect(scanners[0].elementId).toBe('reader')
+    expect(scanners[0].startedWith).toEqual({ facingMode: 'environment' })
+    expect(scanners[0].scanConfig).toMatchObject({ fps: 10, qrbox: { width: 250, height: 250 } })
+    expect(engine.getScanner()).toBe(scanners[0])
+  })
+
+  it('prefers the selected camera and falls back when it fails', async () => {
+    Html5Qrcode.failingSources = [JSON.stringify('cam-2')]
+    const { engine } = createEngine({ getOptions: () => ({ ...OPTIONS, cameraId: 'cam-2' }) })
+    await settle(engine.start())
+    expect(scanners[0].startedWith).toEqual({ facingMode: 'environment' })
+  })
+
+  it('tries the front camera first for kiosks, then the back camera', async () => {
+    const { engine } = createEngine({ getOptions: () => ({ ...OPTIONS, facingMode: 'user' }) })
+    await settle(engine.start())
+    expect(scanners[0].startedWith).toEqual({ facingMode: 'user' })
+
+    Html5Qrcode.failingSources = [JSON.stringify({ facingMode: 'user' })]
+    await settle(engine.restart())
+    expect(scanners[1].startedWith).toEqual({ facingMode: 'environment' })
+  })
+
+  it('reports an error and returns to idle when no camera starts', async () => {
+    Html5Qrcode.failingSources = [
+      JSON.stringify({ facingMode: 'environment' }),
+      JSON.stringify('environment'),
+      JSON.stringify({ facingMode: 'user' }),
+    ]
+    const { engine, events } = createEngine()
+    await expect(settle(engine.start())).resolves.toBe(false)
+
+    expect(events.states).toEqual(['starting', 'idle'])
+    expect(events.errors).toHaveLength(1)
+    expect(events.errors[0].message).toMatch(/camera busy/)
+    expect(scanners[0].clear).toHaveBeenCalled()
+    expect(engine.getScanner()).toBeNull()
+  })
+
+  it('aborts the start when beforeStart throws', async () => {
+    const { engine, events } = createEngine({
+      beforeStart: async () => { throw new Error('Scanner container not found.') },
+    })
+    await expect(settle(engine.start())).resolves.toBe(false)
+    expect(scanners).toHaveLength(0)
+    expect(events.errors[0].message).toBe('Scanner container not found.')
+  })
+
+  it('passes every decoded frame to onDecode', async () => {
+    const { engine, events } = createEngine()
+    await settle(engine.start())
+    scanners[0].decode('T1')
+    scanners[0].decode('T1')
+    expect(events.decodes.map(decode => decode.text)).toEqual(['T1', 'T1'])
+    expect(events.decodes[0].result.result.format.formatName).toBe('QR_CODE')
+  })
+
+  it('stops and clears the decoder', async () => {
+    const { engine, events } = createEngine()
+    await settle(engine.start())
+    await settle(engine.stop())
+
+    expect(scanners[0].stop).toHaveBeenCalledTimes(1)
+    expect(scanners[0].clear).toHaveBeenCalledTimes(1)
+    expect(events.states).toEqual(['starting', 'running', 'stopping', 'idle'])
+    expect(engine.getScanner()).toBeNull()
+  })
+
+  it('restarts on a fresh decoder with the current options', async () => {
+    let fps = 10
+    const { engine, events } = createEngine({ getOptions: () => ({ ...OPTIONS, fps }) })
+    await settle(engine.start())
+
+    fps = 15
+    await expect(settle(engine.restart({ delay: 500 }))).resolves.toBe(true)
+
+    expect(scanners).toHaveLength(2)
+    expect(scanners[0].stop).toHaveBeenCalled()
+    expect(scanners[1].scanConfig.fps).toBe(15)
+    expect(engine.getScanner()).toBe(scanners[1])
+    expect(events.states).toEqual(['starting', 'running', 'stopping', 'idle', 'starting', 'running'])
+  })
+
+  it('waits for a start in progress before restarting', async () => {
+    const { engine } = createEngine()
+    const started = engine.start()
+    const restarted = engine.restart()
+    await settle(Promise.all([started, restarted]))
+
+    expect(scanners).toHaveLength(2)
+    expect(scanners[0].stop).toHaveBeenCalledTimes(1)
+    expect(scanners[1].isScanning).toBe(true)
+  })
+})
+
+describe('scanner engine with admission rules', () => {
+  // The same wiring App uses: camera decodes go through the debounce, then the admission rules
+  const createGate = ({ debounceTime = 2000 } = {}) => {
+    const state = { manifest: new Map(), admissions: new Map(), presence: new Map(), voids: new Map() }
+    const results = []
+    let lastScan = { code: null, timestamp: 0 }
+
+    const onDecode = (code) => {
+      const now = Date.now()
+      if (isDebounced({ code, source: 'camera', now }, lastScan, debounceTime)) {
+        results.push('debounced')
+        return
+      }
+      lastScan = { code, timestamp: now }
+      const { status } = decideAdmission({ ticketId: code }, state, { gateMode: 'entry', gateZone: '', zoneAccess: {} })
+      if (status === 'success') {
+        state.admissions.set(code, { ticketId: code, scannedAt: now })
+      }
+      results.push(status)
+    }
+    return { onDecode, results }
+  }
+
+  it('debounces a held-up ticket, then flags it as a duplicate', async () => {
+    const gate = createGate()
+    const { engine } = createEngine({ onDecode: text => gate.onDecode(text) })
+    await settle(engine.start())
+
+    scanners[0].decode('T1')
+    vi.advanceTimersByTime(100)
+    scanners[0].decode('T1') // Same frame burst
+    vi.advanceTimersByTime(2500)
+    scanners[0].decode('T1') // Shown again later
+
+    expect(gate.results).toEqual(['success', 'debounced', 'duplicate'])
+  })
+
+  it('keeps used tickets across a camera restart', async () => {
+    const gate = createGate()
+    const { engine } = createEngine({ onDecode: text => gate.onDecode(text) })
+    await settle(engine.start())
+    scanners[0].decode('T1')
+
+    await settle(engine.restart({ delay: 500 }))
+    vi.advanceTimersByTime(2000)
+    scanners[1].decode('T1')
+    scanners[1].decode('T2')
+
+    expect(gate.results).toEqual(['success', 'duplicate', 'success'])
+  })
+})
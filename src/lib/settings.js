@@ -0,0 +1,168 @@
+// Scanner settings, persisted per device and event session in localStorage.
+
+import { GATE_MODES } from './gateModes'
+import { DEFAULT_ZONE_ACCESS, normalizeZoneAccess } from './zones'
+import { DEFAULT_BARCODE_FORMATS, normalizeBarcodeFormats } from './barcodeFormats'
+import { DEFAULT_SESSION_ID, sessionSettingsKey } from './eventSessions'
+
+export const DEFAULT_SETTINGS = {
+  debounceTime: 2000, // Ignore the same code for this long (ms)
+  fps: 10, // Decode attempts per second
+  qrboxPercent: 80, // Scan box size as % of the smaller screen dimension
+  qrboxMin: 200, // Scan box size limits (px)
+  qrboxMax: 300,
+  resultDuration: 2000, // How long the result card stays up (ms)
+  soundEnabled: true,
+  successTone: 800, // Hz, second beep is 25% higher
+  duplicateTone: 600, // Hz, played as two equal beeps
+  errorTone: 400, // Hz
+  vibrationEnabled: true,
+  successVibration: [100, 50, 100], // navigator.vibrate patterns (ms)
+  duplicateVibration: [60, 60, 60, 60, 60, 60, 60],
+  errorVibration: [200, 100, 200],
+  zoneVibration: [80, 80, 80, 80, 300], // Wrong-zone ticket
+  flashEnabled: true, // Full-screen flash with symbol for each result
+  highContrast: false, // Colour-blind safe, high-contrast result colours
+  speechEnabled: false, // Speak the result ("VIP, welcome", "Already used")
+  barcodeFormats: DEFAULT_BARCODE_FORMATS, // Enabled formats - see barcodeFormats.js
+  cameraId: '', // Camera picked by the operator, empty for the automatic back-camera choice
+  gateMode: 'entry', // 'entry', 'exit' or 'reentry' - see gateModes.js
+  onlineValidation: true, // Ask the validation endpoint first, when one is configured
+  validationTimeout: 1500, // Fall back to the local check after this long (ms)
+  gateZone: '', // Zone this entrance leads to, empty for no ticket type restriction
+  zoneAccess: DEFAULT_ZONE_ACCESS, // zone -> ticket types allowed in
+}
+
+// Settings that require restarting the running Html5Qrcode instance
+export const SCANNER_SETTING_KEYS = ['fps', 'qrboxPercent', 'qrboxMin', 'qrboxMax', 'cameraId', 'barcodeFormats']
+
+// Preset ID -> { labelKey (message key of its name, see locales/), settings }
+export const PRESETS = {
+  'high-volume': {
+    labelKey: 'settings.preset.high-volume',
+    settings: {
+      debounceTime: 1500,
+      fps: 15,
+      qrboxPercent: 85,
+      qrboxMin: 220,
+      qrboxMax: 340,
+      resultDuration: 1200,
+      successVibration: [80],
+      errorVibration: [250, 100, 250],
+    },
+  },
+  vip: {
+    labelKey: 'settings.preset.vip',
+    settings: {
+      debounceTime: 3000,
+      fps: 10,
+      qrboxPercent: 70,
+      qrboxMin: 200,
+      qrboxMax: 280,
+      resultDuration: 4000,
+      successVibration: [100, 50, 100],
+      errorVibration: [200, 100, 200],
+    },
+  },
+  'low-light': {
+    labelKey: 'settings.preset.low-light',
+    settings: {
+      debounceTime: 2000,
+      fps: 6, // Fewer attempts leaves more time per frame on slow, noisy cameras
+      qrboxPercent: 90,
+      qrboxMin: 240,
+      qrboxMax: 380,
+      resultDuration: 2500,
+      successVibration: [150, 75, 150],
+      errorVibration: [300, 100, 300],
+    },
+  },
+}
+
+// Allowed range for each numeric setting
+const LIMITS = {
+  debounceTime: [0, 10000],
+  fps: [1, 30],
+  qrboxPercent: [30, 100],
+  qrboxMin: [100, 600],
+  qrboxMax: [100, 800],
+  resultDuration: [500, 10000],
+  successTone: [200, 2000],
+  duplicateTone: [100, 2000],
+  errorTone: [100, 2000],
+  validationTimeout: [300, 10000],
+}
+
+const clamp = (value, [min, max], fallback) => {
+  const number = Number(value)
+  if (!Number.isFinite(number)) return fallback
+  return Math.min(Math.max(number, min), max)
+}
+
+// Accept "100, 50, 100" or an array; anything invalid falls back
+export const parseVibrationPattern = (value, fallback) => {
+  const parts = Array.isArray(value) ? value : String(value).split(',')
+  const pattern = parts.map(part => Number(String(part).trim())).filter(n => Number.isFinite(n) && n >= 0)
+  return pattern.length > 0 ? pattern.slice(0, 10) : fallback
+}
+
+// Fill in missing keys and clamp values into their valid ranges
+export const normalizeSettings = (settings) => {
+  const merged = { ...DEFAULT_SETTINGS, ...settings }
+  const normalized = { ...merged }
+
+  Object.keys(LIMITS).forEach((key) => {
+    normalized[key] = clamp(merged[key], LIMITS[key], DEFAULT_SETTINGS[key])
+  })
+  if (normalized.qrboxMin > normalized.qrboxMax) {
+    normalized.qrboxMin = normalized.qrboxMax
+  }
+  normalized.soundEnabled = Boolean(merged.soundEnabled)
+  normalized.vibrationEnabled = Boolean(merged.vibrationEnabled)
+  normalized.flashEnabled = Boolean(merged.flashEnabled)
+  normalized.highContrast = Boolean(merged.highContrast)
+  normalized.speechEnabled = Boolean(merged.speechEnabled)
+  normalized.onlineValidation = Boolean(merged.onlineValidation)
+  normalized.successVibration = parseVibrationPattern(merged.successVibration, DEFAULT_SETTINGS.successVibration)
+  normalized.duplicateVibration = parseVibrationPattern(merged.duplicateVibration, DEFAULT_SETTINGS.duplicateVibration)
+  normalized.errorVibration = parseVibrationPattern(merged.errorVibration, DEFAULT_SETTINGS.errorVibration)
+  normalized.zoneVibration = parseVibrationPattern(merged.zoneVibration, DEFAULT_SETTINGS.zoneVibration)
+  normalized.barcodeFormats = normalizeBarcodeFormats(merged.barcodeFormats)
+  normalized.cameraId = typeof merged.cameraId === 'string' ? merged.cameraId : ''
+  normalized.gateMode = Object.hasOwn(GATE_MODES, merged.gateMode) ? merged.gateMode : DEFAULT_SETTINGS.gateMode
+  normalized.zoneAccess = normalizeZoneAccess(merged.zoneAccess)
+  normalized.gateZone = Object.hasOwn(normalized.zoneAccess, merged.gateZone) ? merged.gateZone : ''
+
+  // Drop keys from older builds that no longer exist
+  Object.keys(normalized).forEach((key) => {
+    if (!Object.hasOwn(DEFAULT_SETTINGS, key)) delete normalized[key]
+  })
+  return normalized
+}
+
+export const loadSettings = (sessionId = DEFAULT_SESSION_ID) => {
+  try {
+    const stored = localStorage.getItem(sessionSettingsKey(sessionId))
+    return normalizeSettings(stored ? JSON.parse(stored) : {})
+  } catch (err) {
+    console.log("Could not load settings, using defaults:", err)
+    return { ...DEFAULT_SETTINGS }
+  }
+}
+
+export const saveSettings = (settings, sessionId = DEFAULT_SESSION_ID) => {
+  try {
+    localStorage.setItem(sessionSettingsKey(sessionId), JSON.stringify(settings))
+  } catch (err) {
+    console.error("Could not save settings:", err)
+  }
+}
+
+export const applyPreset = (settings, presetId) => {
+  return normalizeSettings({ ...settings, ...PRESETS[presetId].settings })
+}
+
+// True when switching from `previous` to `next` needs a scanner restart
+export const needsScannerRestart = (previous, next) => {
+  return SCANNER_SETTING_KEYS.some(key => String(previous[key]) !== String(next[key]))
+}
@@ -0,0 +1,161 @@
+// Transports for gate synchronization.
+// A transport moves admission records ({ ticketId, scannedAt, deviceId, gateId })
+// between this device and the sync server. Every transport has the same shape:
+//
+//   start({ onRecords, onStatusChange }) - begin receiving; onStatusChange gets 'online' / 'offline'
+//   send(records)                        - resolves once the server has stored them, rejects when offline
+//                                          or unconfirmed (the outbox keeps them until it resolves)
+//   stop()                               - stop receiving and release resources
+//
+// The server keeps the earliest admission per ticket and echoes the records it
+// holds, so a sender learns when another gate got there first. `channel` names
+// the event; the server keeps each channel's admissions apart.
+
+// Plain HTTP: POST /admissions to send, GET /admissions?channel=<channel>&since=<cursor> to poll.
+// Pass the cursor saved through `onCursor` as `cursor` to resume where the last poll stopped.
+export const createHttpPollingTransport = (baseUrl, { interval = 3000, channel = '', cursor: initialCursor = 0, onCursor = () => {} } = {}) => {
+  const url = `${baseUrl.replace(/\/$/, '')}/admissions`
+  let cursor = initialCursor
+  let timer = null
+  let handlers = null
+
+  // stop() may run while a request is in flight, so handlers are checked after every await
+  const poll = async () => {
+    try {
+      const response = await fetch(`${url}?channel=${encodeURIComponent(channel)}&since=${cursor}`)
+      if (!handlers) return
+      if (!response.ok) throw new Error(`Sync poll failed: ${response.status}`)
+      const data = await response.json()
+      if (!handlers) return
+      handlers.onStatusChange('online')
+      if (data.records.length > 0) {
+        handlers.onRecords(data.records)
+      }
+      if (data.cursor !== cursor) {
+        cursor = data.cursor
+        onCursor(cursor)
+      }
+    } catch (err) {
+      if (!handlers) return
+      console.log("Sync poll error:", err)
+      handlers.onStatusChange('offline')
+    }
+    if (handlers) {
+      timer = setTimeout(poll, interval)
+    }
+  }
+
+  return {
+    start(nextHandlers) {
+      handlers = nextHandlers
+      poll()
+    },
+
+    async send(records) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ channel, records })
+      })
+      if (!response.ok) throw new Error(`Sync send failed: ${response.status}`)
+      const data = await response.json()
+      if (handlers && data.records.length > 0) {
+        handlers.onRecords(data.records)
+      }
+    },
+
+    stop() {
+      handlers = null
+      clearTimeout(timer)
+    },
+  }
+}
+
+// WebSocket: both directions use { type: 'admissions', records } messages.
+// The server sends everything the channel holds right after a connection opens.
+// Sent messages carry an id, and the server answers { type: 'ack', id, records }
+// once it has stored them.
+export const createWebSocketTransport = (baseUrl, { reconnectDelay = 3000, ackTimeout = 10000, channel = '' } = {}) => {
+  const url = new URL(baseUrl)
+  url.searchParams.set('channel', channel)
+  let socket = null
+  let timer = null
+  let handlers = null
+  let nextId = 0
+  const awaitingAck = new Map() // message id -> { resolve, reject, timer }
+
+  const settle = (id, error) => {
+    const waiting = awaitingAck.get(id)
+    if (!waiting) return
+    awaitingAck.delete(id)
+    clearTimeout(waiting.timer)
+    if (error) waiting.reject(error)
+    else waiting.resolve()
+  }
+
+  const connect = () => {
+    socket = new WebSocket(url.href)
+
+    socket.onopen = () => handlers && handlers.onStatusChange('online')
+
+    socket.onmessage = (event) => {
+      try {
+        const message = JSON.parse(event.data)
+        if (message.type === 'ack') {
+          settle(message.id)
+        }
+        if ((message.type === 'admissions' || message.type === 'ack') && handlers && message.records.length > 0) {
+          handlers.onRecords(message.records)
+        }
+      } catch (err) {
+        console.log("Ignoring malformed sync message:", err)
+      }
+    }
+
+    // A close event always follows, which reconnects
+    socket.onerror = (event) => console.log("Sync socket error:", event.message || event.type)
+
+    socket.onclose = () => {
+      socket = null
+      // Unacknowledged records stay in the sender's outbox and are sent again
+      awaitingAck.forEach((waiting, id) => settle(id, new Error("Sync socket closed before the server confirmed")))
+      if (handlers) {
+        handlers.onStatusChange('offline')
+        timer = setTimeout(connect, reconnectDelay)
+      }
+    }
+  }
+
+  return {
+    start(nextHandlers) {
+      handlers = nextHandlers
+      connect()
+    },
+
+    async send(records) {
+      if (!socket || socket.readyState !== WebSocket.OPEN) {
+        throw new Error("Sync socket not connected")
+      }
+      nextId += 1
+      const id = nextId
+      const confirmed = new Promise((resolve, reject) => {
+        const ackTimer = setTimeout(() => settle(id, new Error("Sync server did not confirm in time")), ackTimeout)
+        awaitingAck.set(id, { resolve, reject, timer: ackTimer })
+      })
+      socket.send(JSON.stringify({ type: 'admissions', id, records }))
+      return confirmed
+    },
+
+    stop() {
+      handlers = null
+      clearTimeout(timer)
+      if (socket) socket.close()
+    },
+  }
+}
+
+// Pick a transport from the URL scheme: ws(s):// uses WebSocket, anything else polls over HTTP.
+// `options` go to the transport (channel, and the polling cursor).
+export const createTransportForUrl = (url, options) => {
+  return /^wss?:\/\//i.test(url) ? createWebSocketTransport(url, options) : createHttpPollingTransport(url, options)
+}
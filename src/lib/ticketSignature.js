@@ -0,0 +1,130 @@
+// Offline verification of signed tickets.
+// Tickets are compact JWS tokens (header.payload.signature, base64url) signed
+// with Ed25519 ("EdDSA") or P-256 ("ES256"). The scanner only holds the public
+// key, so it can tell our tickets from forgeries without connectivity.
+//
+// Recognised claims:
+//   tid / jti / sub - ticket ID used for duplicate detection and manifest lookup
+//   evt / aud       - event ID the ticket is valid for
+//   exp / nbf       - validity window, in seconds since the epoch
+//   typ / tier      - ticket type, for zone access control (see zones.js)
+
+// WebCrypto parameters for each supported JWS algorithm
+const ALGORITHMS = {
+  EdDSA: {
+    importParams: { name: 'Ed25519' },
+    verifyParams: { name: 'Ed25519' },
+  },
+  ES256: {
+    importParams: { name: 'ECDSA', namedCurve: 'P-256' },
+    verifyParams: { name: 'ECDSA', hash: 'SHA-256' },
+  },
+}
+
+// Allow small clock drift between the issuing server and the phone
+const CLOCK_SKEW_SECONDS = 60
+
+const base64UrlToBytes = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4)
+  const binary = atob(padded)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i)
+  }
+  return bytes
+}
+
+const decodeJsonSegment = (segment) => {
+  return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)))
+}
+
+// Quick shape check, so plain codes are not mistaken for tokens
+export const looksLikeSignedTicket = (text) => {
+  return /^[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+$/.test(text)
+}
+
+// Imported keys, keyed by the JWK string they came from
+const keyCache = new Map()
+
+// Import a public key given as a JWK (JSON string or object)
+const importPublicKey = (publicKey, alg) => {
+  const jwk = typeof publicKey === 'string' ? JSON.parse(publicKey) : publicKey
+  const cacheKey = `${alg}:${JSON.stringify(jwk)}`
+
+  if (!keyCache.has(cacheKey)) {
+    const { importParams } = ALGORITHMS[alg]
+    const promise = crypto.subtle.importKey('jwk', jwk, importParams, false, ['verify'])
+    // Don't cache failures, so a fixed key can be retried
+    promise.catch(() => keyCache.delete(cacheKey))
+    keyCache.set(cacheKey, promise)
+  }
+  return keyCache.get(cacheKey)
+}
+
+// Verify a scanned token. Resolves to { status, ticketId, claims, reason } where
+// reason is a { key, params } message (see translateMessage in i18n.js) and
+// status is one of:
+//   'valid'       - signature checks out and the ticket is for this event
+//   'forged'      - not a token, unsupported algorithm or bad signature
+//   'expired'     - signature is fine but the ticket is outside its validity window
+//   'wrong-event' - signature is fine but the ticket is for another event
+export const verifyTicketToken = async (token, { publicKey, eventId, now = Date.now() }) => {
+  if (!looksLikeSignedTicket(token)) {
+    return { status: 'forged', reason: { key: 'reason.notSigned' } }
+  }
+
+  const [headerSegment, payloadSegment, signatureSegment] = token.split('.')
+
+  let header
+  let claims
+  try {
+    header = decodeJsonSegment(headerSegment)
+    claims = decodeJsonSegment(payloadSegment)
+  } catch (err) {
+    return { status: 'forged', reason: { key: 'reason.malformedToken' } }
+  }
+
+  const algorithm = ALGORITHMS[header.alg]
+  if (!algorithm) {
+    return { status: 'forged', reason: { key: 'reason.unsupportedAlgorithm', params: { algorithm: String(header.alg) } } }
+  }
+
+  let isValid = false
+  try {
+    const key = await importPublicKey(publicKey, header.alg)
+    isValid = await crypto.subtle.verify(
+      algorithm.verifyParams,
+      key,
+      base64UrlToBytes(signatureSegment),
+      new TextEncoder().encode(`${headerSegment}.${payloadSegment}`)
+    )
+  } catch (err) {
+    console.error("Ticket signature check failed:", err)
+    return { status: 'forged', reason: { key: 'reason.unverifiedSignature' } }
+  }
+
+  if (!isValid) {
+    return { status: 'forged', reason: { key: 'reason.badSignature' } }
+  }
+
+  const ticketId = String(claims.tid || claims.jti || claims.sub || token)
+  const nowSeconds = Math.floor(now / 1000)
+
+  if (typeof claims.exp === 'number' && nowSeconds > claims.exp + CLOCK_SKEW_SECONDS) {
+    return { status: 'expired', ticketId, claims, reason: { key: 'reason.expired' } }
+  }
+  if (typeof claims.nbf === 'number' && nowSeconds < claims.nbf - CLOCK_SKEW_SECONDS) {
+    return { status: 'expired', ticketId, claims, reason: { key: 'reason.notYetValid' } }
+  }
+
+  const ticketEvent = claims.evt || claims.aud
+  if (eventId && String(ticketEvent) !== String(eventId)) {
+    const reason = ticketEvent
+      ? { key: 'reason.otherEvent', params: { event: String(ticketEvent) } }
+      : { key: 'reason.noEvent' }
+    return { status: 'wrong-event', ticketId, claims, reason }
+  }
+
+  return { status: 'valid', ticketId, claims }
+}
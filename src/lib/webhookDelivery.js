@@ -0,0 +1,182 @@
+// Posts every scan result to the ticketing backend as it happens.
+// Each event is written to a persistent queue first and only removed once the
+// endpoint accepts it, so results recorded while offline (or across a reload)
+// are delivered later. Failed posts are retried with exponential backoff; an
+// event the endpoint refuses outright is dropped.
+
+const BASE_DELAY = 2000
+const MAX_DELAY = 5 * 60 * 1000
+
+// Delay before retrying after `attempts` failures: 2s, 4s, 8s ... capped at 5 minutes
+export const getRetryDelay = (attempts, baseDelay = BASE_DELAY, maxDelay = MAX_DELAY) => {
+  return Math.min(baseDelay * 2 ** (attempts - 1), maxDelay)
+}
+
+// JSON body, optional bearer token, then the custom headers (which win).
+// The delivery ID lets the backend drop repeats of a post it already handled.
+export const buildWebhookHeaders = ({ token, headers, deliveryId }) => ({
+  'Content-Type': 'application/json',
+  'Idempotency-Key': deliveryId,
+  ...(token ? { Authorization: `Bearer ${token}` } : {}),
+  ...headers,
+})
+
+// A 4xx other than auth errors, timeouts and rate limits means the endpoint refused
+// that one event, e.g. 400 or 422 - sending it again won't help. Anything else
+// (offline, server errors) means the endpoint can't take anything right now.
+const isRejected = (err) => (
+  err.status >= 400 && err.status < 500 && ![401, 403, 408, 429].includes(err.status)
+)
+
+// url - endpoint each event is POSTed to as JSON
+// store - the event's storage from openSessionStore() in scanStore.js, which holds the queue
+// token - sent as `Authorization: Bearer <token>` when set
+// headers - extra request headers
+// onStatusChange({ pending, failed, deliveries }) - queue counts; `deliveries` maps
+//   event ID -> 'pending' (not tried yet), 'failed' (retrying) or 'rejected' (dropped
+//   this session). Delivered events are absent.
+export const createWebhookDelivery = ({
+  url,
+  store,
+  token = '',
+  headers = {},
+  onStatusChange,
+  timeout = 10000,
+  baseDelay = BASE_DELAY,
+  maxDelay = MAX_DELAY,
+}) => {
+  const queue = new Map() // event ID -> { id, event, attempts, nextAttemptAt, lastError }
+  const rejected = new Set() // Event IDs the endpoint refused
+  let blockedUntil = 0 // Endpoint unreachable - hold the whole queue until then
+  let isFlushing = false
+  let isStopped = true
+  let retryTimer = null
+
+  const report = () => {
+    const deliveries = {}
+    let failed = 0
+    rejected.forEach(id => {
+      deliveries[id] = 'rejected'
+    })
+    queue.forEach((delivery, id) => {
+      deliveries[id] = delivery.attempts > 0 ? 'failed' : 'pending'
+      if (delivery.attempts > 0) failed += 1
+    })
+    onStatusChange({ pending: queue.size - failed, failed, deliveries })
+  }
+
+  const post = async (delivery) => {
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), timeout)
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: buildWebhookHeaders({ token, headers, deliveryId: delivery.id }),
+        body: JSON.stringify(delivery.event),
+        signal: controller.signal
+      })
+      if (!response.ok) {
+        const error = new Error(`Webhook responded ${response.status}`)
+        error.status = response.status
+        throw error
+      }
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  const scheduleNext = () => {
+    clearTimeout(retryTimer)
+    if (isStopped || queue.size === 0) return
+    const nextAttemptAt = Math.min(...[...queue.values()].map(delivery => delivery.nextAttemptAt))
+    retryTimer = setTimeout(flush, Math.max(nextAttemptAt, blockedUntil) - Date.now())
+  }
+
+  // Post every due event, oldest first
+  const flush = async () => {
+    if (isFlushing || isStopped) return
+    isFlushing = true
+    try {
+      const due = [...queue.values()]
+        .filter(delivery => delivery.nextAttemptAt <= Date.now())
+        .sort((a, b) => a.event.scannedAt.localeCompare(b.event.scannedAt))
+
+      for (const delivery of due) {
+        if (isStopped || blockedUntil > Date.now()) break
+        try {
+          await post(delivery)
+          // Stopped meanwhile - leave the queue alone, the backend drops the repeat by its delivery ID
+          if (isStopped) break
+          queue.delete(delivery.id)
+          await store.removeWebhook(delivery.id)
+        } catch (err) {
+          if (isStopped) break
+          if (isRejected(err)) {
+            console.error(`Webhook endpoint refused event ${delivery.id}, dropping it:`, err)
+            queue.delete(delivery.id)
+            rejected.add(delivery.id)
+            await store.removeWebhook(delivery.id)
+          } else {
+            const attempts = delivery.attempts + 1
+            const failed = {
+              ...delivery,
+              attempts,
+              nextAttemptAt: Date.now() + getRetryDelay(attempts, baseDelay, maxDelay),
+              lastError: err.message
+            }
+            console.log(`Webhook delivery failed (attempt ${attempts}), will retry:`, err)
+            if (queue.has(delivery.id)) {
+              queue.set(delivery.id, failed)
+              await store.saveWebhook(failed)
+            }
+            blockedUntil = failed.nextAttemptAt
+          }
+        }
+        report()
+      }
+    } catch (err) {
+      console.error("Webhook queue error:", err)
+    } finally {
+      isFlushing = false
+      scheduleNext()
+    }
+  }
+
+  // Connectivity is back - don't wait out the backoff
+  const retryNow = () => {
+    blockedUntil = 0
+    queue.forEach((delivery, id) => queue.set(id, { ...delivery, nextAttemptAt: Date.now() }))
+    flush()
+  }
+
+  return {
+    // Load deliveries left over from earlier sessions and start sending
+    async start() {
+      isStopped = false
+      const stored = await store.loadWebhooks()
+      // Stopped while loading (e.g. the event was switched) - stay stopped
+      if (isStopped) return
+      stored.forEach(delivery => queue.set(delivery.id, delivery))
+      report()
+      window.addEventListener('online', retryNow)
+      flush()
+    },
+
+    // Queue an event ({ id, scannedAt (ISO string), ... }) and try to post it right away
+    async queueEvent(event) {
+      const delivery = { id: event.id, event, attempts: 0, nextAttemptAt: Date.now(), lastError: null }
+      await store.saveWebhook(delivery)
+      queue.set(delivery.id, delivery)
+      report()
+      flush()
+    },
+
+    retryNow,
+
+    stop() {
+      isStopped = true
+      clearTimeout(retryTimer)
+      window.removeEventListener('online', retryNow)
+    },
+  }
+}
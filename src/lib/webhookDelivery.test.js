@@ -0,0 +1,162 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { createWebhookMock } from '../../server/webhook-mock.js'
+import { createWebhookDelivery } from './webhookDelivery'
+
+// In-memory stand-in for the webhook queue in an event's store (scanStore.js).
+// Every save is kept with its time, to check the backoff between attempts.
+const createStore = (stored = []) => {
+  const items = new Map(stored.map(delivery => [delivery.id, delivery]))
+  const saves = []
+  return {
+    items,
+    saves,
+    loadWebhooks: async () => [...items.values()],
+    saveWebhook: async (delivery) => {
+      items.set(delivery.id, delivery)
+      saves.push({ ...delivery, savedAt: Date.now() })
+    },
+    removeWebhook: async (id) => {
+      items.delete(id)
+    },
+  }
+}
+
+const scanEvent = (id, ticketId, scannedAt, status = 'success') => ({
+  id,
+  ticketId,
+  status,
+  scannedAt: new Date(scannedAt).toISOString(),
+})
+
+const listen = async (server) => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  return `http://127.0.0.1:${server.address().port}/check-ins`
+}
+
+describe('webhook delivery against the mock backend', () => {
+  let server
+  let url
+  let delivery
+
+  // Ask the mock for these answers (true = 503) before it answers normally again
+  const failNext = (...failures) => {
+    vi.spyOn(Math, 'random').mockImplementation(() => (failures.length > 0 && failures.shift() ? 0 : 1))
+  }
+
+  const start = async (store, options = {}) => {
+    const states = []
+    delivery = createWebhookDelivery({
+      url,
+      store,
+      onStatusChange: state => states.push(state),
+      baseDelay: 20,
+      ...options,
+    })
+    await delivery.start()
+    return states
+  }
+
+  beforeEach(async () => {
+    vi.stubGlobal('window', new EventTarget())
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    server = createWebhookMock({ failRate: 0.5 })
+    url = await listen(server)
+  })
+
+  afterEach(async () => {
+    if (delivery) delivery.stop()
+    delivery = null
+    await new Promise(resolve => server.close(resolve))
+    vi.restoreAllMocks()
+    vi.unstubAllGlobals()
+  })
+
+  it('retries server errors with a growing delay until the post is accepted', async () => {
+    failNext(true, true)
+    const store = createStore()
+    const states = await start(store)
+    await delivery.queueEvent(scanEvent('E1', 'T1', 100))
+
+    await vi.waitFor(() => expect(server.received.has('E1')).toBe(true))
+    expect(store.items.size).toBe(0)
+    expect(store.saves.map(save => save.attempts)).toEqual([0, 1, 2])
+    // Waits of 20 ms then 40 ms, measured from when each failure was saved
+    const waits = store.saves.slice(1).map(save => save.nextAttemptAt - save.savedAt)
+    expect(waits[0]).toBeGreaterThan(10)
+    expect(waits[0]).toBeLessThanOrEqual(20)
+    expect(waits[1]).toBeGreaterThan(30)
+    expect(waits[1]).toBeLessThanOrEqual(40)
+    expect(states.map(state => state.deliveries.E1)).toContain('failed')
+    expect(states.at(-1)).toEqual({ pending: 0, failed: 0, deliveries: {} })
+  })
+
+  it('holds the whole queue while the endpoint is unreachable', async () => {
+    const closed = createWebhookMock()
+    url = await listen(closed)
+    await new Promise(resolve => closed.close(resolve))
+
+    const store = createStore()
+    const states = await start(store)
+    await delivery.queueEvent(scanEvent('E1', 'T1', 100))
+    await delivery.queueEvent(scanEvent('E2', 'T2', 200))
+
+    await vi.waitFor(() => expect(store.items.get('E1').attempts).toBeGreaterThanOrEqual(2))
+    // Only the oldest event is tried while the endpoint is down
+    expect(store.items.get('E2').attempts).toBe(0)
+    expect(store.items.get('E1').lastError).toBeTruthy()
+    expect(states.at(-1)).toMatchObject({ pending: 1, failed: 1 })
+  })
+
+  it('drops an event the endpoint refuses and delivers the rest', async () => {
+    const store = createStore()
+    const states = await start(store)
+    failNext(false, false)
+    await delivery.queueEvent(scanEvent('E1', 'T1', 100, ''))
+    await delivery.queueEvent(scanEvent('E2', 'T2', 200))
+
+    await vi.waitFor(() => expect(server.received.has('E2')).toBe(true))
+    expect(server.received.has('E1')).toBe(false)
+    expect(store.items.size).toBe(0)
+    expect(store.saves.filter(save => save.attempts > 0)).toEqual([])
+    expect(states.at(-1)).toEqual({ pending: 0, failed: 0, deliveries: { E1: 'rejected' } })
+  })
+
+  it('delivers events queued before a reload', async () => {
+    failNext(false, false)
+    const left = [
+      { id: 'E1', event: scanEvent('E1', 'T1', 100), attempts: 3, nextAttemptAt: Date.now() + 60000, lastError: 'offline' },
+      { id: 'E2', event: scanEvent('E2', 'T2', 200), attempts: 0, nextAttemptAt: Date.now(), lastError: null },
+    ]
+    const store = createStore(left)
+    const states = await start(store)
+    expect(states[0]).toEqual({ pending: 1, failed: 1, deliveries: { E1: 'failed', E2: 'pending' } })
+
+    // The leftover failure waits out its backoff unless retried by hand
+    await vi.waitFor(() => expect(server.received.has('E2')).toBe(true))
+    expect(store.items.has('E1')).toBe(true)
+    delivery.retryNow()
+    await vi.waitFor(() => expect(server.received.has('E1')).toBe(true))
+    expect(store.items.size).toBe(0)
+  })
+
+  it('stays stopped when stopped while the queue loads', async () => {
+    let finishLoading
+    const store = createStore([
+      { id: 'E1', event: scanEvent('E1', 'T1', 100), attempts: 0, nextAttemptAt: Date.now(), lastError: null },
+    ])
+    store.loadWebhooks = () => new Promise(resolve => { finishLoading = resolve })
+    const onStatusChange = vi.fn()
+    delivery = createWebhookDelivery({ url, store, onStatusChange })
+
+    const starting = delivery.start()
+    delivery.stop()
+    finishLoading([...store.items.values()])
+    await starting
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    expect(server.received.size).toBe(0)
+    expect(onStatusChange).not.toHaveBeenCalled()
+    expect(store.items.has('E1')).toBe(true)
+  })
+})
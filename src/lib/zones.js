@@ -0,0 +1,47 @@
+// Zone-based access control.
+// Each gate can be assigned a zone; the zone access table lists which ticket
+// types may enter it. Ticket types come from the signed ticket claims, the
+// guest list or, for tickets not on the guest list, the structured QR payload.
+
+export const DEFAULT_ZONE_ACCESS = {
+  GA: ['GA', 'VIP', 'Backstage', 'Staff'],
+  VIP: ['VIP', 'Backstage', 'Staff'],
+  Backstage: ['Backstage', 'Staff'],
+  Staff: ['Staff'],
+}
+
+// Ticket type from signed claims first, then the guest list entry. Anyone can
+// print an unsigned payload, so it only counts for tickets not on the guest list.
+export const getTicketType = ({ claims, payload, ticket }) => {
+  const fromClaims = claims && (claims.typ || claims.tier || claims.type)
+  const fallback = ticket ? ticket.ticketType : payload && payload.ticketType
+  return String(fromClaims || fallback || '').trim()
+}
+
+// Check a ticket type against the gate's zone. Returns { allowed, reason } with
+// the reason as a { key, params } message. A gate without a zone admits every ticket type.
+export const checkZoneAccess = (zoneAccess, gateZone, ticketType) => {
+  if (!gateZone) return { allowed: true }
+
+  if (!ticketType) {
+    return { allowed: false, reason: { key: 'reason.untypedTicket', params: { zone: gateZone } } }
+  }
+
+  const allowedTypes = (zoneAccess[gateZone] || []).map(type => type.toLowerCase())
+  if (allowedTypes.includes(ticketType.toLowerCase())) {
+    return { allowed: true }
+  }
+  return { allowed: false, reason: { key: 'reason.wrongZone', params: { ticketType, zone: gateZone } } }
+}
+
+// Accept { zone: 'A, B' } or { zone: ['A', 'B'] } and return { zone: ['A', 'B'] }
+export const normalizeZoneAccess = (zoneAccess) => {
+  const normalized = {}
+  Object.entries(zoneAccess || {}).forEach(([zone, types]) => {
+    const name = zone.trim()
+    if (!name) return
+    const list = Array.isArray(types) ? types : String(types).split(',')
+    normalized[name] = list.map(type => String(type).trim()).filter(Boolean)
+  })
+  return Object.keys(normalized).length > 0 ? normalized : { ...DEFAULT_ZONE_ACCESS }
+}
@@ -1,8 +1,37 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Installable PWA: the service worker precaches the whole build (including the
+    // html5-qrcode bundle) so the scanner starts with no network at all
+    VitePWA({
+      registerType: 'prompt', // Ask before switching to a new version - see UpdatePrompt
+      includeAssets: ['apple-touch-icon.png'],
+      manifest: {
+        name: 'Event QR Scanner',
+        short_name: 'QR Scanner',
+        description: 'Fast ticket scanner for event entrances',
+        theme_color: '#764ba2',
+        background_color: '#000000',
+        display: 'standalone',
+        orientation: 'portrait',
+        start_url: '/',
+        icons: [
+          { src: 'pwa-192x192.png', sizes: '192x192', type: 'image/png' },
+          { src: 'pwa-512x512.png', sizes: '512x512', type: 'image/png' },
+          { src: 'maskable-512x512.png', sizes: '512x512', type: 'image/png', purpose: 'maskable' },
+        ],
+      },
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,png,svg,ico,webmanifest}'],
+        navigateFallback: 'index.html',
+        cleanupOutdatedCaches: true,
+      },
+    }),
+  ],
   server: {
     host: '0.0.0.0',
     port: 3000,
@@ -11,4 +40,3 @@ export default defineConfig({
     // For production, use proper SSL certificates
   }
 })
-